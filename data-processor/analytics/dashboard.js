@@ -1,4 +1,5 @@
 const analytics = require('./queries');
+const { JOB_STATUSES } = require('jobcrawler-shared/job_filters');
 const readline = require('readline');
 
 const rl = readline.createInterface({
@@ -53,6 +54,8 @@ async function showDashboardSummary() {
   
   console.log(`📦 Total Companies:        ${summary.total_companies}`);
   console.log(`📄 Total Jobs:             ${summary.total_jobs}`);
+  console.log(`🟢 Open / Closed:          ${summary.open_jobs} / ${summary.closed_jobs}`);
+  console.log(`🔒 Closed (Last 7 Days):   ${summary.jobs_closed_last_week}`);
   console.log(`📅 Jobs (Last 7 Days):     ${summary.jobs_last_week}`);
   console.log(`📅 Jobs (Last 30 Days):    ${summary.jobs_last_month}`);
   console.log(`💰 Average Salary:         ${formatCurrency(summary.avg_salary)}`);
@@ -254,6 +257,17 @@ async function searchJobs() {
   const platform = await askQuestion('Platform (Careerviet/LinkedIn/ITviec/etc): ');
   if (platform) filters.platform = platform;
   
+  const status = await askQuestion('Status (open/closed/all, default open): ');
+  if (status) {
+    filters.status = status.trim().toLowerCase();
+    
+    if (![...JOB_STATUSES, 'all'].includes(filters.status)) {
+      console.log(`\n❌ Unknown status "${status.trim()}", use open, closed or all.\n`);
+      await askQuestion('Press Enter to continue...');
+      return;
+    }
+  }
+  
   const limit = await askQuestion('Max results (default 50): ');
   if (limit) filters.limit = parseInt(limit);
   
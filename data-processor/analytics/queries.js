@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { jobStatusCondition, buildJobSearchConditions } = require('jobcrawler-shared/job_filters');
 require('dotenv').config();
 
 const cleanPool = new Pool({
@@ -10,12 +11,13 @@ const cleanPool = new Pool({
   client_encoding: 'UTF8'
 });
 
+// Job queries count open jobs by default; pass status 'closed' or 'all' to see the rest
 class Analytics {
   // ============================================
   // SALARY ANALYTICS
   // ============================================
 
-  async getSalaryStatsByPlatform() {
+  async getSalaryStatsByPlatform(status = 'open') {
     const query = `
       SELECT 
         p.Name as platform,
@@ -29,6 +31,7 @@ class Analytics {
       JOIN Platform p ON jp.PlatformId = p.Id
       JOIN Currency cur ON jp.CurrencyId = cur.Id
       WHERE jp.SalaryPerMonth IS NOT NULL
+        AND ${jobStatusCondition(status)}
       GROUP BY p.Name, cur.Code
       ORDER BY avg_salary DESC;
     `;
@@ -42,7 +45,7 @@ class Analytics {
     }
   }
 
-  async getSalaryByExperience() {
+  async getSalaryByExperience(status = 'open') {
     const query = `
       SELECT 
         el.Name as experience_level,
@@ -53,6 +56,7 @@ class Analytics {
       FROM JobPost jp
       JOIN ExperienceLevel el ON jp.ExperienceLevelId = el.Id
       WHERE jp.SalaryPerMonth IS NOT NULL
+        AND ${jobStatusCondition(status)}
       GROUP BY el.Name, el.Id
       ORDER BY el.Id;
     `;
@@ -66,7 +70,7 @@ class Analytics {
     }
   }
 
-  async getTopPayingCompanies(limit = 20) {
+  async getTopPayingCompanies(limit = 20, status = 'open') {
     const query = `
       SELECT 
         c.Name as company,
@@ -77,6 +81,7 @@ class Analytics {
       FROM JobPost jp
       JOIN Company c ON jp.CompanyId = c.Id
       WHERE jp.SalaryPerMonth IS NOT NULL
+        AND ${jobStatusCondition(status)}
       GROUP BY c.Name, c.Location
       HAVING COUNT(jp.Id) >= 2
       ORDER BY avg_salary DESC
@@ -96,7 +101,7 @@ class Analytics {
   // LOCATION ANALYTICS
   // ============================================
 
-  async getJobsByLocation() {
+  async getJobsByLocation(status = 'open') {
     const query = `
       SELECT 
         jp.Location as city,
@@ -105,6 +110,7 @@ class Analytics {
         AVG(jp.SalaryPerMonth)::numeric(12,2) as avg_salary
       FROM JobPost jp
       WHERE jp.Location IS NOT NULL
+        AND ${jobStatusCondition(status)}
       GROUP BY jp.Location, jp.CountryCode
       ORDER BY job_count DESC;
     `;
@@ -118,7 +124,7 @@ class Analytics {
     }
   }
 
-  async getRemoteJobs() {
+  async getRemoteJobs(status = 'open') {
     const query = `
       SELECT 
         jp.Title,
@@ -131,8 +137,9 @@ class Analytics {
       JOIN Company c ON jp.CompanyId = c.Id
       LEFT JOIN Currency cur ON jp.CurrencyId = cur.Id
       LEFT JOIN ExperienceLevel el ON jp.ExperienceLevelId = el.Id
-      WHERE LOWER(jp.Location) IN ('remote', 'work from home', 'wfh')
-         OR jp.Location IS NULL
+      WHERE (LOWER(jp.Location) IN ('remote', 'work from home', 'wfh')
+             OR jp.Location IS NULL)
+        AND ${jobStatusCondition(status)}
       ORDER BY jp.PostedDate DESC
       LIMIT 50;
     `;
@@ -150,7 +157,7 @@ class Analytics {
   // PLATFORM ANALYTICS
   // ============================================
 
-  async getPlatformPerformance() {
+  async getPlatformPerformance(status = 'open') {
     const query = `
       SELECT 
         p.Name as platform,
@@ -160,7 +167,7 @@ class Analytics {
         COUNT(CASE WHEN jp.SalaryPerMonth IS NOT NULL THEN 1 END) as jobs_with_salary,
         AVG(jp.ApplicantCount)::numeric(10,2) as avg_applicants
       FROM Platform p
-      LEFT JOIN JobPost jp ON jp.PlatformId = p.Id
+      LEFT JOIN JobPost jp ON jp.PlatformId = p.Id AND ${jobStatusCondition(status)}
       GROUP BY p.Name
       ORDER BY total_jobs DESC;
     `;
@@ -178,7 +185,7 @@ class Analytics {
   // TRENDING & INSIGHTS
   // ============================================
 
-  async getTrendingTitles(days = 30) {
+  async getTrendingTitles(days = 30, status = 'open') {
     const query = `
       SELECT 
         jp.Title,
@@ -187,6 +194,7 @@ class Analytics {
         AVG(jp.ApplicantCount)::numeric(10,2) as avg_applicants
       FROM JobPost jp
       WHERE jp.PostedDate >= CURRENT_DATE - INTERVAL '${days} days'
+        AND ${jobStatusCondition(status)}
       GROUP BY jp.Title
       HAVING COUNT(*) >= 3
       ORDER BY occurrences DESC
@@ -202,7 +210,7 @@ class Analytics {
     }
   }
 
-  async getNewCompanies(days = 7) {
+  async getNewCompanies(days = 7, status = 'open') {
     const query = `
       SELECT 
         c.Name as company,
@@ -213,6 +221,7 @@ class Analytics {
       FROM Company c
       JOIN JobPost jp ON jp.CompanyId = c.Id
       WHERE c.CreatedAt >= CURRENT_DATE - INTERVAL '${days} days'
+        AND ${jobStatusCondition(status)}
       GROUP BY c.Name, c.Location, c.Domain
       ORDER BY first_posted DESC;
     `;
@@ -226,7 +235,8 @@ class Analytics {
     }
   }
 
-  async getHiringTrends() {
+  // Postings per day are history: jobs closed since were posted all the same
+  async getHiringTrends(status = 'all') {
     const query = `
       SELECT 
         DATE_TRUNC('day', jp.PostedDate) as date,
@@ -235,6 +245,7 @@ class Analytics {
         AVG(jp.SalaryPerMonth)::numeric(12,2) as avg_salary
       FROM JobPost jp
       WHERE jp.PostedDate >= CURRENT_DATE - INTERVAL '30 days'
+        AND ${jobStatusCondition(status)}
       GROUP BY DATE_TRUNC('day', jp.PostedDate)
       ORDER BY date DESC;
     `;
@@ -253,39 +264,7 @@ class Analytics {
   // ============================================
 
   async searchJobs(filters = {}) {
-    let conditions = ['1=1'];
-    let params = [];
-    let paramCount = 1;
-
-    if (filters.title) {
-      params.push(`%${filters.title}%`);
-      conditions.push(`jp.Title ILIKE $${paramCount++}`);
-    }
-
-    if (filters.location) {
-      params.push(`%${filters.location}%`);
-      conditions.push(`jp.Location ILIKE $${paramCount++}`);
-    }
-
-    if (filters.minSalary) {
-      params.push(filters.minSalary);
-      conditions.push(`jp.SalaryPerMonth >= $${paramCount++}`);
-    }
-
-    if (filters.maxSalary) {
-      params.push(filters.maxSalary);
-      conditions.push(`jp.SalaryPerMonth <= $${paramCount++}`);
-    }
-
-    if (filters.experienceLevel) {
-      params.push(filters.experienceLevel);
-      conditions.push(`el.Name = $${paramCount++}`);
-    }
-
-    if (filters.platform) {
-      params.push(filters.platform);
-      conditions.push(`p.Name = $${paramCount++}`);
-    }
+    const { conditions, params } = buildJobSearchConditions(filters);
 
     const query = `
       SELECT 
@@ -298,7 +277,9 @@ class Analytics {
         el.Name as experience,
         p.Name as platform,
         jp.PostedDate,
-        jp.PostUrl
+        jp.PostUrl,
+        jp.Status,
+        jp.LastSeen
       FROM JobPost jp
       JOIN Company c ON jp.CompanyId = c.Id
       LEFT JOIN Currency cur ON jp.CurrencyId = cur.Id
@@ -327,6 +308,9 @@ class Analytics {
       SELECT 
         (SELECT COUNT(*) FROM Company) as total_companies,
         (SELECT COUNT(*) FROM JobPost) as total_jobs,
+        (SELECT COUNT(*) FROM JobPost WHERE Status = 'open') as open_jobs,
+        (SELECT COUNT(*) FROM JobPost WHERE Status = 'closed') as closed_jobs,
+        (SELECT COUNT(*) FROM JobPost WHERE ClosedAt >= CURRENT_DATE - INTERVAL '7 days') as jobs_closed_last_week,
         (SELECT COUNT(*) FROM JobPost WHERE PostedDate >= CURRENT_DATE - INTERVAL '7 days') as jobs_last_week,
         (SELECT COUNT(*) FROM JobPost WHERE PostedDate >= CURRENT_DATE - INTERVAL '30 days') as jobs_last_month,
         (SELECT AVG(SalaryPerMonth)::numeric(12,2) FROM JobPost WHERE SalaryPerMonth IS NOT NULL) as avg_salary,
@@ -4,6 +4,8 @@ const cron = require('node-cron');
 const logger = require('./services/logger');
 const db = require('./services/database');
 const aiProcessor = require('./services/ai_processor');
+const metrics = require('./services/metrics');
+const { closeUnseenJobs, syncJobLifecycle } = require('./utils/job_lifecycle');
 
 // Import processors
 const CareerVietProcessor = require('./processors/CareerVietProcessor');
@@ -15,6 +17,7 @@ const VietnamWorksProcessor = require('./processors/VietnamWorksProcessor');
 class DataProcessorApp {
   constructor() {
     this.globalConfig = this.loadGlobalConfig();
+    aiProcessor.configure(this.globalConfig.ai);
     this.processors = this.initializeProcessors();
     this.isProcessing = false;
   }
@@ -85,6 +88,8 @@ class DataProcessorApp {
       const schedule = process.env.PROCESS_INTERVAL || '*/5 * * * *';
       logger.info(`Running in cron mode: ${schedule}`);
       
+      metrics.startMetricsServer();
+      
       // Run immediately on start
       await this.processAllPlatforms();
       
@@ -114,6 +119,7 @@ class DataProcessorApp {
 
     this.isProcessing = true;
     const startTime = Date.now();
+    const endCycleTimer = metrics.cycleDuration.startTimer();
     
     logger.info('');
     logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -133,6 +139,7 @@ class DataProcessorApp {
     let totalProcessed = 0;
     let totalSuccess = 0;
     let totalFailed = 0;
+    const platformErrors = [];
 
     for (const [platformKey, processor] of sortedPlatforms) {
       try {
@@ -153,43 +160,48 @@ class DataProcessorApp {
         const transformedJobs = await processor.processJobs(rawJobs, this.globalConfig);
 
         // Insert into clean database
+        const platformOf = new Map(rawJobs.map(rawJob => [rawJob.job_id, rawJob.platform]));
         let inserted = 0;
         const processedJobIds = [];
 
         for (const job of transformedJobs) {
           try {
-            // Upsert company
-            const companyId = await db.upsertCompany(job.company);
+            // Find or create company
+            const companyId = await db.createCompany(job.company.name, job.company.domain, job.company.location);
 
-            // Insert job post
-            const jobId = await db.insertJobPost({
-              companyId,
+            // Insert job post (duplicates are skipped, reprocessed jobs updated)
+            const { created } = await db.createJobPost({
+              company_id: companyId,
               title: job.title,
               description: job.description,
-              salaryPerMonth: job.salaryPerMonth,
-              currencyId: job.currencyId,
-              experienceLevelId: job.experienceLevelId,
+              salary_per_month: job.salaryPerMonth,
+              currency_id: job.currencyId,
+              experience_level_id: job.experienceLevelId,
               location: job.location,
-              countryCode: job.countryCode,
-              applicantCount: job.applicantCount,
-              postedDate: job.postedDate,
-              platformId: job.platformId,
-              postUrl: job.postUrl,
-              crawledTime: job.crawledTime
+              country_code: job.countryCode,
+              applicant_count: job.applicantCount,
+              posted_date: job.postedDate,
+              platform_id: job.platformId,
+              post_url: job.postUrl,
+              crawled_time: job.crawledTime,
+              status: job.status,
+              first_seen: job.firstSeen,
+              last_seen: job.lastSeen,
+              closed_at: job.closedAt,
+              reprocess: job.reprocess
             });
 
-            if (jobId) {
-              inserted++;
-              processedJobIds.push(job.rawJobId);
-            }
+            if (created) inserted++;
+            processedJobIds.push(job.rawJobId);
           } catch (error) {
+            metrics.jobsFailed.inc({ platform: platformOf.get(job.rawJobId), stage: 'insert' });
             logger.error(`Failed to insert job: ${job.title}`, error.message);
           }
         }
 
         // Mark jobs as processed in raw database
         if (processedJobIds.length > 0) {
-          await db.markJobsProcessed(processedJobIds);
+          await db.markJobsAsProcessed(processedJobIds);
           logger.info(`✅ Inserted ${inserted} jobs, marked ${processedJobIds.length} as processed`);
         }
 
@@ -211,11 +223,41 @@ class DataProcessorApp {
         processor.resetStats();
 
       } catch (error) {
+        platformErrors.push(`${platformKey}: ${error.message}`);
         logger.error(`Error processing ${platformKey}:`, error.message);
       }
     }
 
+    // Close jobs no longer listed, then copy lifecycle changes to JobPost
+    try {
+      const graceHours = parseInt(process.env.JOB_CLOSE_GRACE_HOURS) ||
+                         this.globalConfig.settings.job_close_grace_hours || 72;
+      const { closed } = await closeUnseenJobs(db.rawPool, graceHours);
+      if (closed > 0) {
+        logger.info(`🔒 Closed ${closed} jobs not seen for ${graceHours}h`);
+      }
+
+      const synced = await syncJobLifecycle(db.rawPool, db.cleanPool);
+      if (synced > 0) {
+        logger.info(`🔄 Updated lifecycle of ${synced} job posts`);
+      }
+    } catch (error) {
+      platformErrors.push(`lifecycle: ${error.message}`);
+      logger.error('Error updating job lifecycle:', error.message);
+    }
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    endCycleTimer();
+    metrics.lastCycle.setToCurrentTime();
+    
+    await db.recordProcessorCycle({
+      status: platformErrors.length === 0 ? 'completed' : 'failed',
+      processed: totalProcessed,
+      succeeded: totalSuccess,
+      failed: totalFailed,
+      error: platformErrors.join('\n') || null,
+      startedAt: new Date(startTime)
+    });
     
     logger.info('');
     logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
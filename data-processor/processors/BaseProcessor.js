@@ -2,6 +2,12 @@ const fs = require('fs');
 const yaml = require('js-yaml');
 const logger = require('../services/logger');
 const db = require('../services/database');
+const metrics = require('../services/metrics');
+const aiProcessor = require('../services/ai_processor');
+const salaryParser = require('../utils/salary_parser');
+const experienceMapper = require('../utils/experience_mapper');
+const locationNormalizer = require('../utils/location_normalizer');
+const dateParser = require('../utils/date_parser');
 
 class BaseProcessor {
   constructor(platformName, configFile) {
@@ -41,12 +47,15 @@ class BaseProcessor {
         if (processedJob) {
           processedJobs.push(processedJob);
           this.stats.success++;
+          metrics.jobsTransformed.inc({ platform: rawJob.platform });
         } else {
           this.stats.failed++;
+          metrics.jobsFailed.inc({ platform: rawJob.platform, stage: 'transform' });
           logger.warn(`Failed to transform job: ${rawJob.job_title}`);
         }
       } catch (error) {
         this.stats.failed++;
+        metrics.jobsFailed.inc({ platform: rawJob.platform, stage: 'transform' });
         this.stats.errors.push({
           job_id: rawJob.job_id,
           job_title: rawJob.job_title,
@@ -105,8 +114,17 @@ class BaseProcessor {
       postUrl: rawJob.url,
       crawledTime: rawJob.crawled_time,
       
+      // Lifecycle: later changes are copied by utils/job_lifecycle.js
+      status: rawJob.status,
+      firstSeen: rawJob.first_seen_at,
+      lastSeen: rawJob.last_seen_at,
+      closedAt: rawJob.closed_at,
+      
       // Raw job ID for marking as processed
-      rawJobId: rawJob.job_id
+      rawJobId: rawJob.job_id,
+
+      // Reset for reprocessing: update the existing JobPost instead of skipping it
+      reprocess: Boolean(rawJob.reprocess_requested_at)
     };
   }
 
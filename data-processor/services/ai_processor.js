@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('./logger');
+const metrics = require('./metrics');
 require('dotenv').config();
 
 class AIProcessor {
@@ -9,6 +10,14 @@ class AIProcessor {
     this.apiKey = this.getApiKey();
     this.dailyCallCount = 0;
     this.dailyLimit = 10000;
+    this.costPerCall = 0;
+  }
+
+  /**
+   * Apply the `ai` section of config/global.yaml
+   */
+  configure(aiConfig = {}) {
+    this.costPerCall = aiConfig.cost_per_call || 0;
   }
 
   getApiKey() {
@@ -38,17 +47,26 @@ class AIProcessor {
     try {
       this.dailyCallCount++;
       
+      let result;
       switch (this.provider) {
         case 'gemini':
-          return await this.processWithGemini(prompt, text);
+          result = await this.processWithGemini(prompt, text);
+          break;
         case 'claude':
-          return await this.processWithClaude(prompt, text);
+          result = await this.processWithClaude(prompt, text);
+          break;
         case 'openai':
-          return await this.processWithOpenAI(prompt, text);
+          result = await this.processWithOpenAI(prompt, text);
+          break;
         default:
           return null;
       }
+      
+      metrics.aiCalls.inc({ provider: this.provider, status: 'success' });
+      metrics.aiSpend.inc({ provider: this.provider }, this.costPerCall);
+      return result;
     } catch (error) {
+      metrics.aiCalls.inc({ provider: this.provider, status: 'error' });
       logger.error('AI processing error:', error.message);
       return null;
     }
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { publishJobEvents } = require('jobcrawler-shared/webhook_events');
 require('dotenv').config();
 
 const rawPool = new Pool({
@@ -34,6 +35,8 @@ async function testConnections() {
     console.error('❌ Failed to connect to Clean Database:', error.message);
     throw error;
   }
+
+  return true;
 }
 
 /**
@@ -167,14 +170,54 @@ async function findJobByCompanyTitlePlatform(companyId, title, platformId) {
   }
 }
 
+/**
+ * Overwrite an existing job post with freshly transformed data (reprocessing)
+ */
+async function updateJobPost(jobId, jobData) {
+  await cleanPool.query(
+    `UPDATE JobPost SET
+      CompanyId = $2, Title = $3, Description = $4, SalaryPerMonth = $5, CurrencyId = $6,
+      ExperienceLevelId = $7, Location = $8, CountryCode = $9, ApplicantCount = $10,
+      PostedDate = $11, PlatformId = $12, CrawledTime = $13,
+      Status = COALESCE($14, Status), FirstSeen = COALESCE($15, FirstSeen),
+      LastSeen = COALESCE($16, LastSeen), ClosedAt = $17
+    WHERE Id = $1`,
+    [
+      jobId,
+      jobData.company_id,
+      jobData.title,
+      jobData.description,
+      jobData.salary_per_month,
+      jobData.currency_id,
+      jobData.experience_level_id,
+      jobData.location,
+      jobData.country_code,
+      jobData.applicant_count,
+      jobData.posted_date,
+      jobData.platform_id,
+      jobData.crawled_time,
+      jobData.status,
+      jobData.first_seen,
+      jobData.last_seen,
+      jobData.closed_at
+    ]
+  );
+}
+
 /**
  * Create job post with duplicate checking
- * Returns { created: boolean, jobId: UUID }
+ * Raw jobs reset for reprocessing (jobData.reprocess) update the job post with their URL instead.
+ * Returns { created: boolean, updated?: boolean, jobId: UUID }
  */
 async function createJobPost(jobData) {
   try {
     // Check for duplicate by URL
     let existingJobId = await findJobByUrl(jobData.post_url);
+    if (existingJobId && jobData.reprocess) {
+      await updateJobPost(existingJobId, jobData);
+      console.log(`  🔄 Updated reprocessed job: ${jobData.title} (${existingJobId})`);
+      return { created: false, updated: true, jobId: existingJobId };
+    }
     if (existingJobId) {
       console.log(`  ⏭️  Job already exists (URL): ${jobData.title} (${existingJobId})`);
       return { created: false, jobId: existingJobId };
@@ -196,8 +239,10 @@ async function createJobPost(jobData) {
       `INSERT INTO JobPost (
         CompanyId, Title, Description, SalaryPerMonth, CurrencyId,
         ExperienceLevelId, Location, CountryCode, ApplicantCount,
-        PostedDate, PlatformId, PostUrl, CrawledTime
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        PostedDate, PlatformId, PostUrl, CrawledTime,
+        Status, FirstSeen, LastSeen, ClosedAt
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+        COALESCE($14, 'open'), $15, $16, $17)
       RETURNING Id`,
       [
         jobData.company_id,
@@ -212,7 +257,11 @@ async function createJobPost(jobData) {
         jobData.posted_date,
         jobData.platform_id,
         jobData.post_url,
-        jobData.crawled_time
+        jobData.crawled_time,
+        jobData.status,
+        jobData.first_seen,
+        jobData.last_seen,
+        jobData.closed_at
       ]
     );
 
@@ -261,17 +310,17 @@ async function getPlatformId(platformName) {
 }
 
 /**
- * Get unprocessed jobs from raw database
+ * Get unprocessed jobs of a platform (case-insensitive) from raw database
  */
-async function getUnprocessedJobs(limit = 100) {
+async function getUnprocessedJobs(platformName, limit = 100) {
   const result = await rawPool.query(
     `SELECT jp.*, c.company_name, c.location as company_location, c.url as company_url
      FROM job_posting jp
      LEFT JOIN company c ON jp.company_id = c.company_id
-     WHERE jp.processed = FALSE
+     WHERE jp.processed = FALSE AND LOWER(jp.platform) = LOWER($1)
      ORDER BY jp.crawled_time ASC
-     LIMIT $1`,
-    [limit]
+     LIMIT $2`,
+    [platformName, limit]
   );
   return result.rows;
 }
@@ -286,15 +335,36 @@ async function markJobsAsProcessed(jobIds) {
 
   const result = await rawPool.query(
     `UPDATE job_posting 
-     SET processed = TRUE, processed_at = CURRENT_TIMESTAMP
+     SET processed = TRUE, processed_at = CURRENT_TIMESTAMP, reprocess_requested_at = NULL
      WHERE job_id = ANY($1)
-     RETURNING job_id`,
+     RETURNING job_id, url, platform`,
     [jobIds]
   );
   
+  await publishJobEvents(rawPool, 'job.processed', result.rows);
+  
   return { processed: result.rowCount };
 }
 
+/**
+ * Record a processing cycle in the raw database (read by the raw API's pipeline health check)
+ * Cycles older than 30 days are deleted. Failures are logged only.
+ */
+async function recordProcessorCycle({ status, processed, succeeded, failed, error = null, startedAt }) {
+  try {
+    await rawPool.query(
+      `INSERT INTO processor_cycle (status, processed, succeeded, failed, error, started_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [status, processed, succeeded, failed, error, startedAt]
+    );
+    await rawPool.query(
+      `DELETE FROM processor_cycle WHERE finished_at < CURRENT_TIMESTAMP - INTERVAL '30 days'`
+    );
+  } catch (err) {
+    console.error('❌ Failed to record processor cycle:', err.message);
+  }
+}
+
 /**
  * Get statistics
  */
@@ -319,6 +389,14 @@ async function getStats() {
   };
 }
 
+/**
+ * Close both pools (processor shutdown)
+ */
+async function close() {
+  await rawPool.end();
+  await cleanPool.end();
+}
+
 module.exports = {
   rawPool,
   cleanPool,
@@ -333,6 +411,7 @@ module.exports = {
   findJobByUrl,
   findJobByCompanyTitlePlatform,
   createJobPost,
+  updateJobPost,
   
   // Lookup tables
   getCurrencyId,
@@ -342,7 +421,9 @@ module.exports = {
   // Raw database operations
   getUnprocessedJobs,
   markJobsAsProcessed,
+  recordProcessorCycle,
   
   // Statistics
   getStats,
+  close,
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+const http = require('http');
+const client = require('prom-client');
+const logger = require('./logger');
+const { rawPool, cleanPool } = require('./database');
+
+// Prometheus exporter of the data processor
+// Names and labels match the Raw API's /metrics (jobcrawler-raw-api/services/metrics.js):
+// every metric starts with jobcrawler_, `platform` is the job_posting.platform value,
+// and `service` tells the two apart.
+
+const register = new client.Registry();
+register.setDefaultLabels({ service: 'data-processor' });
+client.collectDefaultMetrics({ register });
+
+const cycleDuration = new client.Histogram({
+  name: 'jobcrawler_processor_cycle_duration_seconds',
+  help: 'Duration of one processAllPlatforms cycle',
+  buckets: [1, 5, 10, 30, 60, 120, 300, 600, 1800],
+  registers: [register]
+});
+
+const lastCycle = new client.Gauge({
+  name: 'jobcrawler_processor_last_cycle_timestamp_seconds',
+  help: 'Unix time at which the last processing cycle finished',
+  registers: [register]
+});
+
+const jobsTransformed = new client.Counter({
+  name: 'jobcrawler_jobs_transformed_total',
+  help: 'Raw jobs transformed by a platform processor',
+  labelNames: ['platform'],
+  registers: [register]
+});
+
+const jobsFailed = new client.Counter({
+  name: 'jobcrawler_jobs_failed_total',
+  help: 'Raw jobs that could not be processed; stage is transform or insert',
+  labelNames: ['platform', 'stage'],
+  registers: [register]
+});
+
+const aiCalls = new client.Counter({
+  name: 'jobcrawler_ai_calls_total',
+  help: 'AI provider requests; status is success or error',
+  labelNames: ['provider', 'status'],
+  registers: [register]
+});
+
+const aiSpend = new client.Counter({
+  name: 'jobcrawler_ai_spend_usd_total',
+  help: 'Estimated AI spend in USD (ai.cost_per_call in config/global.yaml per successful call)',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'jobcrawler_jobs_unprocessed',
+  help: 'Raw jobs waiting to be processed',
+  labelNames: ['platform'],
+  registers: [register],
+  async collect() {
+    const result = await rawPool.query(
+      `SELECT platform, COUNT(*)::int AS count
+       FROM job_posting
+       WHERE processed = FALSE
+       GROUP BY platform`
+    );
+
+    // Platforms without a backlog any more disappear from the scrape
+    this.reset();
+    for (const { platform, count } of result.rows) {
+      this.set({ platform }, count);
+    }
+  }
+});
+
+const POOLS = { raw: rawPool, clean: cleanPool };
+
+new client.Gauge({
+  name: 'jobcrawler_db_pool_connections',
+  help: 'Database pool connections; state is total, idle or waiting (queued clients)',
+  labelNames: ['database', 'state'],
+  registers: [register],
+  collect() {
+    for (const [database, pool] of Object.entries(POOLS)) {
+      this.set({ database, state: 'total' }, pool.totalCount);
+      this.set({ database, state: 'idle' }, pool.idleCount);
+      this.set({ database, state: 'waiting' }, pool.waitingCount);
+    }
+  }
+});
+
+/**
+ * Serve GET /metrics on METRICS_PORT (default 9464, 0 disables it)
+ * Requires "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set.
+ */
+function startMetricsServer() {
+  const port = parseInt(process.env.METRICS_PORT ?? '9464');
+  const token = process.env.METRICS_TOKEN;
+
+  if (!port) return null;
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      res.writeHead(401).end();
+      return;
+    }
+
+    try {
+      const body = await register.metrics();
+      res.writeHead(200, { 'Content-Type': register.contentType }).end(body);
+    } catch (error) {
+      logger.error('Failed to collect metrics:', error.message);
+      res.writeHead(500).end();
+    }
+  });
+
+  server.listen(port, () => logger.info(`📈 Metrics exporter listening on :${port}/metrics`));
+  server.unref();
+  return server;
+}
+
+module.exports = {
+  register,
+  cycleDuration,
+  lastCycle,
+  jobsTransformed,
+  jobsFailed,
+  aiCalls,
+  aiSpend,
+  startMetricsServer,
+};
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { jobStatusCondition, buildJobSearchConditions } = require('jobcrawler-shared/job_filters');
+
+test('jobStatusCondition keeps open jobs by default and checks the status', () => {
+  assert.strictEqual(jobStatusCondition(), "jp.Status = 'open'");
+  assert.strictEqual(jobStatusCondition('closed', 'j'), "j.Status = 'closed'");
+  assert.strictEqual(jobStatusCondition('all'), 'TRUE');
+  assert.throws(() => jobStatusCondition("open' OR '1'='1"), /status must be one of: open, closed, all/);
+});
+
+test('buildJobSearchConditions numbers params from startIndex', () => {
+  const { conditions, params } = buildJobSearchConditions({
+    title: 'developer',
+    minSalary: 1000,
+    platform: 'LinkedIn',
+    postedFrom: '2025-12-01',
+    status: 'all'
+  }, 3);
+
+  assert.deepStrictEqual(conditions, [
+    'TRUE',
+    'jp.Title ILIKE $3',
+    'jp.SalaryPerMonth >= $4',
+    'p.Name = $5',
+    'jp.PostedDate >= $6'
+  ]);
+  assert.deepStrictEqual(params, ['%developer%', 1000, 'LinkedIn', '2025-12-01']);
+});
+
+test('buildJobSearchConditions without filters keeps only open jobs', () => {
+  assert.deepStrictEqual(buildJobSearchConditions(), { conditions: ["jp.Status = 'open'"], params: [] });
+});
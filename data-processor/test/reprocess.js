@@ -0,0 +1,88 @@
+const db = require('../services/database');
+const { hasFilter, countReprocessJobs, resetProcessedJobs } = require('jobcrawler-shared/reprocess');
+
+function parseArgs(args) {
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const jobIds = valueOf('--job-ids');
+
+  return {
+    platform: valueOf('--platform'),
+    crawledFrom: valueOf('--from'),
+    crawledTo: valueOf('--to'),
+    crawlRunId: valueOf('--crawl-run'),
+    jobIds: jobIds ? jobIds.split(',').map(id => id.trim()).filter(Boolean) : undefined,
+    cleanSalaryNull: args.includes('--salary-null')
+  };
+}
+
+function printUsage() {
+  console.log('Usage: node test/reprocess.js [filters] [--execute]\n');
+  console.log('Filters (at least one, combined with AND):');
+  console.log('  --platform <name>      Raw platform name, e.g. LinkedIn');
+  console.log('  --from <date>          Crawled at or after this date');
+  console.log('  --to <date>            Crawled before this date');
+  console.log('  --crawl-run <uuid>     Jobs ingested by this crawl run');
+  console.log('  --job-ids <id,id,...>  Raw job IDs');
+  console.log('  --salary-null          Jobs whose clean JobPost has no salary\n');
+}
+
+function printPlatforms(platforms) {
+  platforms.forEach(({ platform, count }) => {
+    console.log(`  ${platform}: ${count}`);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = !args.includes('--execute');
+  const filter = parseArgs(args);
+
+  console.log('='.repeat(60));
+  console.log('🔄 Reprocess Utility');
+  console.log('='.repeat(60));
+
+  if (!hasFilter(filter)) {
+    printUsage();
+    process.exitCode = 1;
+    await db.rawPool.end();
+    await db.cleanPool.end();
+    return;
+  }
+
+  if (dryRun) {
+    console.log('\n⚠️  DRY RUN MODE - No changes will be made');
+    console.log('Use --execute flag to reset the matching jobs\n');
+  } else {
+    console.log('\n⚠️  LIVE MODE - Changes will be made to the database!\n');
+  }
+
+  try {
+    await db.testConnections();
+    console.log('');
+
+    if (dryRun) {
+      const { matched, platforms } = await countReprocessJobs(db.rawPool, db.cleanPool, filter);
+      console.log(`📊 ${matched} processed jobs match the filter`);
+      printPlatforms(platforms);
+      console.log('\nℹ️  This was a dry run. Use --execute to apply changes.');
+    } else {
+      const { reset, platforms } = await resetProcessedJobs(db.rawPool, db.cleanPool, filter);
+      console.log(`✅ Reset ${reset} jobs for reprocessing`);
+      printPlatforms(platforms);
+      console.log('\nℹ️  The next processor cycle updates their existing job posts.');
+    }
+
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.rawPool.end();
+    await db.cleanPool.end();
+  }
+}
+
+main();
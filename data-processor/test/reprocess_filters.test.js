@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { hasFilter, buildReprocessConditions, countReprocessJobs } = require('jobcrawler-shared/reprocess');
+
+test('hasFilter ignores empty values', () => {
+  assert.strictEqual(hasFilter(), false);
+  assert.strictEqual(hasFilter({ platform: '', jobIds: [], cleanSalaryNull: false }), false);
+  assert.strictEqual(hasFilter({ jobIds: ['5d0a2bee-7da5-4734-8781-8d8216fb3cb4'] }), true);
+});
+
+test('buildReprocessConditions refuses to select every job', () => {
+  assert.throws(() => buildReprocessConditions({}), /At least one reprocess filter is required/);
+});
+
+test('buildReprocessConditions only selects processed jobs matching every filter', () => {
+  const { conditions, params } = buildReprocessConditions({
+    platform: 'LinkedIn',
+    crawledFrom: '2025-12-01',
+    crawledTo: '2025-12-08',
+    cleanSalaryNull: true
+  });
+
+  assert.deepStrictEqual(conditions, [
+    'jp.processed = TRUE',
+    'LOWER(jp.platform) = LOWER($1)',
+    'jp.crawled_time >= $2',
+    'jp.crawled_time < $3',
+    'jp.url = ANY($4::text[])'
+  ]);
+  // The clean URLs are set per page
+  assert.deepStrictEqual(params, ['LinkedIn', '2025-12-01', '2025-12-08', null]);
+});
+
+test('cleanSalaryNull pages through the clean URLs', async () => {
+  const cleanUrls = ['a', 'b', 'c', 'd', 'e'].map(id => `https://www.linkedin.com/jobs/view/${id}`);
+  const pages = [];
+
+  // Stand in for the pools: the clean one pages by PostUrl, the raw one counts the URLs it gets
+  const cleanPool = {
+    query: async (sql, [after, limit]) => ({
+      rows: cleanUrls.filter(url => url > after).slice(0, limit).map(posturl => ({ posturl }))
+    })
+  };
+  const rawPool = {
+    query: async (sql, params) => {
+      const urls = params[params.length - 1];
+      pages.push(urls);
+      return { rows: [{ platform: 'LinkedIn', count: urls.length }] };
+    }
+  };
+
+  const counted = await countReprocessJobs(rawPool, cleanPool, { cleanSalaryNull: true }, 2);
+
+  assert.deepStrictEqual(pages.map(urls => urls.length), [2, 2, 1]);
+  assert.deepStrictEqual(pages.flat(), cleanUrls);
+  assert.deepStrictEqual(counted, { matched: 5, platforms: [{ platform: 'LinkedIn', count: 5 }] });
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const LinkedInProcessor = require('../processors/LinkedInProcessor');
+
+// Paths in the configs are relative to the data-processor directory (as with npm start)
+const globalConfig = yaml.load(fs.readFileSync('config/global.yaml', 'utf8'));
+
+const rawJob = {
+  job_id: '5d0a2bee-7da5-4734-8781-8d8216fb3cb4',
+  job_title: 'Backend Engineer',
+  platform: 'LinkedIn',
+  url: 'https://www.linkedin.com/jobs/view/111',
+  description: '<p>Build <b>APIs</b></p>',
+  experience_level: 'Mid-Senior level',
+  location: 'Ho Chi Minh City, Vietnam',
+  listed_time: '2025-12-01',
+  applies: '12',
+  crawled_time: new Date('2025-12-02T10:00:00Z'),
+  company_name: 'Acme',
+  company_location: 'Ho Chi Minh City',
+  company_url: 'https://www.acme.example.com/about',
+  status: 'closed',
+  first_seen_at: new Date('2025-12-01T08:00:00Z'),
+  last_seen_at: new Date('2025-12-05T08:00:00Z'),
+  closed_at: new Date('2025-12-08T08:00:00Z'),
+  reprocess_requested_at: null
+};
+
+test('transformJob maps a raw job to the fields createJobPost writes', async () => {
+  const processor = new LinkedInProcessor();
+  const job = await processor.transformJob(rawJob, globalConfig);
+
+  assert.deepStrictEqual(job.company, {
+    name: 'Acme',
+    location: 'Ho Chi Minh City',
+    domain: 'www.acme.example.com'
+  });
+  assert.strictEqual(job.title, 'Backend Engineer');
+  assert.strictEqual(job.description, 'Build APIs');
+  assert.strictEqual(job.experienceLevelId, globalConfig.reference_tables.experience_levels.Senior);
+  assert.strictEqual(job.platformId, globalConfig.reference_tables.platforms.LinkedIn);
+  assert.strictEqual(job.postUrl, rawJob.url);
+  assert.strictEqual(job.applicantCount, 12);
+  assert.strictEqual(job.rawJobId, rawJob.job_id);
+});
+
+test('transformJob flags jobs reset for reprocessing', async () => {
+  const processor = new LinkedInProcessor();
+
+  const job = await processor.transformJob(rawJob, globalConfig);
+  assert.strictEqual(job.reprocess, false);
+
+  const reset = await processor.transformJob({ ...rawJob, reprocess_requested_at: new Date() }, globalConfig);
+  assert.strictEqual(reset.reprocess, true);
+});
+
+test('transformJob carries the lifecycle fields', async () => {
+  const processor = new LinkedInProcessor();
+  const job = await processor.transformJob(rawJob, globalConfig);
+
+  assert.strictEqual(job.status, 'closed');
+  assert.strictEqual(job.firstSeen, rawJob.first_seen_at);
+  assert.strictEqual(job.lastSeen, rawJob.last_seen_at);
+  assert.strictEqual(job.closedAt, rawJob.closed_at);
+});
@@ -0,0 +1,108 @@
+/**
+ * Job lifecycle: closing jobs no longer listed on their platform.
+ *
+ * Crawlers report the URLs still live on a platform to the Raw API
+ * (POST /api/jobposts/seen), which bumps job_posting.last_seen_at and records the
+ * report time per platform in platform_seen_report. Jobs of a reporting platform
+ * not seen for the grace period before its latest report are closed here, and
+ * every lifecycle change is then copied to the clean JobPost by URL.
+ *
+ * Callers pass their own pools, like shared/reprocess.js.
+ */
+
+const SYNC_BATCH_SIZE = 1000;
+
+/**
+ * Close open jobs not seen within graceHours of their platform's latest report
+ * Platforms that never reported are left alone.
+ * Returns { closed, platforms: [{ platform, count }] }
+ */
+async function closeUnseenJobs(rawPool, graceHours) {
+  const result = await rawPool.query(
+    `WITH closed AS (
+       UPDATE job_posting jp
+       SET status = 'closed', closed_at = CURRENT_TIMESTAMP, lifecycle_changed_at = CURRENT_TIMESTAMP
+       FROM platform_seen_report r
+       WHERE jp.status = 'open'
+         AND LOWER(jp.platform) = r.platform
+         AND jp.last_seen_at < r.last_reported_at - make_interval(hours => $1)
+       RETURNING jp.platform
+     )
+     SELECT platform, COUNT(*)::int AS count FROM closed GROUP BY platform ORDER BY count DESC`,
+    [graceHours]
+  );
+
+  return {
+    closed: result.rows.reduce((sum, row) => sum + row.count, 0),
+    platforms: result.rows
+  };
+}
+
+/**
+ * Copy Status, FirstSeen, LastSeen and ClosedAt of changed raw jobs to JobPost
+ * Only processed jobs are copied (the others get them when they are processed).
+ * Rows are locked while copied, so a job seen meanwhile stays flagged for the next run.
+ * Returns the number of JobPost rows updated
+ */
+async function syncJobLifecycle(rawPool, cleanPool, batchSize = SYNC_BATCH_SIZE) {
+  let total = 0;
+
+  for (;;) {
+    const client = await rawPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const changed = await client.query(
+        `SELECT job_id, url, status, first_seen_at, last_seen_at, closed_at
+         FROM job_posting
+         WHERE lifecycle_changed_at IS NOT NULL AND processed = TRUE
+         ORDER BY lifecycle_changed_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED`,
+        [batchSize]
+      );
+      const rows = changed.rows;
+
+      if (rows.length > 0) {
+        const updated = await cleanPool.query(
+          `UPDATE JobPost jp
+           SET Status = c.status, FirstSeen = c.first_seen, LastSeen = c.last_seen, ClosedAt = c.closed_at
+           FROM UNNEST($1::text[], $2::text[], $3::timestamp[], $4::timestamp[], $5::timestamp[])
+             AS c(url, status, first_seen, last_seen, closed_at)
+           WHERE jp.PostUrl = c.url
+             AND (jp.Status, jp.FirstSeen, jp.LastSeen, jp.ClosedAt)
+                 IS DISTINCT FROM (c.status, c.first_seen, c.last_seen, c.closed_at)`,
+          [
+            rows.map(row => row.url),
+            rows.map(row => row.status),
+            rows.map(row => row.first_seen_at),
+            rows.map(row => row.last_seen_at),
+            rows.map(row => row.closed_at)
+          ]
+        );
+
+        await client.query(
+          'UPDATE job_posting SET lifecycle_changed_at = NULL WHERE job_id = ANY($1::uuid[])',
+          [rows.map(row => row.job_id)]
+        );
+
+        total += updated.rowCount;
+      }
+
+      await client.query('COMMIT');
+
+      if (rows.length < batchSize) return total;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  closeUnseenJobs,
+  syncJobLifecycle,
+};
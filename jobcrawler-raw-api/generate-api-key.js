@@ -1,35 +1,28 @@
-const { Pool } = require('pg');
-const crypto = require('crypto');
-require('dotenv').config();
+const { cleanPool } = require('./services/database');
+const { API_KEY_SCOPES, createApiKey } = require('./services/api_keys');
 
-const cleanPool = new Pool({
-  host: process.env.CLEAN_DB_HOST,
-  port: process.env.CLEAN_DB_PORT,
-  database: process.env.CLEAN_DB_NAME,
-  user: process.env.CLEAN_DB_USER,
-  password: process.env.CLEAN_DB_PASSWORD,
-});
-
-async function generateApiKey(keyName, createdBy) {
-  const apiKey = crypto.randomBytes(32).toString('hex');
+async function generateApiKey(keyName, createdBy, scopes) {
+  const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    console.error(`❌ Unknown scope(s): ${invalid.join(', ')} (valid: ${API_KEY_SCOPES.join(', ')})`);
+    process.exit(1);
+  }
   
   try {
-    const result = await cleanPool.query(
-      `INSERT INTO ApiKeys (KeyName, ApiKey, IsActive, CreatedBy)
-       VALUES ($1, $2, TRUE, $3)
-       RETURNING *`,
-      [keyName, apiKey, createdBy]
-    );
+    const { key, apiKey } = await createApiKey({ keyName, createdBy, scopes });
     
     console.log('✅ API Key Generated Successfully!');
     console.log('='.repeat(60));
-    console.log('Key Name:', result.rows[0].keyname);
-    console.log('API Key:', result.rows[0].apikey);
-    console.log('Created By:', result.rows[0].createdby);
-    console.log('Created At:', result.rows[0].createdat);
+    console.log('Key Name:', key.key_name);
+    console.log('API Key:', apiKey);
+    console.log('Key Prefix:', key.key_prefix);
+    console.log('Created By:', key.created_by);
+    console.log('Scopes:', key.scopes.join(', '));
+    console.log('Created At:', key.created_at);
     console.log('='.repeat(60));
-    console.log('\n⚠️  Save this API key securely! It won\'t be shown again.\n');
+    console.log('\n⚠️  Save this API key securely! Only its hash is stored, it can\'t be shown again.\n');
     
+    await cleanPool.end();
     process.exit(0);
   } catch (error) {
     console.error('❌ Error generating API key:', error.message);
@@ -39,5 +32,6 @@ async function generateApiKey(keyName, createdBy) {
 
 const keyName = process.argv[2] || 'default-crawler';
 const createdBy = process.argv[3] || 'admin';
+const scopes = (process.argv[4] || 'ingest').split(',').map(scope => scope.trim()).filter(Boolean);
 
-generateApiKey(keyName, createdBy);
\ No newline at end of file
+generateApiKey(keyName, createdBy, scopes);
@@ -0,0 +1,133 @@
+// Request schemas for the admin routes (see utils/validator.js)
+
+const { API_KEY_SCOPES } = require('../services/api_keys');
+const { WEBHOOK_EVENTS } = require('../services/webhooks');
+
+// Settings shared by create and update; null clears a setting on update
+const apiKeySettings = {
+  scopes: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: API_KEY_SCOPES },
+    description: 'admin implies every other scope'
+  },
+  allowed_platforms: {
+    type: 'array',
+    items: { type: 'string', minLength: 1, maxLength: 100 },
+    description: 'Platform names this key may write, null for any'
+  },
+  rate_limit_max: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Requests per rate limit window, null for API_KEY_RATE_LIMIT'
+  },
+  expires_at: {
+    type: 'string',
+    format: 'date-time',
+    description: 'null for no expiry'
+  }
+};
+
+const createApiKeySchema = {
+  type: 'object',
+  required: ['key_name'],
+  properties: {
+    key_name: { type: 'string', minLength: 1, maxLength: 100 },
+    ...apiKeySettings
+  }
+};
+
+const updateApiKeySchema = {
+  type: 'object',
+  properties: apiKeySettings
+};
+
+const rotateApiKeySchema = {
+  type: 'object',
+  properties: {
+    grace_minutes: {
+      type: 'integer',
+      minimum: 0,
+      description: 'How long the old key keeps working, default API_KEY_ROTATION_GRACE_MINUTES'
+    }
+  }
+};
+
+const webhookSettings = {
+  url: { type: 'string', format: 'uri', description: 'Receives a signed POST per event' },
+  secret: {
+    type: 'string',
+    minLength: 16,
+    maxLength: 255,
+    description: 'HMAC key for X-Webhook-Signature, generated when omitted'
+  },
+  events: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: WEBHOOK_EVENTS }
+  },
+  platforms: {
+    type: 'array',
+    items: { type: 'string', minLength: 1, maxLength: 100 },
+    description: 'Only events for these platforms, null for any (import.completed has no platform)'
+  },
+  description: { type: 'string', maxLength: 500 }
+};
+
+const createWebhookSchema = {
+  type: 'object',
+  required: ['url', 'events'],
+  properties: webhookSettings
+};
+
+const updateWebhookSchema = {
+  type: 'object',
+  properties: {
+    ...webhookSettings,
+    is_active: { type: 'boolean' }
+  }
+};
+
+const companyAliasSchema = {
+  type: 'object',
+  required: ['alias'],
+  properties: {
+    alias: { type: 'string', minLength: 1, maxLength: 500, description: 'Compared after normalization' }
+  }
+};
+
+// Filters are combined with AND; at least one is required
+const reprocessSchema = {
+  type: 'object',
+  properties: {
+    platform: { type: 'string', minLength: 1, maxLength: 100 },
+    crawled_from: { type: 'string', format: 'date-time', description: 'Crawled at or after' },
+    crawled_to: { type: 'string', format: 'date-time', description: 'Crawled before' },
+    crawl_run_id: { type: 'string', format: 'uuid' },
+    job_ids: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10000,
+      items: { type: 'string', format: 'uuid' }
+    },
+    clean_salary_null: {
+      type: 'boolean',
+      description: 'Jobs whose clean JobPost has no SalaryPerMonth'
+    },
+    dry_run: {
+      type: 'boolean',
+      default: true,
+      description: 'Only count the matching jobs; false resets them'
+    }
+  }
+};
+
+module.exports = {
+  createApiKeySchema,
+  updateApiKeySchema,
+  rotateApiKeySchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  reprocessSchema,
+  companyAliasSchema,
+};
@@ -0,0 +1,28 @@
+// Request schemas for the crawl run routes (see utils/validator.js)
+
+const { CRAWL_RUN_STATUSES } = require('../services/crawl_runs');
+
+const createCrawlRunSchema = {
+  type: 'object',
+  required: ['platform'],
+  properties: {
+    platform: { type: 'string', minLength: 1, maxLength: 100, description: 'Exact Name from the clean Platform table' },
+    crawler_version: { type: 'string', maxLength: 100 },
+    parameters: { type: 'object', description: 'Crawler settings for this run, stored as-is' }
+  }
+};
+
+const closeCrawlRunSchema = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: CRAWL_RUN_STATUSES.filter(status => status !== 'running') },
+    counters: { type: 'object', description: 'Crawler-reported totals, e.g. { "pages": 48, "found": 960 }' },
+    error: { type: 'string', description: 'Why the run failed or was aborted' }
+  }
+};
+
+module.exports = {
+  createCrawlRunSchema,
+  closeCrawlRunSchema,
+};
@@ -0,0 +1,13 @@
+// Request schemas for the ETL routes used by the data processor (see utils/validator.js)
+
+const markProcessedSchema = {
+  type: 'object',
+  required: ['job_ids'],
+  properties: {
+    job_ids: { type: 'array', minItems: 1, items: { type: 'string', format: 'uuid' } }
+  }
+};
+
+module.exports = {
+  markProcessedSchema,
+};
@@ -0,0 +1,106 @@
+// Request schemas for the ingestion routes (see utils/validator.js)
+// Lengths follow the raw_schema.sql columns.
+
+const PAY_PERIODS = ['hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+
+const companySchema = {
+  type: 'object',
+  required: ['company_name'],
+  properties: {
+    company_name: { type: 'string', minLength: 1, maxLength: 500 },
+    location: { type: 'string', maxLength: 500 },
+    description: { type: 'string' },
+    url: { type: 'string', format: 'uri' }
+  }
+};
+
+const benefitSchema = {
+  anyOf: [
+    { type: 'string', maxLength: 255 },
+    {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', maxLength: 255 },
+        inferred: { type: 'string' }
+      }
+    }
+  ],
+  'x-message': 'must be a string or { type, inferred } with type at most 255 characters'
+};
+
+// A list, or one string separated by ";", "|" or newlines (CSV column)
+const benefitsSchema = {
+  anyOf: [
+    { type: 'array', items: benefitSchema },
+    { type: 'string' }
+  ],
+  'x-message': 'must be an array of strings / { type, inferred } objects, or a ";"-separated string'
+};
+
+// company_id is also required unless the route accepts an embedded `company` (checked in validateJob)
+const jobPostingSchema = {
+  type: 'object',
+  required: ['job_title', 'url', 'platform'],
+  description: 'company_id is required, except on routes that accept a nested company object instead',
+  properties: {
+    company_id: { type: 'string', format: 'uuid' },
+    company: companySchema,
+    job_title: { type: 'string', minLength: 1, maxLength: 1000 },
+    description: { type: 'string' },
+    salary: { type: ['string', 'number'], maxLength: 255 },
+    pay_period: { type: 'string', enum: PAY_PERIODS },
+    work_type: { type: 'string', maxLength: 50 },
+    experience_level: { type: 'string', maxLength: 255 },
+    location: { type: 'string', maxLength: 500 },
+    applies: { type: 'integer', minimum: 0, description: 'Number of applicants' },
+    listed_time: { type: 'string', format: 'date-time', description: 'ISO 8601 date or date-time' },
+    currency: { type: 'string', maxLength: 20 },
+    valid_through: { type: 'string', format: 'date-time', description: 'Application deadline, ISO 8601 date or date-time' },
+    platform: { type: 'string', minLength: 1, maxLength: 100, description: 'Exact Name from the clean Platform table' },
+    url: { type: 'string', format: 'uri' },
+    benefits: benefitsSchema,
+    crawl_run_id: {
+      type: 'string',
+      format: 'uuid',
+      description: 'Open crawl run (POST /api/crawl-runs); batch routes take it once per request instead'
+    }
+  }
+};
+
+// Rows are validated one by one (per-index errors), the envelope only needs a non-empty array
+const bulkJobsSchema = {
+  type: 'object',
+  required: ['jobs'],
+  properties: {
+    jobs: { type: 'array', minItems: 1 },
+    crawl_run_id: { type: 'string', format: 'uuid', description: 'Open crawl run the jobs belong to' }
+  }
+};
+
+const addBenefitsSchema = {
+  type: 'object',
+  required: ['benefits'],
+  properties: {
+    benefits: benefitsSchema
+  }
+};
+
+// Listing pages a crawler walked: every job URL still live on the platform
+const seenJobsSchema = {
+  type: 'object',
+  required: ['platform', 'urls'],
+  properties: {
+    platform: { type: 'string', minLength: 1, maxLength: 100, description: 'Exact Name from the clean Platform table' },
+    urls: { type: 'array', minItems: 1, maxItems: 10000, items: { type: 'string', format: 'uri' } }
+  }
+};
+
+module.exports = {
+  PAY_PERIODS,
+  companySchema,
+  jobPostingSchema,
+  bulkJobsSchema,
+  addBenefitsSchema,
+  seenJobsSchema,
+};
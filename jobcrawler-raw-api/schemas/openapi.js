@@ -0,0 +1,1070 @@
+// OpenAPI 3.1 document for the Raw API
+// Paths, scopes and JSON request bodies are read from the registered Express routes
+// (requireScope and validateBody tag their middleware), so they always match the code.
+// ROUTE_DOCS only adds summaries, query parameters and response shapes.
+
+const { companySchema, jobPostingSchema } = require('./ingestion');
+const { CRAWL_RUN_STATUSES } = require('../services/crawl_runs');
+const { SNAPSHOT_CONTENT_TYPES } = require('../services/snapshots');
+const { version } = require('../package.json');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema, description = 'OK') => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+const UPSERT_PARAM = query(
+  'upsert',
+  { type: 'string', enum: ['true', '1'] },
+  'Update jobs whose URL already exists instead of skipping them'
+);
+
+const CRAWL_RUN_PARAM = query(
+  'crawl_run_id',
+  { type: 'string', format: 'uuid' },
+  'Open crawl run the jobs belong to (POST /api/crawl-runs)'
+);
+
+// Response and shared shapes (request bodies come from the route schemas)
+const COMPONENT_SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: { error: { type: 'string' } }
+  },
+  FieldError: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', examples: ['listed_time'] },
+      message: { type: 'string', examples: ['must be an ISO 8601 date or date-time'] }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', const: 'Validation failed' },
+      fields: { type: 'array', items: ref('FieldError') }
+    }
+  },
+  RowError: {
+    type: 'object',
+    description: 'A job that was not written; index is the array index, NDJSON line or CSV row',
+    properties: {
+      index: { type: 'integer' },
+      job_title: { type: 'string' },
+      url: { type: 'string' },
+      error: { type: 'string' },
+      fields: { type: 'array', items: ref('FieldError') }
+    }
+  },
+  BulkValidationError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', const: 'Validation failed' },
+      errors: { type: 'array', items: ref('RowError') }
+    }
+  },
+  JobStatus: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'Canonical URL' },
+      job_id: { type: 'string', format: 'uuid' },
+      company_id: { type: 'string', format: 'uuid', description: 'Resolved from a nested company when one was sent' },
+      status: { type: 'string', enum: ['created', 'updated', 'unchanged'] }
+    }
+  },
+  IngestResult: {
+    type: 'object',
+    description: 'updated and unchanged are only present in upsert mode; jobs in upsert mode, when jobs carried a nested company, ' +
+      'and always for JSON-LD (never for NDJSON)',
+    properties: {
+      total: { type: 'integer', description: 'NDJSON lines / JSON-LD postings read' },
+      created: { type: 'integer' },
+      skipped: { type: 'integer', description: 'Canonical URL or native job ID already stored or repeated in the payload' },
+      updated: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      benefits_created: { type: 'integer' },
+      error_count: { type: 'integer', description: 'NDJSON only: all errors, of which `errors` holds the first 100' },
+      errors: { type: 'array', items: ref('RowError') },
+      jobs: { type: 'array', items: ref('JobStatus') }
+    }
+  },
+  RawCompany: {
+    type: 'object',
+    properties: {
+      company_id: { type: 'string', format: 'uuid' },
+      company_name: { type: 'string' },
+      location: { type: ['string', 'null'] },
+      description: { type: ['string', 'null'] },
+      url: { type: ['string', 'null'] },
+      domain: { type: ['string', 'null'], description: 'Host of url without www., null for job boards and social sites' },
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  ResolvedCompany: {
+    allOf: [
+      ref('RawCompany'),
+      {
+        type: 'object',
+        properties: {
+          resolution: { type: 'string', enum: ['created', 'matched'] },
+          matched_by: { type: ['string', 'null'], enum: ['domain', 'name', null] }
+        }
+      }
+    ]
+  },
+  CompanyAlias: {
+    type: 'object',
+    properties: {
+      normalized_name: { type: 'string' },
+      alias: { type: 'string', description: 'Name as first seen' },
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  Readiness: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ready', 'unavailable'] },
+      databases: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['up', 'down'] },
+            latency_ms: { type: 'integer' },
+            error: { type: 'string' }
+          }
+        }
+      },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  ProcessorCycle: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['completed', 'failed'] },
+      processed: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      error: { type: ['string', 'null'] },
+      started_at: { type: 'string', format: 'date-time' },
+      finished_at: { type: 'string', format: 'date-time' },
+      age_seconds: { type: 'integer' }
+    }
+  },
+  PipelineStatus: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'degraded'] },
+      reasons: { type: 'array', items: { type: 'string' } },
+      oldest_unprocessed_age_seconds: { type: ['integer', 'null'] },
+      last_successful_cycle: { oneOf: [ref('ProcessorCycle'), { type: 'null' }] },
+      last_cycle: { oneOf: [ref('ProcessorCycle'), { type: 'null' }] },
+      backlog: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          platforms: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                platform: { type: 'string' },
+                unprocessed: { type: 'integer' },
+                oldest_crawled_time: { type: 'string', format: 'date-time' },
+                oldest_age_seconds: { type: 'integer' }
+              }
+            }
+          }
+        }
+      },
+      thresholds: { type: 'object', additionalProperties: { type: 'integer' } },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Benefit: {
+    type: 'object',
+    properties: {
+      benefit_id: { type: 'string', format: 'uuid' },
+      type: { type: 'string' },
+      inferred: { type: ['string', 'null'] }
+    }
+  },
+  RawJobPosting: {
+    type: 'object',
+    description: 'job_posting row; status is created or, in upsert mode, updated / unchanged',
+    properties: {
+      status: { type: 'string', enum: ['created', 'updated', 'unchanged'] },
+      job_id: { type: 'string', format: 'uuid' },
+      company_id: { type: 'string', format: 'uuid' },
+      job_title: { type: 'string' },
+      platform: { type: 'string' },
+      url: { type: 'string', description: 'Canonical URL (tracking parameters, trailing slash and host normalized)' },
+      original_url: { type: ['string', 'null'], description: 'URL as sent' },
+      platform_job_id: { type: ['string', 'null'], description: "Platform's native job ID, when the URL carries one" },
+      crawled_time: { type: 'string', format: 'date-time' },
+      processed: { type: 'boolean' },
+      api_key_id: { type: ['string', 'null'], format: 'uuid', description: 'Key that inserted the row' },
+      first_seen_at: { type: 'string', format: 'date-time' },
+      last_seen_at: { type: 'string', format: 'date-time', description: 'Inserted, sent again or reported by POST /api/jobposts/seen' },
+      benefits: { type: 'array', items: ref('Benefit') }
+    }
+  },
+  Snapshot: {
+    type: 'object',
+    properties: {
+      job_id: { type: 'string', format: 'uuid' },
+      content_hash: { type: 'string', description: 'SHA-256 of the uncompressed content, hex' },
+      content_type: { type: 'string' },
+      size_bytes: { type: 'integer' },
+      stored_bytes: { type: 'integer', description: 'Gzipped size on disk' },
+      deduplicated: { type: 'boolean', description: 'The same content was already stored' },
+      captured_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  ImportJob: {
+    type: 'object',
+    properties: {
+      import_id: { type: 'string', format: 'uuid' },
+      file_name: { type: 'string' },
+      status: { type: 'string', enum: ['pending', 'running', 'completed', 'failed'] },
+      rows_read: { type: 'integer' },
+      created: { type: 'integer' },
+      skipped: { type: 'integer' },
+      updated: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      failed: { type: 'integer' },
+      benefits_created: { type: 'integer' },
+      last_committed_row: { type: 'integer' },
+      crawl_run_id: { type: ['string', 'null'], format: 'uuid' },
+      error: { type: ['string', 'null'] },
+      created_at: { type: 'string', format: 'date-time' },
+      finished_at: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  CrawlRun: {
+    type: 'object',
+    properties: {
+      crawl_run_id: { type: 'string', format: 'uuid' },
+      platform: { type: 'string' },
+      crawler_version: { type: ['string', 'null'] },
+      parameters: { type: ['object', 'null'] },
+      status: { type: 'string', enum: CRAWL_RUN_STATUSES },
+      counters: { type: ['object', 'null'], description: 'Crawler-reported totals sent on close' },
+      error: { type: ['string', 'null'] },
+      created: { type: 'integer', description: 'Raw jobs attributed to the run' },
+      skipped: { type: 'integer' },
+      updated: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      errors: { type: 'integer' },
+      processed: { type: 'integer', description: 'Created jobs already processed by the data processor' },
+      created_by: { type: ['string', 'null'] },
+      started_at: { type: 'string', format: 'date-time' },
+      finished_at: { type: ['string', 'null'], format: 'date-time' },
+      duration_seconds: { type: 'integer' }
+    }
+  },
+  ImportAccepted: {
+    type: 'object',
+    properties: {
+      import_id: { type: 'string', format: 'uuid' },
+      status: { type: 'string' },
+      status_url: { type: 'string' },
+      errors_url: { type: 'string' }
+    }
+  },
+  CleanJob: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      title: { type: 'string' },
+      company_id: { type: 'string', format: 'uuid' },
+      company: { type: 'string' },
+      location: { type: ['string', 'null'] },
+      salary_per_month: { type: ['number', 'null'] },
+      currency: { type: ['string', 'null'] },
+      experience_level: { type: ['string', 'null'] },
+      platform: { type: 'string' },
+      posted_date: { type: ['string', 'null'], format: 'date' },
+      post_url: { type: 'string' },
+      crawled_time: { type: 'string', format: 'date-time' },
+      status: { type: 'string', enum: ['open', 'closed'], description: 'closed once no longer listed on its platform' },
+      first_seen: { type: ['string', 'null'], format: 'date-time', description: 'Only on GET /api/jobs/{id}' },
+      last_seen: { type: ['string', 'null'], format: 'date-time' },
+      closed_at: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  CleanJobPage: {
+    type: 'object',
+    properties: {
+      data: { type: 'array', items: ref('CleanJob') },
+      total: { type: 'integer' },
+      next_cursor: { type: ['string', 'null'], description: 'Pass as cursor for the next page, null on the last page' }
+    }
+  },
+  CleanCompany: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      name: { type: 'string' },
+      location: { type: ['string', 'null'] },
+      domain: { type: ['string', 'null'] },
+      job_count: { type: 'integer' },
+      latest_posted_date: { type: ['string', 'null'], format: 'date' }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      key_name: { type: 'string' },
+      key_prefix: { type: ['string', 'null'] },
+      hashed: { type: 'boolean' },
+      scopes: { type: 'array', items: { type: 'string' } },
+      allowed_platforms: { type: ['array', 'null'], items: { type: 'string' } },
+      rate_limit_max: { type: ['integer', 'null'] },
+      is_active: { type: 'boolean' },
+      expires_at: { type: ['string', 'null'], format: 'date-time' },
+      revoked_at: { type: ['string', 'null'], format: 'date-time' },
+      previous_key_prefix: { type: ['string', 'null'] },
+      previous_key_expires_at: { type: ['string', 'null'], format: 'date-time' },
+      last_used_at: { type: ['string', 'null'], format: 'date-time' },
+      usage_count: { type: 'integer' }
+    }
+  },
+  ApiKeyWithSecret: {
+    allOf: [
+      ref('ApiKey'),
+      {
+        type: 'object',
+        properties: { api_key: { type: 'string', description: 'Only returned once' } }
+      }
+    ]
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      subscription_id: { type: 'string', format: 'uuid' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string' } },
+      platforms: { type: ['array', 'null'], items: { type: 'string' } },
+      description: { type: ['string', 'null'] },
+      is_active: { type: 'boolean' },
+      created_by: { type: ['string', 'null'] },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookWithSecret: {
+    allOf: [
+      ref('Webhook'),
+      {
+        type: 'object',
+        properties: { secret: { type: 'string', description: 'Only returned on create' } }
+      }
+    ]
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      delivery_id: { type: 'string', format: 'uuid' },
+      subscription_id: { type: 'string', format: 'uuid' },
+      event: { type: 'string' },
+      platform: { type: ['string', 'null'] },
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      attempts: { type: 'integer' },
+      next_attempt_at: { type: 'string', format: 'date-time' },
+      last_attempt_at: { type: ['string', 'null'], format: 'date-time' },
+      last_status_code: { type: ['integer', 'null'] },
+      last_error: { type: ['string', 'null'] },
+      created_at: { type: 'string', format: 'date-time' },
+      delivered_at: { type: ['string', 'null'], format: 'date-time' },
+      payload: { type: 'object', description: 'Sent as `data` in the POST body' }
+    }
+  },
+  KeyUsage: {
+    type: 'object',
+    properties: {
+      api_key_id: { type: 'string', format: 'uuid' },
+      key_name: { type: 'string' },
+      day: { type: 'string', format: 'date', description: 'Daily rows only' },
+      last_active_day: { type: ['string', 'null'], format: 'date', description: 'Totals only' },
+      requests: { type: 'integer' },
+      failed_requests: { type: 'integer', description: '4xx / 5xx responses' },
+      created: { type: 'integer' },
+      skipped: { type: 'integer', description: 'Duplicate jobs' },
+      errors: { type: 'integer', description: 'Rejected jobs / rows' },
+      bytes_uploaded: { type: 'integer' },
+      duplicate_rate: { type: ['number', 'null'], description: 'skipped / (created + skipped)' }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    description: 'Result counts are null when the response does not report them (or replays an Idempotency-Key)',
+    properties: {
+      audit_id: { type: 'string', description: 'BIGSERIAL, as a string' },
+      api_key_id: { type: 'string', format: 'uuid' },
+      key_name: { type: 'string' },
+      method: { type: 'string' },
+      route: { type: ['string', 'null'], description: 'Route pattern, e.g. /api/imports/:id' },
+      path: { type: 'string', description: 'Requested URL with query string' },
+      status_code: { type: 'integer', description: '499 when the client closed the connection first' },
+      client_ip: { type: 'string' },
+      payload_bytes: { type: ['integer', 'null'] },
+      created_count: { type: ['integer', 'null'] },
+      skipped_count: { type: ['integer', 'null'] },
+      updated_count: { type: ['integer', 'null'] },
+      error_count: { type: ['integer', 'null'] },
+      duration_ms: { type: 'integer' },
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+// Keyed by "METHOD express-path"
+const ROUTE_DOCS = {
+  'GET /api/health': {
+    tags: ['Health'],
+    summary: 'Liveness check',
+    responses: { 200: json({ type: 'object' }) }
+  },
+  'GET /api/health/live': {
+    tags: ['Health'],
+    summary: 'Liveness: the process answers (no database access)',
+    responses: { 200: json({ type: 'object' }) }
+  },
+  'GET /api/health/ready': {
+    tags: ['Health'],
+    summary: 'Readiness: pings the raw and clean databases',
+    responses: {
+      200: json(ref('Readiness'), 'Both databases up'),
+      503: json(ref('Readiness'), 'A database is down or timed out')
+    }
+  },
+  'GET /api/health/pipeline': {
+    tags: ['Health'],
+    summary: 'Processing lag: backlog per platform, oldest unprocessed job, last processor cycle',
+    responses: {
+      200: json(ref('PipelineStatus'), 'ok or degraded'),
+      503: json(ref('Error'), 'Raw database unavailable')
+    }
+  },
+  'GET /metrics': {
+    tags: ['Health'],
+    summary: 'Prometheus metrics (Bearer METRICS_TOKEN when configured)',
+    responses: {
+      200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+      401: json(ref('Error'), 'Invalid metrics token')
+    }
+  },
+  'GET /api/stats': {
+    tags: ['Health'],
+    summary: 'Raw DB row counts',
+    responses: { 200: json({ type: 'object' }) }
+  },
+  'GET /api/openapi.json': {
+    tags: ['Health'],
+    summary: 'This OpenAPI document',
+    responses: { 200: json({ type: 'object' }) }
+  },
+  'GET /api/docs': {
+    tags: ['Health'],
+    summary: 'Browsable API docs',
+    responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+  },
+  'POST /api/companies': {
+    tags: ['Ingestion'],
+    summary: 'Resolve a raw company by domain or normalized name / alias, or create it',
+    responses: {
+      200: json(ref('ResolvedCompany'), 'Matched an existing company'),
+      201: json(ref('ResolvedCompany'), 'Created')
+    }
+  },
+  'POST /api/jobposts': {
+    tags: ['Ingestion'],
+    summary: 'Create one job posting',
+    parameters: [UPSERT_PARAM, CRAWL_RUN_PARAM],
+    responses: {
+      200: json(ref('RawJobPosting'), 'Upsert mode: updated or unchanged'),
+      201: json(ref('RawJobPosting'), 'Created'),
+      409: json(ref('Error'), 'Canonical URL or native job ID already exists (without upsert)')
+    }
+  },
+  'POST /api/jobposts/bulk': {
+    tags: ['Ingestion'],
+    summary: 'Create many job postings; invalid rows are reported per index',
+    parameters: [UPSERT_PARAM, CRAWL_RUN_PARAM],
+    responses: {
+      200: json(ref('IngestResult')),
+      422: json({ oneOf: [ref('ValidationError'), ref('BulkValidationError')] }, 'Bad envelope, or no valid job')
+    }
+  },
+  'POST /api/jobposts/upload-ndjson': {
+    tags: ['Ingestion'],
+    summary: 'Stream newline-delimited jobs (optionally gzip)',
+    description: 'Each line is a job as in /api/jobposts/bulk, with an optional nested `company` object instead of company_id. ' +
+      'Send a raw body with Content-Encoding: gzip for compressed data, or upload a .jsonl / .jsonl.gz file.',
+    parameters: [UPSERT_PARAM, CRAWL_RUN_PARAM],
+    requestBody: {
+      required: true,
+      content: {
+        'application/x-ndjson': { schema: { type: 'string' }, example: '{"job_title":"...","url":"...","platform":"Topcv","company":{"company_name":"..."}}\n' },
+        'multipart/form-data': {
+          schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } }, required: ['file'] }
+        }
+      }
+    },
+    responses: {
+      200: json(ref('IngestResult')),
+      400: json(ref('Error'), 'Unsupported content type or invalid gzip data')
+    }
+  },
+  'POST /api/jobposts/jsonld': {
+    tags: ['Ingestion'],
+    summary: 'Import schema.org JobPosting JSON-LD',
+    parameters: [
+      UPSERT_PARAM,
+      CRAWL_RUN_PARAM,
+      query('platform', { type: 'string' }, 'Platform for postings whose URL host is not recognised')
+    ],
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            oneOf: [
+              { type: 'object', description: 'A JSON-LD document (JobPosting, @graph or ItemList)' },
+              { type: 'array', items: { type: 'object' } },
+              {
+                type: 'object',
+                required: ['documents'],
+                properties: {
+                  url: { type: 'string', description: 'Page URL for postings without one' },
+                  platform: { type: 'string' },
+                  documents: { type: 'array', items: { type: 'object' } }
+                }
+              }
+            ]
+          }
+        }
+      }
+    },
+    responses: {
+      200: json(ref('IngestResult')),
+      400: json(ref('Error'), 'No JobPosting found')
+    }
+  },
+  'POST /api/jobposts/seen': {
+    tags: ['Ingestion'],
+    summary: 'Report the job URLs still listed on a platform',
+    description: 'Send every live URL of the platform at least once per JOB_CLOSE_GRACE_HOURS (as one list at the end ' +
+      'of a crawl or in batches). Stored jobs among them are marked as seen and reopened if closed; the data processor ' +
+      "closes the platform's open jobs not seen for JOB_CLOSE_GRACE_HOURS before its latest report.",
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          platform: { type: 'string' },
+          seen: { type: 'integer', description: 'Stored jobs marked as seen' },
+          reopened: { type: 'integer', description: 'Closed jobs among them, open again' },
+          unknown: { type: 'array', items: { type: 'string' }, description: 'URLs without a stored job of this platform' }
+        }
+      }),
+      403: json(ref('Error'), 'Platform not allowed for this API key')
+    }
+  },
+  'POST /api/jobposts/:job_id/benefits': {
+    tags: ['Ingestion'],
+    summary: 'Add benefits to a job (types it already has are skipped)',
+    responses: {
+      200: json({ type: 'object' }, 'Nothing new'),
+      201: json({
+        type: 'object',
+        properties: {
+          job_id: { type: 'string', format: 'uuid' },
+          created: { type: 'integer' },
+          skipped: { type: 'integer' },
+          benefits: { type: 'array', items: ref('Benefit') }
+        }
+      }, 'Benefits added'),
+      404: json(ref('Error'), 'Job not found')
+    }
+  },
+  'POST /api/jobposts/upload-csv': {
+    tags: ['Imports'],
+    summary: 'Upload a CSV file, imported in the background',
+    parameters: [UPSERT_PARAM, CRAWL_RUN_PARAM],
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            required: ['file'],
+            properties: {
+              file: {
+                type: 'string',
+                format: 'binary',
+                description: 'Columns: company_name, job_title, description, salary, work_type, experience_level, location, platform, url, benefits'
+              }
+            }
+          }
+        }
+      }
+    },
+    responses: { 202: json(ref('ImportAccepted'), 'Import queued') }
+  },
+  'GET /api/imports/:id': {
+    tags: ['Imports'],
+    summary: 'CSV import progress',
+    responses: { 200: json(ref('ImportJob')), 404: json(ref('Error'), 'Import not found') }
+  },
+  'GET /api/imports/:id/errors': {
+    tags: ['Imports'],
+    summary: 'Per-row error report of a CSV import',
+    parameters: [query('format', { type: 'string', enum: ['csv', 'json'] }, 'csv (default) or json')],
+    responses: {
+      200: {
+        description: 'row,job_title,url,error',
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/json': { schema: { type: 'array', items: { type: 'object' } } }
+        }
+      },
+      404: json(ref('Error'), 'Import not found')
+    }
+  },
+  'POST /api/imports/:id/resume': {
+    tags: ['Imports'],
+    summary: 'Resume a failed import from its last committed row',
+    responses: {
+      202: json({ type: 'object' }, 'Resumed'),
+      404: json(ref('Error'), 'Import not found'),
+      409: json(ref('Error'), 'Import already completed')
+    }
+  },
+  'POST /api/crawl-runs': {
+    tags: ['Crawl Runs'],
+    summary: 'Open a crawl run; pass its crawl_run_id to the ingestion routes',
+    responses: {
+      201: json(ref('CrawlRun'), 'Created'),
+      403: json(ref('Error'), 'Platform not allowed for this key')
+    }
+  },
+  'GET /api/crawl-runs': {
+    tags: ['Crawl Runs'],
+    summary: 'List crawl runs, newest first',
+    parameters: [
+      query('platform', { type: 'string' }),
+      query('status', { type: 'string', enum: CRAWL_RUN_STATUSES }),
+      query('before', { type: 'string', format: 'date-time' }, 'Runs started before this time (next_before of the previous page)'),
+      query('limit', { type: 'integer', minimum: 1, maximum: 200, default: 50 })
+    ],
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          data: { type: 'array', items: ref('CrawlRun') },
+          next_before: { type: ['string', 'null'], format: 'date-time' }
+        }
+      })
+    }
+  },
+  'GET /api/crawl-runs/:id': {
+    tags: ['Crawl Runs'],
+    summary: 'Crawl run with created / skipped / updated / errors / processed counts',
+    responses: { 200: json(ref('CrawlRun')), 404: json(ref('Error'), 'Crawl run not found') }
+  },
+  'PATCH /api/crawl-runs/:id': {
+    tags: ['Crawl Runs'],
+    summary: 'Close a crawl run with its final status and counters',
+    responses: {
+      200: json(ref('CrawlRun')),
+      403: json(ref('Error'), 'Run opened by another key (admin keys may close any run)'),
+      404: json(ref('Error'), 'Crawl run not found'),
+      409: json(ref('Error'), 'Run already closed')
+    }
+  },
+  'PUT /api/jobposts/:job_id/snapshot': {
+    tags: ['Ingestion'],
+    summary: 'Upload the raw page of a job (HTML or JSON); replaces its latest snapshot',
+    description: 'The body is stored as sent, gzipped and deduplicated by content hash. ' +
+      'Send Content-Encoding: gzip to upload compressed data. Limit: SNAPSHOT_MAX_BYTES (default 5 MB).',
+    requestBody: {
+      required: true,
+      content: Object.fromEntries(SNAPSHOT_CONTENT_TYPES.map(type => [type, { schema: { type: 'string' } }]))
+    },
+    responses: {
+      200: json(ref('Snapshot'), 'Same content already stored; linked to the job'),
+      201: json(ref('Snapshot'), 'Stored'),
+      404: json(ref('Error'), 'Job not found'),
+      413: json(ref('Error'), 'Body too large'),
+      415: json(ref('Error'), 'Unsupported content type')
+    }
+  },
+  'GET /api/jobposts/:job_id/snapshot': {
+    tags: ['Ingestion'],
+    summary: 'Latest raw page of a job, with the content type it was uploaded with',
+    responses: {
+      200: {
+        description: 'The page; gzip-encoded when the client accepts it. ETag is the content hash.',
+        content: Object.fromEntries(SNAPSHOT_CONTENT_TYPES.map(type => [type, { schema: { type: 'string' } }]))
+      },
+      404: json(ref('Error'), 'Job not found or has no snapshot'),
+      410: json(ref('Error'), 'Snapshot file missing on disk')
+    }
+  },
+  'GET /api/jobposts/unprocessed': {
+    tags: ['ETL'],
+    summary: 'Raw jobs not yet processed, oldest first',
+    parameters: [query('limit', { type: 'integer', default: 100 })],
+    responses: { 200: json({ type: 'array', items: { type: 'object' } }) }
+  },
+  'POST /api/jobposts/mark-processed': {
+    tags: ['ETL'],
+    summary: 'Mark raw jobs as processed',
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          processed: { type: 'integer' },
+          job_ids: { type: 'array', items: { type: 'string', format: 'uuid' } }
+        }
+      })
+    }
+  },
+  'GET /api/jobs': {
+    tags: ['Read'],
+    summary: 'Search clean jobs (keyset pagination)',
+    parameters: [
+      query('title', { type: 'string' }, 'Case-insensitive partial match'),
+      query('location', { type: 'string' }, 'Case-insensitive partial match'),
+      query('min_salary', { type: 'number' }, 'On SalaryPerMonth'),
+      query('max_salary', { type: 'number' }, 'On SalaryPerMonth'),
+      query('experience_level', { type: 'string' }),
+      query('platform', { type: 'string' }),
+      query('posted_from', { type: 'string', format: 'date' }),
+      query('posted_to', { type: 'string', format: 'date' }),
+      query('status', { type: 'string', enum: ['open', 'closed', 'all'], default: 'open' }),
+      query('sort', { type: 'string', enum: ['posted_date', 'crawled_time', 'salary', 'title'], default: 'posted_date' }),
+      query('order', { type: 'string', enum: ['asc', 'desc'], default: 'desc' }),
+      query('limit', { type: 'integer', default: 50, maximum: 200 }),
+      query('cursor', { type: 'string' }, 'next_cursor of the previous page')
+    ],
+    responses: { 200: json(ref('CleanJobPage')), 400: json(ref('Error'), 'Invalid sort, order, status, salary, posted date or cursor') }
+  },
+  'GET /api/jobs/:id': {
+    tags: ['Read'],
+    summary: 'One clean job',
+    responses: { 200: json(ref('CleanJob')), 404: json(ref('Error'), 'Job not found') }
+  },
+  'GET /api/companies/:id': {
+    tags: ['Read'],
+    summary: 'One clean company with job counts',
+    responses: { 200: json(ref('CleanCompany')), 404: json(ref('Error'), 'Company not found') }
+  },
+  'GET /api/stream/jobs': {
+    tags: ['Read'],
+    summary: 'Server-Sent Events stream of new raw jobs (job.ingested) and clean JobPost writes (job.cleaned)',
+    parameters: [
+      query('platform', { type: 'string' }, 'Comma-separated platform names, case-insensitive'),
+      query('last_event_id', { type: 'string' }, 'Same as the Last-Event-ID header'),
+      { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' }, description: 'Resume after this event id' }
+    ],
+    responses: {
+      200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+      400: json(ref('Error'), 'Invalid Last-Event-ID'),
+      503: json(ref('Error'), 'Stream listener could not start')
+    }
+  },
+  'POST /api/admin/keys': {
+    tags: ['Admin'],
+    summary: 'Create an API key (scopes default to ingest)',
+    responses: {
+      201: json(ref('ApiKeyWithSecret'), 'Created; api_key is only shown here'),
+      409: json(ref('Error'), 'Key name already used')
+    }
+  },
+  'GET /api/admin/keys': {
+    tags: ['Admin'],
+    summary: 'List API keys',
+    parameters: [query('include_revoked', { type: 'string', enum: ['true', '1'] })],
+    responses: {
+      200: json({ type: 'object', properties: { data: { type: 'array', items: ref('ApiKey') } } })
+    }
+  },
+  'PATCH /api/admin/keys/:id': {
+    tags: ['Admin'],
+    summary: 'Change expiry, scopes, allowed platforms or rate limit (null clears)',
+    responses: { 200: json(ref('ApiKey')), 404: json(ref('Error'), 'Key not found') }
+  },
+  'POST /api/admin/keys/:id/revoke': {
+    tags: ['Admin'],
+    summary: 'Revoke an API key',
+    responses: { 200: json(ref('ApiKey')), 404: json(ref('Error'), 'Key not found') }
+  },
+  'POST /api/admin/keys/:id/rotate': {
+    tags: ['Admin'],
+    summary: 'Issue a new secret; the old one works for grace_minutes',
+    responses: { 200: json(ref('ApiKeyWithSecret')), 404: json(ref('Error'), 'Key not found or revoked') }
+  },
+  'POST /api/admin/webhooks': {
+    tags: ['Admin'],
+    summary: 'Subscribe a URL to webhook events',
+    responses: { 201: json(ref('WebhookWithSecret'), 'Created; secret is only shown here') }
+  },
+  'GET /api/admin/webhooks': {
+    tags: ['Admin'],
+    summary: 'List webhook subscriptions',
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          data: {
+            type: 'array',
+            items: {
+              allOf: [
+                ref('Webhook'),
+                {
+                  type: 'object',
+                  properties: {
+                    pending_deliveries: { type: 'integer' },
+                    failed_deliveries: { type: 'integer' }
+                  }
+                }
+              ]
+            }
+          }
+        }
+      })
+    }
+  },
+  'PATCH /api/admin/webhooks/:id': {
+    tags: ['Admin'],
+    summary: 'Change a subscription (is_active=false pauses it)',
+    responses: { 200: json(ref('Webhook')), 404: json(ref('Error'), 'Webhook not found') }
+  },
+  'DELETE /api/admin/webhooks/:id': {
+    tags: ['Admin'],
+    summary: 'Delete a subscription and its delivery log',
+    responses: { 204: { description: 'Deleted' }, 404: json(ref('Error'), 'Webhook not found') }
+  },
+  'GET /api/admin/webhooks/:id/deliveries': {
+    tags: ['Admin'],
+    summary: 'Delivery log of a subscription, newest first',
+    parameters: [
+      query('status', { type: 'string', enum: ['pending', 'succeeded', 'failed'] }),
+      query('limit', { type: 'integer', minimum: 1, maximum: 500, default: 50 })
+    ],
+    responses: {
+      200: json({ type: 'object', properties: { data: { type: 'array', items: ref('WebhookDelivery') } } }),
+      404: json(ref('Error'), 'Webhook not found')
+    }
+  },
+  'POST /api/admin/webhooks/deliveries/:id/redeliver': {
+    tags: ['Admin'],
+    summary: 'Queue a delivery again with a fresh attempt budget',
+    responses: { 200: json(ref('WebhookDelivery')), 404: json(ref('Error'), 'Delivery not found') }
+  },
+  'GET /api/admin/companies/:id/aliases': {
+    tags: ['Admin'],
+    summary: 'Names the company resolver maps to a company',
+    responses: {
+      200: json({ type: 'object', properties: { data: { type: 'array', items: ref('CompanyAlias') } } }),
+      404: json(ref('Error'), 'Company not found')
+    }
+  },
+  'POST /api/admin/companies/:id/aliases': {
+    tags: ['Admin'],
+    summary: 'Map another name to a company',
+    responses: { 201: json(ref('CompanyAlias')), 404: json(ref('Error'), 'Company not found') }
+  },
+  'POST /api/admin/reprocess': {
+    tags: ['Admin'],
+    summary: 'Count (dry_run, default) or reset processed jobs so the processor updates their JobPost',
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          dry_run: { type: 'boolean' },
+          matched: { type: 'integer', description: 'Dry run only' },
+          reset: { type: 'integer', description: 'When dry_run is false' },
+          platforms: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { platform: { type: 'string' }, count: { type: 'integer' } }
+            }
+          }
+        }
+      })
+    }
+  },
+  'GET /api/admin/audit': {
+    tags: ['Admin'],
+    summary: 'Audit log of authenticated calls, newest first',
+    parameters: [
+      query('api_key_id', { type: 'string', format: 'uuid' }),
+      query('key_name', { type: 'string' }),
+      query('route', { type: 'string' }, 'Route pattern, e.g. /api/jobposts/bulk'),
+      query('method', { type: 'string' }),
+      query('status', { type: 'integer' }, 'HTTP status code'),
+      query('ip', { type: 'string' }, 'Client IP'),
+      query('from', { type: 'string', format: 'date-time' }, 'Calls at or after this time'),
+      query('before', { type: 'string', format: 'date-time' }, 'Calls before this time (next_before of the previous page)'),
+      query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 })
+    ],
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          data: { type: 'array', items: ref('AuditEntry') },
+          next_before: { type: ['string', 'null'], format: 'date-time' }
+        }
+      })
+    }
+  },
+  'GET /api/admin/usage': {
+    tags: ['Admin'],
+    summary: 'Daily usage per key (requests, jobs created / skipped, errors, bytes) over a date range',
+    parameters: [
+      query('from', { type: 'string', format: 'date' }, 'First UTC day (default: 6 days before to)'),
+      query('to', { type: 'string', format: 'date' }, 'Last UTC day, inclusive (default: today)'),
+      query('api_key_id', { type: 'string', format: 'uuid' }),
+      query('key_name', { type: 'string' })
+    ],
+    responses: {
+      200: json({
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          keys: {
+            type: 'array',
+            description: 'Totals per key; active keys without usage in the range are listed with zeros',
+            items: ref('KeyUsage')
+          },
+          days: { type: 'array', items: ref('KeyUsage') }
+        }
+      })
+    }
+  }
+};
+
+/**
+ * Validator schema -> OpenAPI 3.1 schema (drops x- keywords used only for error messages)
+ */
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toOpenApiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key.startsWith('x-')) continue;
+    result[key] = toOpenApiSchema(value);
+  }
+  return result;
+}
+
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Build the document from an Express app's routes
+ */
+function buildOpenApiSpec(app) {
+  const paths = {};
+
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+
+    const { path: routePath, stack } = layer.route;
+    const scope = stack.map(s => s.handle.scope).find(Boolean);
+    const bodySchema = stack.map(s => s.handle.schema).find(Boolean);
+    const idempotent = stack.some(s => s.handle.idempotencyKey);
+
+    for (const method of Object.keys(layer.route.methods)) {
+      const docs = ROUTE_DOCS[`${method.toUpperCase()} ${routePath}`] || { summary: routePath };
+      const operation = {
+        tags: docs.tags,
+        summary: docs.summary,
+        description: docs.description,
+        parameters: [
+          ...(routePath.match(/:\w+/g) || []).map(param => ({
+            name: param.slice(1),
+            in: 'path',
+            required: true,
+            schema: { type: 'string', format: 'uuid' }
+          })),
+          ...(docs.parameters || [])
+        ],
+        responses: { ...docs.responses }
+      };
+
+      if (bodySchema) {
+        operation.requestBody = {
+          required: true,
+          content: { 'application/json': { schema: toOpenApiSchema(bodySchema) } }
+        };
+        operation.responses[422] = operation.responses[422] || json(ref('ValidationError'), 'Validation failed');
+      } else if (docs.requestBody) {
+        operation.requestBody = docs.requestBody;
+      }
+
+      if (scope) {
+        operation.security = [{ ApiKeyAuth: [] }];
+        operation['x-required-scope'] = scope;
+        operation.description = [operation.description, `Requires the \`${scope}\` scope.`].filter(Boolean).join('\n\n');
+        operation.responses[401] = json(ref('Error'), 'Missing API key');
+        operation.responses[403] = json(ref('Error'), 'Invalid, expired or revoked key, missing scope or platform not allowed');
+        operation.responses[429] = json(ref('Error'), 'Rate limit exceeded');
+      }
+
+      if (idempotent) {
+        operation.parameters.push({
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description: 'Retries with the same key replay the first response (header `Idempotent-Replayed: true`)',
+          schema: { type: 'string', maxLength: 255 }
+        });
+        operation.responses[409] = operation.responses[409] || json(ref('Error'), 'Conflict, or a request with this Idempotency-Key is still running');
+        operation.responses[422] = operation.responses[422] || json(ref('Error'), 'Idempotency-Key already used for a different request');
+      }
+
+      operation.responses[500] = json(ref('Error'), 'Server error');
+
+      paths[toOpenApiPath(routePath)] = paths[toOpenApiPath(routePath)] || {};
+      paths[toOpenApiPath(routePath)][method] = operation;
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Job Crawler Raw API',
+      version,
+      description: 'Ingestion API for crawlers (Raw DB), ETL endpoints for the data processor and read access to the Clean DB.'
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'x-api-key' }
+      },
+      schemas: {
+        ...COMPONENT_SCHEMAS,
+        Company: toOpenApiSchema(companySchema),
+        JobPosting: toOpenApiSchema(jobPostingSchema)
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec,
+};
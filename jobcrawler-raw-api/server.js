@@ -1,32 +1,115 @@
 const express = require('express');
-const { Pool } = require('pg');
 const helmet = require('helmet');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer'); // Add this
-const csvParser = require('csv-parser'); // Add this
 const fs = require('fs'); // Add this
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { JOB_STATUSES, buildJobSearchConditions } = require('jobcrawler-shared/job_filters');
+const { hasFilter, countReprocessJobs, resetProcessedJobs } = require('jobcrawler-shared/reprocess');
+const { rawPool, cleanPool } = require('./services/database');
+const {
+  resolveEmbeddedCompany,
+  normalizeBenefits,
+  insertBenefits,
+  updateJobPostingIfChanged,
+  findExistingJobs,
+  markJobsSeen,
+  prepareJobs,
+  ingestJobs,
+  isPlatformAllowed,
+  validateJob
+} = require('./services/ingestion');
+const { getPlatformNames, checkPlatformName } = require('./services/platforms');
+const {
+  resolveCompany,
+  listCompanyAliases,
+  addCompanyAlias,
+  backfillCompanyAliases
+} = require('./services/companies');
+const { register, jobsIngested, duplicatesSkipped, metricsMiddleware } = require('./services/metrics');
+const { pingDatabases, getPipelineStatus } = require('./services/health');
+const { idempotent, digestUpload, refuseIdempotencyKey, startIdempotencyPruner } = require('./services/idempotency');
+
+const { auditRequest, listAuditLog, startAuditPruner } = require('./services/audit');
+const { parseUsageRange, getUsageReport } = require('./services/usage');
+const { validate } = require('./utils/validator');
+const { canonicalizeJob } = require('./utils/url_canonicalizer');
+const {
+  companySchema,
+  jobPostingSchema,
+  bulkJobsSchema,
+  addBenefitsSchema,
+  seenJobsSchema
+} = require('./schemas/ingestion');
+const { markProcessedSchema } = require('./schemas/etl');
+const { createCrawlRunSchema, closeCrawlRunSchema } = require('./schemas/crawl_runs');
+const { buildOpenApiSpec } = require('./schemas/openapi');
+const {
+  createApiKeySchema,
+  updateApiKeySchema,
+  rotateApiKeySchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  reprocessSchema,
+  companyAliasSchema
+} = require('./schemas/admin');
+const {
+  createImport,
+  getImport,
+  getImportErrors,
+  startImport,
+  resumeInterruptedImports
+} = require('./services/csv_import');
+const { maybeGunzip, ingestNdjsonStream } = require('./services/ndjson_import');
+const {
+  SNAPSHOT_CONTENT_TYPES,
+  saveSnapshot,
+  getJobSnapshot,
+  openSnapshotFile,
+  startSnapshotPruner
+} = require('./services/snapshots');
+const { extractJobPostings, mapJobPosting } = require('./utils/jsonld_mapper');
+const {
+  ROTATION_GRACE_MINUTES,
+  findApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  updateApiKey
+} = require('./services/api_keys');
+const {
+  CRAWL_RUN_STATUSES,
+  createCrawlRun,
+  getCrawlRun,
+  listCrawlRuns,
+  closeCrawlRun,
+  recordCrawlRunResults
+} = require('./services/crawl_runs');
+const {
+  isAfter,
+  formatEventId,
+  parseEventId,
+  subscribe,
+  replayEvents
+} = require('./services/job_stream');
+const {
+  publishJobEvents,
+  startWebhookWorker,
+  createSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  redeliver
+} = require('./services/webhooks');
 require('dotenv').config();
 
 const app = express();
 
-// Database pools
-const rawPool = new Pool({
-  host: process.env.DB_HOST,
-  port: process.env.DB_PORT,
-  database: process.env.DB_NAME,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-});
-
-const cleanPool = new Pool({
-  host: process.env.CLEAN_DB_HOST,
-  port: process.env.CLEAN_DB_PORT,
-  database: process.env.CLEAN_DB_NAME,
-  user: process.env.CLEAN_DB_USER,
-  password: process.env.CLEAN_DB_PASSWORD,
-});
-
 // Test database connections on startup
 rawPool.query('SELECT NOW()', (err, res) => {
   if (err) {
@@ -47,7 +130,13 @@ cleanPool.query('SELECT NOW()', (err, res) => {
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(metricsMiddleware);
+// Page snapshots are stored byte for byte, so their JSON bodies are not parsed here
+const SNAPSHOT_PATH = /^\/api\/jobposts\/[^/]+\/snapshot$/;
+app.use(express.json({
+  limit: '10mb',
+  type: req => Boolean(req.is('application/json')) && !SNAPSHOT_PATH.test(req.path)
+}));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -65,35 +154,174 @@ async function authenticateApiKey(req, res, next) {
   }
   
   try {
-    const result = await cleanPool.query(
-      'SELECT * FROM ApiKeys WHERE ApiKey = $1 AND IsActive = TRUE',
-      [apiKey]
-    );
+    const keyInfo = await findApiKey(apiKey);
     
-    if (result.rows.length === 0) {
+    // Every call with a known key is audited, rejected ones included
+    if (keyInfo) {
+      auditRequest(req, res, keyInfo);
+    }
+    
+    if (!keyInfo || !keyInfo.isactive) {
       return res.status(403).json({ error: 'Invalid or inactive API key' });
     }
     
+    if (keyInfo.expiresat && keyInfo.expiresat <= new Date()) {
+      return res.status(403).json({ error: 'API key has expired' });
+    }
+    
     // Update usage
     await cleanPool.query(
-      'UPDATE ApiKeys SET UsageCount = UsageCount + 1, LastUsedAt = CURRENT_TIMESTAMP WHERE ApiKey = $1',
-      [apiKey]
+      'UPDATE ApiKeys SET UsageCount = UsageCount + 1, LastUsedAt = CURRENT_TIMESTAMP WHERE Id = $1',
+      [keyInfo.id]
     );
     
-    req.apiKeyInfo = result.rows[0];
-    next();
+    req.apiKeyInfo = keyInfo;
+    keyLimiter(req, res, next);
   } catch (error) {
     console.error('Auth error:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
 }
 
+// Per-key rate limiting (after authentication): ApiKeys.RateLimitMax requests per window
+const keyLimiter = rateLimit({
+  windowMs: (parseInt(process.env.API_KEY_RATE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: req => req.apiKeyInfo.ratelimitmax || parseInt(process.env.API_KEY_RATE_LIMIT) || 1000,
+  keyGenerator: req => req.apiKeyInfo.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Rate limit exceeded for this API key' }
+});
+
+// Scopes: ingest (write crawl data), etl (data processor), read (clean data), admin (everything)
+function hasScope(apiKeyInfo, scope) {
+  const scopes = apiKeyInfo.scopes || [];
+  return scopes.includes(scope) || scopes.includes('admin');
+}
+
+// Route guard, use after authenticateApiKey
+function requireScope(scope) {
+  const guard = (req, res, next) => {
+    if (hasScope(req.apiKeyInfo, scope)) {
+      return next();
+    }
+    
+    res.status(403).json({
+      error: `API key '${req.apiKeyInfo.keyname}' lacks the '${scope}' scope required for this route`,
+      required_scope: scope,
+      key_scopes: req.apiKeyInfo.scopes || []
+    });
+  };
+  guard.scope = scope; // Read by the OpenAPI generator
+  return guard;
+}
+
+// Platforms a key may write; null AllowedPlatforms means any platform
+function getAllowedPlatforms(apiKeyInfo) {
+  return apiKeyInfo.allowedplatforms && apiKeyInfo.allowedplatforms.length > 0
+    ? apiKeyInfo.allowedplatforms
+    : null;
+}
+
 // Configure multer for file uploads
+const UPLOAD_DIR = 'uploads/';
 const upload = multer({ 
-  dest: 'uploads/',
+  dest: UPLOAD_DIR,
   limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
+// Content types of raw NDJSON upload bodies
+const NDJSON_TYPES = ['application/x-ndjson', 'application/jsonl', 'application/json-seq', 'text/plain'];
+
+// Raw body of snapshot uploads (gzip request bodies are inflated)
+const snapshotBody = express.raw({
+  type: () => true,
+  limit: parseInt(process.env.SNAPSHOT_MAX_BYTES) || 5 * 1024 * 1024 // 5MB
+});
+
+// Idempotency-Key is refused where a retry could not be replayed: stored responses never hold secrets
+const refuseKeyForSecrets = refuseIdempotencyKey('the response carries a secret that is not stored');
+
+// Helpers
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isUpsertRequest(req) {
+  return req.query.upsert === 'true' || req.query.upsert === '1';
+}
+
+// 422 with per-field messages
+function sendValidationError(res, fields) {
+  return res.status(422).json({ error: 'Validation failed', fields });
+}
+
+// Reject bodies that do not match a schema (schemas/*.js)
+function validateBody(schema) {
+  const check = (req, res, next) => {
+    const fields = validate(schema, req.body);
+    if (fields.length > 0) {
+      return sendValidationError(res, fields);
+    }
+    next();
+  };
+  check.schema = schema; // Read by the OpenAPI generator
+  return check;
+}
+
+// validateBody(jobPostingSchema) plus company_id and platform name checks, after loadPlatformNames
+function validateJobBody(req, res, next) {
+  const fields = validateJob(req.body, { platformNames: req.platformNames, embeddedCompany: true });
+  if (fields.length > 0) {
+    return sendValidationError(res, fields);
+  }
+  next();
+}
+validateJobBody.schema = jobPostingSchema;
+
+// Clean Platform names for job validation, as req.platformNames
+async function loadPlatformNames(req, res, next) {
+  try {
+    req.platformNames = await getPlatformNames();
+    next();
+  } catch (error) {
+    console.error('Error loading platforms:', error);
+    res.status(503).json({ error: 'Platform list unavailable, try again later' });
+  }
+}
+
+// Optional crawl run of an ingestion request, as req.crawlRunId: ?crawl_run_id=
+// on every route, or crawl_run_id in a JSON body. The run must still be open.
+async function loadCrawlRun(req, res, next) {
+  const body = req.is('application/json') && req.body && !Array.isArray(req.body) ? req.body : {};
+  const crawlRunId = req.query.crawl_run_id || body.crawl_run_id || null;
+
+  if (!crawlRunId) {
+    req.crawlRunId = null;
+    return next();
+  }
+
+  if (!UUID_PATTERN.test(crawlRunId)) {
+    return sendValidationError(res, [{ field: 'crawl_run_id', message: 'must be a UUID' }]);
+  }
+
+  try {
+    const run = await getCrawlRun(crawlRunId);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Crawl run not found' });
+    }
+    if (run.status !== 'running') {
+      return res.status(409).json({ error: `Crawl run is already ${run.status}`, crawl_run_id: crawlRunId });
+    }
+
+    req.crawlRunId = run.crawl_run_id;
+    next();
+  } catch (error) {
+    console.error('Error loading crawl run:', error);
+    res.status(500).json({ error: 'Failed to load crawl run' });
+  }
+}
+
 // Routes
 
 // Health check (no auth)
@@ -106,6 +334,53 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Liveness: the process answers (no auth, no database access)
+app.get('/api/health/live', (req, res) => {
+  res.json({
+    status: 'OK',
+    uptime_seconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: both databases answer (no auth)
+app.get('/api/health/ready', async (req, res) => {
+  const { ready, databases } = await pingDatabases();
+  
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'unavailable',
+    databases,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Processing lag between the raw and clean databases (no auth)
+app.get('/api/health/pipeline', async (req, res) => {
+  try {
+    res.json({ ...await getPipelineStatus(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ Error in /api/health/pipeline:', error.message);
+    res.status(503).json({ status: 'unavailable', error: error.message });
+  }
+});
+
+// Prometheus metrics (bearer token when METRICS_TOKEN is set)
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  
+  try {
+    res.setHeader('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    console.error('Error collecting metrics:', error);
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
 // Get API stats (no auth)
 app.get('/api/stats', async (req, res) => {
   try {
@@ -125,44 +400,36 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
-// Create company (with auth)
-app.post('/api/companies', authenticateApiKey, async (req, res) => {
+// Resolve or create a company by normalized name, domain and aliases (with auth)
+app.post('/api/companies', authenticateApiKey, requireScope('ingest'), idempotent, validateBody(companySchema), async (req, res) => {
   const { company_name, location, description, url } = req.body;
   
-  if (!company_name) {
-    return res.status(400).json({ error: 'company_name is required' });
-  }
+  const client = await rawPool.connect();
   
   try {
-    // Check if company exists
-    let result = await rawPool.query(
-      'SELECT * FROM company WHERE company_name = $1 AND (url = $2 OR ($2 IS NULL AND url IS NULL))',
-      [company_name, url || null]
-    );
-    
-    if (result.rows.length > 0) {
-      return res.json(result.rows[0]);
-    }
-    
-    // Create new company
-    result = await rawPool.query(
-      `INSERT INTO company (company_name, location, description, url)
-       VALUES ($1, $2, $3, $4)
-       RETURNING *`,
-      [company_name, location, description, url]
-    );
+    await client.query('BEGIN');
+    const { company, created, matched_by } = await resolveCompany(client, {
+      company_name, location, description, url
+    });
+    await client.query('COMMIT');
     
-    res.status(201).json(result.rows[0]);
+    res.status(created ? 201 : 200).json({
+      ...company,
+      resolution: created ? 'created' : 'matched',
+      matched_by
+    });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error creating company:', error);
     res.status(500).json({ error: 'Failed to create company' });
+  } finally {
+    client.release();
   }
 });
 
-// Create job posting (with auth)
-app.post('/api/jobposts', authenticateApiKey, async (req, res) => {
+// Create job posting (with auth); a nested `company` is resolved in the same transaction
+app.post('/api/jobposts', authenticateApiKey, requireScope('ingest'), idempotent, loadPlatformNames, validateJobBody, loadCrawlRun, async (req, res) => {
   const {
-    company_id,
     job_title,
     description,
     salary,
@@ -173,103 +440,152 @@ app.post('/api/jobposts', authenticateApiKey, async (req, res) => {
     applies,
     listed_time,
     currency,
+    valid_through,
     platform,
-    url
+    benefits
   } = req.body;
+  const job = canonicalizeJob(req.body);
+  const { url, original_url, platform_job_id } = job;
   
-  if (!job_title || !url || !platform) {
-    return res.status(400).json({ 
-      error: 'job_title, url, and platform are required' 
+  if (!isPlatformAllowed(getAllowedPlatforms(req.apiKeyInfo), platform)) {
+    return res.status(403).json({
+      error: `API key '${req.apiKeyInfo.keyname}' may not write platform '${platform}'`,
+      allowed_platforms: getAllowedPlatforms(req.apiKeyInfo)
     });
   }
   
+  const client = await rawPool.connect();
+  
   try {
-    // Check for duplicate URL
-    const existing = await rawPool.query(
-      'SELECT job_id FROM job_posting WHERE url = $1',
-      [url]
-    );
+    await client.query('BEGIN');
     
-    if (existing.rows.length > 0) {
-      return res.status(409).json({ 
-        error: 'Job post with this URL already exists',
-        job_id: existing.rows[0].job_id
-      });
+    // Check for a duplicate canonical URL or native job ID
+    const jobId = (await findExistingJobs(client, [job]))(job);
+    
+    if (jobId) {
+      if (!isUpsertRequest(req)) {
+        await client.query('ROLLBACK');
+        await markJobsSeen(rawPool, [jobId]);
+        await recordCrawlRunResults(rawPool, req.crawlRunId, { skipped: 1 });
+        duplicatesSkipped.inc({ platform });
+        return res.status(409).json({ 
+          error: 'Job post with this URL already exists',
+          job_id: jobId
+        });
+      }
+      
+      const { company_id } = await resolveEmbeddedCompany(client, req.body);
+      const status = await updateJobPostingIfChanged(client, jobId, { ...req.body, company_id });
+      const insertedBenefits = await insertBenefits(client, jobId, normalizeBenefits(benefits));
+      await markJobsSeen(client, [jobId]);
+      await recordCrawlRunResults(client, req.crawlRunId, { [status]: 1 });
+      
+      await client.query('COMMIT');
+      jobsIngested.inc({ platform, status });
+      
+      if (status === 'updated') {
+        await publishJobEvents(rawPool, 'job.ingested', [{ url, job_id: jobId, status, platform }]);
+      }
+      
+      return res.json({ status, job_id: jobId, company_id, benefits: insertedBenefits });
     }
     
-    const result = await rawPool.query(
+    const { company_id } = await resolveEmbeddedCompany(client, req.body);
+    const result = await client.query(
       `INSERT INTO job_posting 
        (company_id, job_title, description, salary, pay_period, work_type, 
-        experience_level, location, applies, listed_time, currency, platform, url)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        experience_level, location, applies, listed_time, currency, valid_through, platform, url,
+        original_url, platform_job_id, crawl_run_id, api_key_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
        RETURNING *`,
       [company_id, job_title, description, salary, pay_period, work_type,
-       experience_level, location, applies, listed_time, currency, platform, url]
+       experience_level, location, applies, listed_time, currency, valid_through, platform, url,
+       original_url, platform_job_id, req.crawlRunId, req.apiKeyInfo.id]
+    );
+    
+    const insertedBenefits = await insertBenefits(
+      client, result.rows[0].job_id, normalizeBenefits(benefits)
     );
     
-    res.status(201).json(result.rows[0]);
+    await client.query('COMMIT');
+    jobsIngested.inc({ platform, status: 'created' });
+    
+    await publishJobEvents(rawPool, 'job.ingested', [
+      { url, job_id: result.rows[0].job_id, status: 'created', platform }
+    ]);
+    
+    res.status(201).json({ status: 'created', ...result.rows[0], benefits: insertedBenefits });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error creating job post:', error);
     res.status(500).json({ error: 'Failed to create job post' });
+  } finally {
+    client.release();
   }
 });
 
-// Bulk create job postings (with auth)
-app.post('/api/jobposts/bulk', authenticateApiKey, async (req, res) => {
+// Bulk create job postings (with auth); jobs may carry a nested `company` instead of company_id
+app.post('/api/jobposts/bulk', authenticateApiKey, requireScope('ingest'), idempotent, validateBody(bulkJobsSchema), loadCrawlRun, loadPlatformNames, async (req, res) => {
   const { jobs } = req.body;
   
-  if (!Array.isArray(jobs) || jobs.length === 0) {
-    return res.status(400).json({ error: 'jobs array is required' });
-  }
-  
+  const upsert = isUpsertRequest(req);
   const results = {
     created: 0,
     skipped: 0,
+    benefits_created: 0,
     errors: []
   };
   
+  // Drop invalid rows and duplicates within the payload (first occurrence wins)
+  const { candidates, errors, duplicates } = prepareJobs(
+    jobs.map((job, index) => ({ index, job })),
+    {
+      allowedPlatforms: getAllowedPlatforms(req.apiKeyInfo),
+      platformNames: req.platformNames,
+      embeddedCompany: true,
+      crawlRunId: req.crawlRunId,
+      apiKeyId: req.apiKeyInfo.id
+    }
+  );
+  
+  // Nothing to insert and every row failed validation: reject the whole payload
+  if (candidates.length === 0 && errors.every(error => error.fields)) {
+    await recordCrawlRunResults(rawPool, req.crawlRunId, { errors: errors.length });
+    return res.status(422).json({ error: 'Validation failed', errors });
+  }
+  
+  results.errors.push(...errors);
+  results.skipped += duplicates;
+  
   const client = await rawPool.connect();
   
   try {
-    await client.query('BEGIN');
+    const ingested = await ingestJobs(client, candidates, { upsert });
     
-    for (const job of jobs) {
-      try {
-        // Check for duplicate
-        const existing = await client.query(
-          'SELECT job_id FROM job_posting WHERE url = $1',
-          [job.url]
-        );
-        
-        if (existing.rows.length > 0) {
-          results.skipped++;
-          continue;
-        }
-        
-        await client.query(
-          `INSERT INTO job_posting 
-           (company_id, job_title, description, salary, pay_period, work_type, 
-            experience_level, location, applies, listed_time, currency, platform, url)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
-          [job.company_id, job.job_title, job.description, job.salary, 
-           job.pay_period, job.work_type, job.experience_level, job.location,
-           job.applies, job.listed_time, job.currency, job.platform, job.url]
-        );
-        
-        results.created++;
-      } catch (error) {
-        results.errors.push({
-          job_title: job.job_title,
-          url: job.url,
-          error: error.message
-        });
-      }
+    results.created = ingested.created;
+    results.skipped += ingested.skipped;
+    results.benefits_created = ingested.benefits_created;
+    results.errors.push(...ingested.errors);
+    
+    if (upsert) {
+      results.updated = ingested.updated;
+      results.unchanged = ingested.unchanged;
     }
     
-    await client.query('COMMIT');
+    // Echo the resolved company_id per job when companies were sent nested
+    if (upsert || candidates.some(({ job }) => job.company && !job.company_id)) {
+      results.jobs = ingested.jobs;
+    }
+    
+    await recordCrawlRunResults(rawPool, req.crawlRunId, {
+      skipped: results.skipped,
+      updated: ingested.updated,
+      unchanged: ingested.unchanged,
+      errors: results.errors.length
+    });
+    
     res.json(results);
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('Bulk insert error:', error);
     res.status(500).json({ error: 'Bulk insert failed' });
   } finally {
@@ -277,182 +593,1399 @@ app.post('/api/jobposts/bulk', authenticateApiKey, async (req, res) => {
   }
 });
 
-// Get unprocessed jobs (for ETL)
-app.get('/api/jobposts/unprocessed', authenticateApiKey, async (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
+// NDJSON upload (with auth)
+// Accepts a raw application/x-ndjson body (optionally Content-Encoding: gzip)
+// or a multipart `file` upload (.jsonl or .jsonl.gz)
+app.post('/api/jobposts/upload-ndjson', authenticateApiKey, requireScope('ingest'), loadCrawlRun, loadPlatformNames, (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    return upload.single('file')(req, res, next);
+  }
+  next();
+}, digestUpload(UPLOAD_DIR, NDJSON_TYPES), idempotent, async (req, res) => {
+  let input;
+  
+  if (req.file) {
+    const gzipped = req.file.originalname.endsWith('.gz') || /gzip/.test(req.file.mimetype);
+    input = maybeGunzip(fs.createReadStream(req.file.path), gzipped);
+  } else if (req.is(...NDJSON_TYPES)) {
+    input = maybeGunzip(req, req.headers['content-encoding'] === 'gzip');
+  } else {
+    return res.status(400).json({
+      error: 'Send an application/x-ndjson body or a multipart file upload'
+    });
+  }
   
   try {
-    const result = await rawPool.query(
-      `SELECT jp.*, c.company_name, c.location as company_location, c.url as company_url
-       FROM job_posting jp
-       LEFT JOIN company c ON jp.company_id = c.company_id
-       WHERE jp.processed = FALSE
-       ORDER BY jp.crawled_time ASC
-       LIMIT $1`,
-      [limit]
-    );
+    const results = await ingestNdjsonStream(input, {
+      upsert: isUpsertRequest(req),
+      allowedPlatforms: getAllowedPlatforms(req.apiKeyInfo),
+      platformNames: req.platformNames,
+      crawlRunId: req.crawlRunId,
+      apiKeyId: req.apiKeyInfo.id
+    });
     
-    res.json(result.rows);
+    await recordCrawlRunResults(rawPool, req.crawlRunId, {
+      skipped: results.skipped,
+      updated: results.updated,
+      unchanged: results.unchanged,
+      errors: results.error_count
+    });
+    
+    if (!isUpsertRequest(req)) {
+      delete results.updated;
+      delete results.unchanged;
+    }
+    
+    res.json(results);
   } catch (error) {
-    console.error('Error fetching unprocessed jobs:', error);
-    res.status(500).json({ error: 'Failed to fetch jobs' });
+    if (error.code === 'Z_DATA_ERROR' || error.code === 'Z_BUF_ERROR') {
+      return res.status(400).json({ error: 'Invalid gzip data', details: error.message });
+    }
+    
+    console.error('NDJSON upload error:', error);
+    res.status(500).json({ error: 'NDJSON upload failed', details: error.message });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
   }
 });
 
-// Mark jobs as processed (for ETL)
-app.post('/api/jobposts/mark-processed', authenticateApiKey, async (req, res) => {
-  const { job_ids } = req.body;
+// schema.org JobPosting JSON-LD import (with auth)
+// Body is a JSON-LD document, an array of them, or { url, platform, documents }
+// where url/platform fill in for documents that lack them
+app.post('/api/jobposts/jsonld', authenticateApiKey, requireScope('ingest'), idempotent, loadCrawlRun, loadPlatformNames, async (req, res) => {
+  const wrapped = req.body && !Array.isArray(req.body) && req.body.documents !== undefined;
+  const documents = wrapped ? req.body.documents : req.body;
+  const defaults = {
+    url: wrapped ? req.body.url : undefined,
+    platform: (wrapped && req.body.platform) || req.query.platform
+  };
+  
+  const postings = extractJobPostings(documents);
+  
+  if (postings.length === 0) {
+    return res.status(400).json({ error: 'No schema.org JobPosting found in request body' });
+  }
+  
+  const upsert = isUpsertRequest(req);
+  const results = {
+    total: postings.length,
+    created: 0,
+    skipped: 0,
+    errors: []
+  };
+  
+  const rows = [];
   
-  if (!Array.isArray(job_ids) || job_ids.length === 0) {
-    return res.status(400).json({ error: 'job_ids array is required' });
+  for (const [index, posting] of postings.entries()) {
+    const job = mapJobPosting(posting, defaults);
+    
+    if (!job.company) {
+      results.errors.push({ index, job_title: job.job_title, url: job.url, error: 'hiringOrganization.name is required' });
+    } else if (!job.platform) {
+      results.errors.push({ index, job_title: job.job_title, url: job.url, error: 'platform could not be inferred from url, pass it explicitly' });
+    } else {
+      rows.push({ index, job });
+    }
   }
   
+  const { candidates, errors, duplicates } = prepareJobs(rows, {
+    allowedPlatforms: getAllowedPlatforms(req.apiKeyInfo),
+    platformNames: req.platformNames,
+    embeddedCompany: true,
+    crawlRunId: req.crawlRunId,
+    apiKeyId: req.apiKeyInfo.id
+  });
+  results.errors.push(...errors);
+  
+  const client = await rawPool.connect();
+  
   try {
-    const result = await rawPool.query(
-      `UPDATE job_posting 
-       SET processed = TRUE, processed_at = CURRENT_TIMESTAMP
-       WHERE job_id = ANY($1)
-       RETURNING job_id`,
-      [job_ids]
-    );
+    const ingested = await ingestJobs(client, candidates, { upsert });
     
-    res.json({ 
-      processed: result.rowCount,
-      job_ids: result.rows.map(r => r.job_id)
+    results.created = ingested.created;
+    results.skipped = ingested.skipped + duplicates;
+    results.errors.push(...ingested.errors);
+    
+    if (upsert) {
+      results.updated = ingested.updated;
+      results.unchanged = ingested.unchanged;
+    }
+    results.jobs = ingested.jobs;
+    
+    await recordCrawlRunResults(rawPool, req.crawlRunId, {
+      skipped: results.skipped,
+      updated: ingested.updated,
+      unchanged: ingested.unchanged,
+      errors: results.errors.length
     });
+    
+    res.json(results);
   } catch (error) {
-    console.error('Error marking jobs as processed:', error);
-    res.status(500).json({ error: 'Failed to mark jobs' });
+    console.error('JSON-LD import error:', error);
+    res.status(500).json({ error: 'JSON-LD import failed' });
+  } finally {
+    client.release();
   }
 });
 
-// CSV Upload endpoint (with auth)
-app.post('/api/jobposts/upload-csv', authenticateApiKey, upload.single('file'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'CSV file is required' });
+// Report the job URLs still listed on a platform (with auth)
+// Stored jobs among them are marked as seen (closed ones reopen); the data processor
+// closes the platform's jobs not reported within JOB_CLOSE_GRACE_HOURS of its latest report
+app.post('/api/jobposts/seen', authenticateApiKey, requireScope('ingest'), idempotent, validateBody(seenJobsSchema), loadPlatformNames, async (req, res) => {
+  const { platform, urls } = req.body;
+  
+  const platformError = checkPlatformName(platform, req.platformNames);
+  if (platformError) {
+    return sendValidationError(res, [{ field: 'platform', message: platformError }]);
   }
-
-  const results = {
-    created: 0,
-    skipped: 0,
-    errors: [],
-    total: 0
-  };
-
+  
+  if (!isPlatformAllowed(getAllowedPlatforms(req.apiKeyInfo), platform)) {
+    return res.status(403).json({
+      error: `API key '${req.apiKeyInfo.keyname}' may not write platform '${platform}'`,
+      allowed_platforms: getAllowedPlatforms(req.apiKeyInfo)
+    });
+  }
+  
+  const jobs = urls.map(url => canonicalizeJob({ url, platform }));
   const client = await rawPool.connect();
   
   try {
     await client.query('BEGIN');
     
-    const jobs = [];
-    
-    // Parse CSV file
-    await new Promise((resolve, reject) => {
-      fs.createReadStream(req.file.path)
-        .pipe(csvParser())
-        .on('data', (row) => {
-          jobs.push(row);
-          results.total++;
-        })
-        .on('end', resolve)
-        .on('error', reject);
-    });
-
-    // Process each row
-    for (const job of jobs) {
-      try {
-        // First, handle company
-        let companyId = job.company_id;
-        
-        if (!companyId && job.company_name) {
-          // Try to find existing company
-          const existingCompany = await client.query(
-            'SELECT company_id FROM company WHERE company_name = $1',
-            [job.company_name]
-          );
-          
-          if (existingCompany.rows.length > 0) {
-            companyId = existingCompany.rows[0].company_id;
-          } else {
-            // Create new company
-            const newCompany = await client.query(
-              `INSERT INTO company (company_name, location, description, url)
-               VALUES ($1, $2, $3, $4)
-               RETURNING company_id`,
-              [job.company_name, job.company_location || null, job.company_description || null, job.company_url || null]
-            );
-            companyId = newCompany.rows[0].company_id;
-          }
-        }
-
-        // Check for duplicate job URL
-        const existing = await client.query(
-          'SELECT job_id FROM job_posting WHERE url = $1',
-          [job.url]
-        );
-        
-        if (existing.rows.length > 0) {
-          results.skipped++;
-          continue;
-        }
-
-        // Insert job posting
-        await client.query(
-          `INSERT INTO job_posting 
-           (company_id, job_title, description, salary, pay_period, work_type, 
-            experience_level, location, applies, listed_time, currency, platform, url)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
-          [
-            companyId,
-            job.job_title,
-            job.description || null,
-            job.salary || null,
-            job.pay_period || null,
-            job.work_type || null,
-            job.experience_level || null,
-            job.location || null,
-            job.applies ? parseInt(job.applies) : null,
-            job.listed_time || null,
-            job.currency || null,
-            job.platform || 'CSV Upload',
-            job.url
-          ]
-        );
-        
-        results.created++;
-      } catch (error) {
-        results.errors.push({
-          row: results.total - jobs.indexOf(job),
-          job_title: job.job_title,
-          url: job.url,
-          error: error.message
-        });
-      }
-    }
+    const existingJobId = await findExistingJobs(client, jobs);
+    const { seen, reopened } = await markJobsSeen(
+      client, jobs.map(existingJobId).filter(Boolean), { platform }
+    );
     
-    await client.query('COMMIT');
+    await client.query(
+      `INSERT INTO platform_seen_report (platform, last_reported_at)
+       VALUES (LOWER($1), CURRENT_TIMESTAMP)
+       ON CONFLICT (platform) DO UPDATE SET last_reported_at = EXCLUDED.last_reported_at`,
+      [platform]
+    );
     
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
+    await client.query('COMMIT');
     
-    res.json(results);
+    const seenIds = new Set(seen);
+    res.json({
+      platform,
+      seen: seen.length,
+      reopened: reopened.length,
+      unknown: urls.filter((url, i) => !seenIds.has(existingJobId(jobs[i])))
+    });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('CSV upload error:', error);
+    console.error('Error recording seen jobs:', error);
+    res.status(500).json({ error: 'Failed to record seen jobs' });
+  } finally {
+    client.release();
+  }
+});
+
+// Add benefits to an existing job posting (with auth)
+app.post('/api/jobposts/:job_id/benefits', authenticateApiKey, requireScope('ingest'), idempotent, validateBody(addBenefitsSchema), async (req, res) => {
+  const { job_id } = req.params;
+  const benefits = normalizeBenefits(req.body.benefits);
+  
+  if (!UUID_PATTERN.test(job_id)) {
+    return res.status(400).json({ error: 'job_id must be a UUID' });
+  }
+  
+  if (benefits.length === 0) {
+    return sendValidationError(res, [{ field: 'benefits', message: 'must contain at least one non-empty benefit' }]);
+  }
+  
+  try {
+    const job = await rawPool.query(
+      'SELECT job_id, platform FROM job_posting WHERE job_id = $1',
+      [job_id]
+    );
     
-    // Clean up uploaded file
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    if (job.rows.length === 0) {
+      return res.status(404).json({ error: 'Job post not found' });
     }
     
-    res.status(500).json({ error: 'CSV upload failed', details: error.message });
-  } finally {
-    client.release();
+    if (!isPlatformAllowed(getAllowedPlatforms(req.apiKeyInfo), job.rows[0].platform)) {
+      return res.status(403).json({
+        error: `API key '${req.apiKeyInfo.keyname}' may not write platform '${job.rows[0].platform}'`
+      });
+    }
+    
+    const inserted = await insertBenefits(rawPool, job_id, benefits);
+    
+    res.status(inserted.length > 0 ? 201 : 200).json({
+      job_id,
+      created: inserted.length,
+      skipped: benefits.length - inserted.length,
+      benefits: inserted
+    });
+  } catch (error) {
+    console.error('Error adding benefits:', error);
+    res.status(500).json({ error: 'Failed to add benefits' });
   }
 });
 
-// Error handling
-app.use((err, req, res, next) => {
+// Upload the raw page (HTML or JSON response) of a job as its latest snapshot (with auth)
+app.put('/api/jobposts/:job_id/snapshot', authenticateApiKey, requireScope('ingest'), snapshotBody, async (req, res) => {
+  const { job_id } = req.params;
+  
+  if (!UUID_PATTERN.test(job_id)) {
+    return res.status(400).json({ error: 'job_id must be a UUID' });
+  }
+  
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  
+  if (!SNAPSHOT_CONTENT_TYPES.includes(contentType)) {
+    return res.status(415).json({
+      error: 'Unsupported snapshot content type',
+      supported: SNAPSHOT_CONTENT_TYPES
+    });
+  }
+  
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Snapshot body is empty' });
+  }
+  
+  try {
+    const job = await getJobSnapshot(job_id);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job post not found' });
+    }
+    
+    if (!isPlatformAllowed(getAllowedPlatforms(req.apiKeyInfo), job.platform)) {
+      return res.status(403).json({
+        error: `API key '${req.apiKeyInfo.keyname}' may not write platform '${job.platform}'`
+      });
+    }
+    
+    const snapshot = await saveSnapshot(job_id, req.body, contentType);
+    
+    res.status(snapshot.deduplicated ? 200 : 201).json(snapshot);
+  } catch (error) {
+    console.error('Error saving snapshot:', error);
+    res.status(500).json({ error: 'Failed to save snapshot' });
+  }
+});
+
+// Download the latest page snapshot of a job (with auth)
+app.get('/api/jobposts/:job_id/snapshot', authenticateApiKey, requireScope('read'), async (req, res) => {
+  const { job_id } = req.params;
+  
+  if (!UUID_PATTERN.test(job_id)) {
+    return res.status(400).json({ error: 'job_id must be a UUID' });
+  }
+  
+  try {
+    const snapshot = await getJobSnapshot(job_id);
+    
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Job post not found' });
+    }
+    
+    if (!snapshot.content_hash) {
+      return res.status(404).json({ error: 'Job post has no snapshot' });
+    }
+    
+    const file = openSnapshotFile(snapshot);
+    
+    if (!file) {
+      return res.status(410).json({ error: 'Snapshot file is missing', content_hash: snapshot.content_hash });
+    }
+    
+    res.setHeader('Content-Type', snapshot.content_type);
+    res.setHeader('ETag', `"${snapshot.content_hash}"`);
+    res.setHeader('X-Snapshot-Captured-At', new Date(snapshot.captured_at).toISOString());
+    res.setHeader('Vary', 'Accept-Encoding');
+    
+    file.on('error', error => {
+      console.error('Error reading snapshot file:', error);
+      res.destroy(error);
+    });
+    
+    // Files are stored gzipped: pass them through when the client accepts gzip
+    if (req.acceptsEncodings('gzip') === 'gzip') {
+      res.setHeader('Content-Encoding', 'gzip');
+      res.setHeader('Content-Length', snapshot.stored_bytes);
+      file.pipe(res);
+    } else {
+      res.setHeader('Content-Length', snapshot.size_bytes);
+      file.pipe(zlib.createGunzip()).pipe(res);
+    }
+  } catch (error) {
+    console.error('Error fetching snapshot:', error);
+    res.status(500).json({ error: 'Failed to fetch snapshot' });
+  }
+});
+
+// Get unprocessed jobs (for ETL)
+app.get('/api/jobposts/unprocessed', authenticateApiKey, requireScope('etl'), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  
+  try {
+    const result = await rawPool.query(
+      `SELECT jp.*, c.company_name, c.location as company_location, c.url as company_url
+       FROM job_posting jp
+       LEFT JOIN company c ON jp.company_id = c.company_id
+       WHERE jp.processed = FALSE
+       ORDER BY jp.crawled_time ASC
+       LIMIT $1`,
+      [limit]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching unprocessed jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Mark jobs as processed (for ETL)
+app.post('/api/jobposts/mark-processed', authenticateApiKey, requireScope('etl'), idempotent, validateBody(markProcessedSchema), async (req, res) => {
+  const { job_ids } = req.body;
+  
+  try {
+    const result = await rawPool.query(
+      `UPDATE job_posting 
+       SET processed = TRUE, processed_at = CURRENT_TIMESTAMP, reprocess_requested_at = NULL
+       WHERE job_id = ANY($1)
+       RETURNING job_id, url, platform`,
+      [job_ids]
+    );
+    
+    await publishJobEvents(rawPool, 'job.processed', result.rows);
+    
+    res.json({ 
+      processed: result.rowCount,
+      job_ids: result.rows.map(r => r.job_id)
+    });
+  } catch (error) {
+    console.error('Error marking jobs as processed:', error);
+    res.status(500).json({ error: 'Failed to mark jobs' });
+  }
+});
+
+// CSV Upload endpoint (with auth)
+// Returns an import ID right away; rows are streamed and inserted in the background
+app.post('/api/jobposts/upload-csv', authenticateApiKey, requireScope('ingest'), loadCrawlRun, upload.single('file'), digestUpload(UPLOAD_DIR), idempotent, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'CSV file is required' });
+  }
+
+  try {
+    const importJob = await createImport({
+      filePath: path.resolve(req.file.path),
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      upsert: isUpsertRequest(req),
+      createdBy: req.apiKeyInfo.keyname,
+      apiKeyId: req.apiKeyInfo.id,
+      allowedPlatforms: getAllowedPlatforms(req.apiKeyInfo),
+      crawlRunId: req.crawlRunId
+    });
+
+    startImport(importJob.import_id);
+
+    res.status(202).json({
+      import_id: importJob.import_id,
+      status: importJob.status,
+      status_url: `/api/imports/${importJob.import_id}`,
+      errors_url: `/api/imports/${importJob.import_id}/errors`
+    });
+  } catch (error) {
+    console.error('CSV upload error:', error);
+    
+    // Clean up uploaded file
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    
+    res.status(500).json({ error: 'CSV upload failed', details: error.message });
+  }
+});
+
+// Get CSV import progress (with auth)
+app.get('/api/imports/:id', authenticateApiKey, requireScope('ingest'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a UUID' });
+  }
+
+  try {
+    const importJob = await getImport(req.params.id);
+
+    if (!importJob) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.json(importJob);
+  } catch (error) {
+    console.error('Error fetching import:', error);
+    res.status(500).json({ error: 'Failed to fetch import' });
+  }
+});
+
+// Download per-row error report of a CSV import (with auth)
+app.get('/api/imports/:id/errors', authenticateApiKey, requireScope('ingest'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a UUID' });
+  }
+
+  try {
+    const importJob = await getImport(req.params.id);
+
+    if (!importJob) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    const errors = await getImportErrors(req.params.id);
+
+    if (req.query.format === 'json') {
+      return res.json(errors);
+    }
+
+    const csvValue = value => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = ['row,job_title,url,error'];
+    for (const e of errors) {
+      lines.push([e.row_number, e.job_title, e.url, e.error].map(csvValue).join(','));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="import-${req.params.id}-errors.csv"`);
+    res.send(lines.join('\n'));
+  } catch (error) {
+    console.error('Error fetching import errors:', error);
+    res.status(500).json({ error: 'Failed to fetch import errors' });
+  }
+});
+
+// Resume a failed CSV import from its last committed row (with auth)
+app.post('/api/imports/:id/resume', authenticateApiKey, requireScope('ingest'), idempotent, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a UUID' });
+  }
+
+  try {
+    const importJob = await getImport(req.params.id);
+
+    if (!importJob) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    if (importJob.status === 'completed') {
+      return res.status(409).json({ error: 'Import already completed' });
+    }
+
+    const started = startImport(importJob.import_id);
+
+    res.status(202).json({
+      import_id: importJob.import_id,
+      status: started ? 'running' : importJob.status,
+      resume_from_row: importJob.last_committed_row + 1
+    });
+  } catch (error) {
+    console.error('Error resuming import:', error);
+    res.status(500).json({ error: 'Failed to resume import' });
+  }
+});
+
+// ===================================
+// CRAWL RUNS
+// ===================================
+
+// Open a crawl run; pass its crawl_run_id to the ingestion routes (with auth)
+app.post('/api/crawl-runs', authenticateApiKey, requireScope('ingest'), idempotent, validateBody(createCrawlRunSchema), loadPlatformNames, async (req, res) => {
+  const { platform, crawler_version, parameters } = req.body;
+
+  const platformError = checkPlatformName(platform, req.platformNames);
+  if (platformError) {
+    return sendValidationError(res, [{ field: 'platform', message: platformError }]);
+  }
+
+  if (!isPlatformAllowed(getAllowedPlatforms(req.apiKeyInfo), platform)) {
+    return res.status(403).json({
+      error: `API key '${req.apiKeyInfo.keyname}' may not write platform '${platform}'`,
+      allowed_platforms: getAllowedPlatforms(req.apiKeyInfo)
+    });
+  }
+
+  try {
+    const run = await createCrawlRun({
+      platform,
+      crawlerVersion: crawler_version,
+      parameters,
+      createdBy: req.apiKeyInfo.keyname
+    });
+
+    res.status(201).json(run);
+  } catch (error) {
+    console.error('Error creating crawl run:', error);
+    res.status(500).json({ error: 'Failed to create crawl run' });
+  }
+});
+
+// List crawl runs, newest first (with auth)
+app.get('/api/crawl-runs', authenticateApiKey, requireScope('ingest'), async (req, res) => {
+  const { platform, status, before } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  const fields = [];
+  if (status && !CRAWL_RUN_STATUSES.includes(status)) {
+    fields.push({ field: 'status', message: `must be one of: ${CRAWL_RUN_STATUSES.join(', ')}` });
+  }
+  if (before && isNaN(Date.parse(before))) {
+    fields.push({ field: 'before', message: 'must be an ISO 8601 date-time' });
+  }
+  if (fields.length > 0) {
+    return sendValidationError(res, fields);
+  }
+
+  try {
+    const runs = await listCrawlRuns({ platform, status, before, limit });
+
+    res.json({
+      data: runs,
+      next_before: runs.length === limit ? runs[runs.length - 1].started_at : null
+    });
+  } catch (error) {
+    console.error('Error listing crawl runs:', error);
+    res.status(500).json({ error: 'Failed to list crawl runs' });
+  }
+});
+
+// Get one crawl run with its outcome counts (with auth)
+app.get('/api/crawl-runs/:id', authenticateApiKey, requireScope('ingest'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a UUID' });
+  }
+
+  try {
+    const run = await getCrawlRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Crawl run not found' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching crawl run:', error);
+    res.status(500).json({ error: 'Failed to fetch crawl run' });
+  }
+});
+
+// Close a crawl run with its final status (with auth, opening key or admin)
+app.patch('/api/crawl-runs/:id', authenticateApiKey, requireScope('ingest'), validateBody(closeCrawlRunSchema), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a UUID' });
+  }
+
+  try {
+    const run = await getCrawlRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Crawl run not found' });
+    }
+
+    if (run.created_by !== req.apiKeyInfo.keyname && !hasScope(req.apiKeyInfo, 'admin')) {
+      return res.status(403).json({ error: 'Only the API key that opened a crawl run may close it' });
+    }
+
+    const closed = await closeCrawlRun(run.crawl_run_id, req.body);
+
+    if (!closed) {
+      return res.status(409).json({ error: `Crawl run is already ${run.status}` });
+    }
+
+    res.json(closed);
+  } catch (error) {
+    console.error('Error closing crawl run:', error);
+    res.status(500).json({ error: 'Failed to close crawl run' });
+  }
+});
+
+// ===================================
+// READ API (Clean DB)
+// ===================================
+
+// Sortable columns: expression used for ordering/keyset and the type the cursor value is cast back to
+const JOB_SORT_COLUMNS = {
+  posted_date: { expr: "COALESCE(jp.PostedDate, DATE '1970-01-01')", type: 'date' },
+  crawled_time: { expr: "COALESCE(jp.CrawledTime, TIMESTAMP '1970-01-01')", type: 'timestamp' },
+  salary: { expr: 'COALESCE(jp.SalaryPerMonth, 0)', type: 'numeric' },
+  title: { expr: 'jp.Title', type: 'text' }
+};
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded && decoded.v !== undefined && UUID_PATTERN.test(decoded.id)) {
+      return decoded;
+    }
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+// Search clean job posts (with auth)
+app.get('/api/jobs', authenticateApiKey, requireScope('read'), async (req, res) => {
+  const sortKey = req.query.sort || 'posted_date';
+  const sort = JOB_SORT_COLUMNS[sortKey];
+  const order = (req.query.order || 'desc').toLowerCase();
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  if (!sort) {
+    return res.status(400).json({
+      error: `sort must be one of: ${Object.keys(JOB_SORT_COLUMNS).join(', ')}`
+    });
+  }
+
+  if (order !== 'asc' && order !== 'desc') {
+    return res.status(400).json({ error: 'order must be asc or desc' });
+  }
+
+  const status = (req.query.status || 'open').toLowerCase();
+  if (status !== 'all' && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${[...JOB_STATUSES, 'all'].join(', ')}` });
+  }
+
+  // Same filter names and semantics as Analytics.searchJobs()
+  const filters = {
+    title: req.query.title,
+    location: req.query.location,
+    minSalary: req.query.min_salary ? parseFloat(req.query.min_salary) : null,
+    maxSalary: req.query.max_salary ? parseFloat(req.query.max_salary) : null,
+    experienceLevel: req.query.experience_level,
+    platform: req.query.platform,
+    postedFrom: req.query.posted_from,
+    postedTo: req.query.posted_to,
+    status
+  };
+
+  if (Number.isNaN(filters.minSalary) || Number.isNaN(filters.maxSalary)) {
+    return res.status(400).json({ error: 'min_salary and max_salary must be numbers' });
+  }
+
+  for (const name of ['posted_from', 'posted_to']) {
+    const value = req.query[name];
+    if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)))) {
+      return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+    }
+  }
+
+  const { conditions, params } = buildJobSearchConditions(filters);
+  const fromClause = `
+    FROM JobPost jp
+    JOIN Company c ON jp.CompanyId = c.Id
+    LEFT JOIN Currency cur ON jp.CurrencyId = cur.Id
+    LEFT JOIN ExperienceLevel el ON jp.ExperienceLevelId = el.Id
+    LEFT JOIN Platform p ON jp.PlatformId = p.Id`;
+
+  // Keyset pagination: continue after the last (sort value, Id) of the previous page
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    pageParams.push(cursor.v, cursor.id);
+    const valueParam = `$${pageParams.length - 1}::${sort.type}`;
+    const idParam = `$${pageParams.length}::uuid`;
+    pageConditions.push(
+      `(${sort.expr}, jp.Id) ${order === 'desc' ? '<' : '>'} (${valueParam}, ${idParam})`
+    );
+  }
+
+  pageParams.push(limit + 1);
+
+  try {
+    const [page, count] = await Promise.all([
+      cleanPool.query(
+        `SELECT
+           jp.Id as id,
+           jp.Title as title,
+           c.Id as company_id,
+           c.Name as company,
+           jp.Location as location,
+           jp.CountryCode as country_code,
+           jp.SalaryPerMonth as salary_per_month,
+           cur.Name as currency,
+           el.Name as experience_level,
+           p.Name as platform,
+           jp.ApplicantCount as applicant_count,
+           jp.PostedDate as posted_date,
+           jp.PostUrl as post_url,
+           jp.CrawledTime as crawled_time,
+           jp.Status as status,
+           jp.LastSeen as last_seen,
+           jp.ClosedAt as closed_at,
+           (${sort.expr})::text as cursor_value
+         ${fromClause}
+         WHERE ${pageConditions.join(' AND ')}
+         ORDER BY ${sort.expr} ${order}, jp.Id ${order}
+         LIMIT $${pageParams.length}`,
+        pageParams
+      ),
+      cleanPool.query(
+        `SELECT COUNT(*)::int as total ${fromClause} WHERE ${conditions.join(' AND ')}`,
+        params
+      )
+    ]);
+
+    const rows = page.rows.slice(0, limit);
+    const hasMore = page.rows.length > limit;
+    const last = rows[rows.length - 1];
+
+    res.json({
+      data: rows.map(({ cursor_value, ...job }) => job),
+      total: count.rows[0].total,
+      next_cursor: hasMore ? encodeCursor(last.cursor_value, last.id) : null
+    });
+  } catch (error) {
+    console.error('Error searching jobs:', error);
+    res.status(500).json({ error: 'Failed to search jobs' });
+  }
+});
+
+// Get a single clean job post (with auth)
+app.get('/api/jobs/:id', authenticateApiKey, requireScope('read'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a UUID' });
+  }
+
+  try {
+    const result = await cleanPool.query(
+      `SELECT
+         jp.Id as id,
+         jp.Title as title,
+         jp.Description as description,
+         c.Id as company_id,
+         c.Name as company,
+         c.Domain as company_domain,
+         jp.Location as location,
+         jp.CountryCode as country_code,
+         jp.SalaryPerMonth as salary_per_month,
+         cur.Name as currency,
+         el.Name as experience_level,
+         p.Name as platform,
+         jp.ApplicantCount as applicant_count,
+         jp.PostedDate as posted_date,
+         jp.PostUrl as post_url,
+         jp.CrawledTime as crawled_time,
+         jp.Status as status,
+         jp.FirstSeen as first_seen,
+         jp.LastSeen as last_seen,
+         jp.ClosedAt as closed_at,
+         jp.CreatedAt as created_at,
+         jp.UpdatedAt as updated_at
+       FROM JobPost jp
+       JOIN Company c ON jp.CompanyId = c.Id
+       LEFT JOIN Currency cur ON jp.CurrencyId = cur.Id
+       LEFT JOIN ExperienceLevel el ON jp.ExperienceLevelId = el.Id
+       LEFT JOIN Platform p ON jp.PlatformId = p.Id
+       WHERE jp.Id = $1`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Get a single clean company with job counts (with auth)
+app.get('/api/companies/:id', authenticateApiKey, requireScope('read'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(400).json({ error: 'id must be a UUID' });
+  }
+
+  try {
+    const result = await cleanPool.query(
+      `SELECT
+         c.Id as id,
+         c.Name as name,
+         c.Location as location,
+         c.Domain as domain,
+         c.CreatedAt as created_at,
+         c.UpdatedAt as updated_at,
+         COUNT(jp.Id)::int as job_count,
+         MAX(jp.PostedDate) as latest_posted_date
+       FROM Company c
+       LEFT JOIN JobPost jp ON jp.CompanyId = c.Id
+       WHERE c.Id = $1
+       GROUP BY c.Id`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching company:', error);
+    res.status(500).json({ error: 'Failed to fetch company' });
+  }
+});
+
+// ===================================
+// LIVE STREAM
+// ===================================
+
+const STREAM_HEARTBEAT_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS) || 25;
+
+// Server-Sent Events: job.ingested (raw job_posting inserts) and job.cleaned (JobPost
+// writes by the data processor). ?platform=Topcv,ItViec filters, Last-Event-ID resumes.
+app.get('/api/stream/jobs', authenticateApiKey, requireScope('read'), async (req, res) => {
+  const platforms = req.query.platform
+    ? String(req.query.platform).split(',').map(p => p.trim().toLowerCase()).filter(Boolean)
+    : null;
+  const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+  const resumeFrom = lastEventId ? parseEventId(lastEventId) : null;
+  
+  if (lastEventId && !resumeFrom) {
+    return res.status(400).json({ error: 'Invalid Last-Event-ID' });
+  }
+  
+  // Live events that arrive while missed ones are replayed wait here
+  let queued = [];
+  let positions;
+  
+  // Filtered-out events still move the client's position, so a resume skips them
+  const send = event => {
+    if (!isAfter(event.position, positions[event.source])) return;
+    positions[event.source] = event.position;
+    
+    if (platforms && !platforms.includes(String(event.platform).toLowerCase())) return;
+    res.write(`id: ${formatEventId(positions)}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+  
+  let subscription;
+  
+  try {
+    subscription = await subscribe(event => (queued ? queued.push(event) : send(event)));
+  } catch (error) {
+    console.error('Error starting job stream:', error);
+    return res.status(503).json({ error: 'Job stream unavailable' });
+  }
+  
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_SECONDS * 1000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscription.unsubscribe();
+  });
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  
+  positions = { ...(resumeFrom || subscription.positions) };
+  
+  if (resumeFrom) {
+    try {
+      const { events, truncated } = await replayEvents(resumeFrom, subscription.positions);
+      
+      if (truncated.length > 0) {
+        for (const source of truncated) positions[source] = subscription.positions[source];
+        res.write(`event: stream.reset\ndata: ${JSON.stringify({
+          reason: 'Too many missed events to replay, continuing with new ones',
+          feeds: truncated
+        })}\n\n`);
+      }
+      
+      events.forEach(send);
+    } catch (error) {
+      console.error('Error replaying job stream:', error);
+      clearInterval(heartbeat);
+      subscription.unsubscribe();
+      return res.end();
+    }
+  }
+  
+  const missed = queued;
+  queued = null;
+  missed.forEach(send);
+});
+
+// ===================================
+// ADMIN: API KEYS
+// ===================================
+
+/**
+ * Map a validated create/update body to api_keys service fields
+ * Only properties present in the body are returned (null clears a setting)
+ */
+function keySettingsFromBody(body) {
+  const changes = {};
+
+  if (body.scopes !== undefined && body.scopes !== null) {
+    changes.scopes = [...new Set(body.scopes)];
+  }
+  if (body.allowed_platforms !== undefined) {
+    changes.allowedPlatforms = body.allowed_platforms;
+  }
+  if (body.rate_limit_max !== undefined) {
+    changes.rateLimitMax = body.rate_limit_max;
+  }
+  if (body.expires_at !== undefined) {
+    changes.expiresAt = body.expires_at === null ? null : new Date(body.expires_at);
+  }
+
+  return changes;
+}
+
+// Create an API key (admin); the key itself is only returned here
+app.post('/api/admin/keys', authenticateApiKey, requireScope('admin'), refuseKeyForSecrets, validateBody(createApiKeySchema), async (req, res) => {
+  const { key_name } = req.body;
+
+  try {
+    const { key, apiKey } = await createApiKey({
+      keyName: key_name,
+      createdBy: req.apiKeyInfo.keyname,
+      scopes: ['ingest'],
+      ...keySettingsFromBody(req.body)
+    });
+
+    res.status(201).json({ ...key, api_key: apiKey });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `An API key named '${key_name}' already exists` });
+    }
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// List API keys (admin); revoked keys only with ?include_revoked=true
+app.get('/api/admin/keys', authenticateApiKey, requireScope('admin'), async (req, res) => {
+  try {
+    const keys = await listApiKeys({
+      includeRevoked: ['true', '1'].includes(req.query.include_revoked)
+    });
+    res.json({ data: keys });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Update expiry, scopes, allowed platforms or rate limit of a key (admin)
+app.patch('/api/admin/keys/:id', authenticateApiKey, requireScope('admin'), validateBody(updateApiKeySchema), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  try {
+    const key = await updateApiKey(req.params.id, keySettingsFromBody(req.body));
+
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(key);
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+});
+
+// Revoke a key (admin)
+app.post('/api/admin/keys/:id/revoke', authenticateApiKey, requireScope('admin'), idempotent, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  try {
+    const key = await revokeApiKey(req.params.id);
+
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(key);
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Rotate a key (admin): returns the new key, the old one keeps working for grace_minutes
+app.post('/api/admin/keys/:id/rotate', authenticateApiKey, requireScope('admin'), refuseKeyForSecrets, validateBody(rotateApiKeySchema), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  const graceMinutes = req.body.grace_minutes ?? ROTATION_GRACE_MINUTES;
+
+  try {
+    const rotated = await rotateApiKey(req.params.id, graceMinutes);
+
+    if (!rotated) {
+      return res.status(404).json({ error: 'API key not found or revoked' });
+    }
+
+    res.json({ ...rotated.key, api_key: rotated.apiKey });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+// ===================================
+// ADMIN: WEBHOOKS
+// ===================================
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Subscribe a URL to events (admin); the signing secret is only returned here
+app.post('/api/admin/webhooks', authenticateApiKey, requireScope('admin'), refuseKeyForSecrets, validateBody(createWebhookSchema), async (req, res) => {
+  const { url, secret, events, platforms, description } = req.body;
+
+  try {
+    const subscription = await createSubscription({
+      url,
+      secret,
+      events: [...new Set(events)],
+      platforms,
+      description,
+      createdBy: req.apiKeyInfo.keyname
+    });
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// List webhook subscriptions with pending/failed delivery counts (admin)
+app.get('/api/admin/webhooks', authenticateApiKey, requireScope('admin'), async (req, res) => {
+  try {
+    res.json({ data: await listSubscriptions() });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// Update a subscription (admin); is_active=false pauses it
+app.patch('/api/admin/webhooks/:id', authenticateApiKey, requireScope('admin'), validateBody(updateWebhookSchema), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const changes = { ...req.body };
+  if (changes.events) changes.events = [...new Set(changes.events)];
+
+  // Only platforms and description can be cleared
+  for (const field of ['url', 'secret', 'events', 'is_active']) {
+    if (changes[field] === null) delete changes[field];
+  }
+
+  try {
+    const subscription = await updateSubscription(req.params.id, changes);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(subscription);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Delete a subscription and its delivery log (admin)
+app.delete('/api/admin/webhooks/:id', authenticateApiKey, requireScope('admin'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  try {
+    if (!await deleteSubscription(req.params.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log of a subscription, newest first (admin)
+app.get('/api/admin/webhooks/:id/deliveries', authenticateApiKey, requireScope('admin'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const status = req.query.status || null;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return sendValidationError(res, [
+      { field: 'status', message: `must be one of: ${DELIVERY_STATUSES.join(', ')}` }
+    ]);
+  }
+
+  try {
+    const deliveries = await listDeliveries(req.params.id, { status, limit });
+
+    if (!deliveries) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ data: deliveries });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries' });
+  }
+});
+
+// Send a delivery again, e.g. after fixing the receiver (admin)
+app.post('/api/admin/webhooks/deliveries/:id/redeliver', authenticateApiKey, requireScope('admin'), idempotent, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  try {
+    const delivery = await redeliver(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// ===================================
+// COMPANY ALIASES
+// ===================================
+
+// Names the company resolver maps to a company (admin)
+app.get('/api/admin/companies/:id/aliases', authenticateApiKey, requireScope('admin'), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+
+  try {
+    const aliases = await listCompanyAliases(req.params.id);
+
+    if (aliases.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({ data: aliases });
+  } catch (error) {
+    console.error('Error listing company aliases:', error);
+    res.status(500).json({ error: 'Failed to list company aliases' });
+  }
+});
+
+// Map another name to a company, e.g. a brand or former name (admin)
+app.post('/api/admin/companies/:id/aliases', authenticateApiKey, requireScope('admin'), idempotent, validateBody(companyAliasSchema), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+
+  try {
+    const alias = await addCompanyAlias(req.params.id, req.body.alias);
+
+    if (!alias) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.status(201).json(alias);
+  } catch (error) {
+    console.error('Error adding company alias:', error);
+    res.status(500).json({ error: 'Failed to add company alias' });
+  }
+});
+
+// ===================================
+// REPROCESSING
+// ===================================
+
+// Reset processed jobs so the data processor transforms them again and updates
+// their existing JobPost (admin). Only counts them unless dry_run is false.
+app.post('/api/admin/reprocess', authenticateApiKey, requireScope('admin'), idempotent, validateBody(reprocessSchema), async (req, res) => {
+  const body = req.body;
+  const filter = {
+    platform: body.platform,
+    crawledFrom: body.crawled_from,
+    crawledTo: body.crawled_to,
+    crawlRunId: body.crawl_run_id,
+    jobIds: body.job_ids,
+    cleanSalaryNull: body.clean_salary_null
+  };
+
+  if (!hasFilter(filter)) {
+    return sendValidationError(res, [{
+      field: 'body',
+      message: 'requires at least one of platform, crawled_from, crawled_to, crawl_run_id, job_ids, clean_salary_null'
+    }]);
+  }
+
+  try {
+    if (body.dry_run !== false) {
+      const { matched, platforms } = await countReprocessJobs(rawPool, cleanPool, filter);
+      return res.json({ dry_run: true, matched, platforms });
+    }
+
+    const { reset, platforms } = await resetProcessedJobs(rawPool, cleanPool, filter);
+    console.log(`🔄 ${req.apiKeyInfo.keyname} reset ${reset} jobs for reprocessing`);
+    res.json({ dry_run: false, reset, platforms });
+  } catch (error) {
+    console.error('Error resetting jobs for reprocessing:', error);
+    res.status(500).json({ error: 'Failed to reset jobs for reprocessing' });
+  }
+});
+
+// ===================================
+// AUDIT LOG
+// ===================================
+
+// Authenticated calls, newest first (admin)
+app.get('/api/admin/audit', authenticateApiKey, requireScope('admin'), async (req, res) => {
+  const { api_key_id, key_name, route, method, status, ip, from, before } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  const fields = [];
+  if (api_key_id && !UUID_PATTERN.test(api_key_id)) {
+    fields.push({ field: 'api_key_id', message: 'must be a UUID' });
+  }
+  if (status && !/^\d{3}$/.test(status)) {
+    fields.push({ field: 'status', message: 'must be an HTTP status code' });
+  }
+  for (const [field, value] of [['from', from], ['before', before]]) {
+    if (value && isNaN(Date.parse(value))) {
+      fields.push({ field, message: 'must be an ISO 8601 date-time' });
+    }
+  }
+  if (fields.length > 0) {
+    return sendValidationError(res, fields);
+  }
+
+  try {
+    const entries = await listAuditLog({
+      apiKeyId: api_key_id,
+      keyName: key_name,
+      route,
+      method,
+      status: status ? parseInt(status) : null,
+      clientIp: ip,
+      from,
+      before,
+      limit
+    });
+
+    res.json({
+      data: entries,
+      next_before: entries.length === limit ? entries[entries.length - 1].created_at : null
+    });
+  } catch (error) {
+    console.error('Error listing audit log:', error);
+    res.status(500).json({ error: 'Failed to list audit log' });
+  }
+});
+
+// Daily usage per key over a date range (admin); from / to are inclusive UTC days
+app.get('/api/admin/usage', authenticateApiKey, requireScope('admin'), async (req, res) => {
+  const { api_key_id, key_name } = req.query;
+  const { from, to, fields } = parseUsageRange(req.query);
+
+  if (api_key_id && !UUID_PATTERN.test(api_key_id)) {
+    fields.push({ field: 'api_key_id', message: 'must be a UUID' });
+  }
+  if (fields.length > 0) {
+    return sendValidationError(res, fields);
+  }
+
+  try {
+    res.json(await getUsageReport({ from, to, apiKeyId: api_key_id, keyName: key_name }));
+  } catch (error) {
+    console.error('Error building usage report:', error);
+    res.status(500).json({ error: 'Failed to build usage report' });
+  }
+});
+
+// ===================================
+// API DOCS
+// ===================================
+
+// Built on first request, once every route is registered
+let openApiSpec = null;
+
+// OpenAPI document generated from the routes (no auth)
+app.get('/api/openapi.json', (req, res) => {
+  openApiSpec = openApiSpec || buildOpenApiSpec(app);
+  res.json(openApiSpec);
+});
+
+// Swagger UI for /api/openapi.json (no auth), assets from jsDelivr
+app.get('/api/docs', (req, res) => {
+  const nonce = crypto.randomBytes(16).toString('base64');
+  const cdn = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5';
+
+  res.setHeader('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src 'self' 'nonce-${nonce}' https://cdn.jsdelivr.net`,
+    "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net",
+    "img-src 'self' data: https://cdn.jsdelivr.net",
+    "connect-src 'self'"
+  ].join('; '));
+
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Job Crawler Raw API</title>
+  <link rel="stylesheet" href="${cdn}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${cdn}/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+});
+
+// Error handling
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body larger than ${err.limit} bytes` });
+  }
+  
   console.error('Server error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -466,4 +1999,23 @@ app.listen(PORT, () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
   console.log(`💾 Database: ${process.env.DB_NAME}`);
   console.log('='.repeat(50));
+
+  // Pick up CSV imports interrupted by a restart
+  resumeInterruptedImports().catch(error => {
+    console.error('❌ Failed to resume CSV imports:', error.message);
+  });
+
+  startWebhookWorker();
+  startSnapshotPruner();
+  startIdempotencyPruner();
+  startAuditPruner();
+
+  // Companies stored before the resolver get their domain and first alias
+  backfillCompanyAliases()
+    .then(count => {
+      if (count > 0) console.log(`🏢 Backfilled aliases of ${count} companies`);
+    })
+    .catch(error => {
+      console.error('❌ Failed to backfill company aliases:', error.message);
+    });
 });
\ No newline at end of file
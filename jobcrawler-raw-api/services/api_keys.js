@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { cleanPool } = require('./database');
+
+const API_KEY_SCOPES = ['ingest', 'etl', 'read', 'admin'];
+
+// Leading characters of a key kept in clear text to find its row and recognise it in listings
+const KEY_PREFIX_LENGTH = 8;
+
+const ROTATION_GRACE_MINUTES = parseInt(process.env.API_KEY_ROTATION_GRACE_MINUTES) || 60;
+
+// Columns safe to return from admin routes (never the hash, salt or legacy plaintext)
+const PUBLIC_COLUMNS = `
+  Id AS id,
+  KeyName AS key_name,
+  KeyPrefix AS key_prefix,
+  KeyHash IS NOT NULL AS hashed,
+  Scopes AS scopes,
+  AllowedPlatforms AS allowed_platforms,
+  RateLimitMax AS rate_limit_max,
+  IsActive AS is_active,
+  ExpiresAt AS expires_at,
+  RevokedAt AS revoked_at,
+  PreviousKeyPrefix AS previous_key_prefix,
+  PreviousKeyExpiresAt AS previous_key_expires_at,
+  CreatedBy AS created_by,
+  CreatedAt AS created_at,
+  LastUsedAt AS last_used_at,
+  UsageCount AS usage_count`;
+
+/**
+ * Salted SHA-256 of a key
+ * Keys are 256-bit random values, so a fast hash is enough (no brute-forceable password here).
+ */
+function hashApiKey(apiKey, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${apiKey}`).digest('hex');
+}
+
+function hashMatches(apiKey, salt, hash) {
+  if (!salt || !hash) return false;
+  const actual = Buffer.from(hashApiKey(apiKey, salt), 'hex');
+  const expected = Buffer.from(hash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Generate a new key and the values stored for it
+ * Returns { apiKey, prefix, salt, hash }; apiKey is only ever shown to the caller once
+ */
+function generateApiKey() {
+  const apiKey = crypto.randomBytes(32).toString('hex');
+  return { apiKey, ...hashForStorage(apiKey) };
+}
+
+function hashForStorage(apiKey) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return {
+    prefix: apiKey.slice(0, KEY_PREFIX_LENGTH),
+    salt,
+    hash: hashApiKey(apiKey, salt)
+  };
+}
+
+/**
+ * Find the ApiKeys row for a presented key
+ * Matches the current secret, or the previous one during its rotation grace period.
+ * Keys still stored in plaintext are hashed on first use.
+ * Returns the row (active or not) or null
+ */
+async function findApiKey(apiKey) {
+  const prefix = apiKey.slice(0, KEY_PREFIX_LENGTH);
+
+  const candidates = await cleanPool.query(
+    `SELECT * FROM ApiKeys
+     WHERE KeyPrefix = $1
+        OR (PreviousKeyPrefix = $1 AND PreviousKeyExpiresAt > CURRENT_TIMESTAMP)`,
+    [prefix]
+  );
+
+  for (const row of candidates.rows) {
+    if (hashMatches(apiKey, row.keysalt, row.keyhash)) return row;
+    if (row.previouskeyexpiresat > new Date() &&
+        hashMatches(apiKey, row.previouskeysalt, row.previouskeyhash)) {
+      return row;
+    }
+  }
+
+  const legacy = await cleanPool.query(
+    'SELECT Id FROM ApiKeys WHERE ApiKey = $1 AND KeyHash IS NULL',
+    [apiKey]
+  );
+  if (legacy.rows.length === 0) return null;
+
+  return migratePlaintextKey(legacy.rows[0].id, apiKey);
+}
+
+/**
+ * Replace a plaintext key with its hash; only called once the plaintext lookup matched
+ * Returns the migrated row, or null when the key no longer matches it
+ */
+async function migratePlaintextKey(id, apiKey) {
+  const { prefix, salt, hash } = hashForStorage(apiKey);
+
+  const result = await cleanPool.query(
+    `UPDATE ApiKeys
+     SET ApiKey = NULL, KeyPrefix = $3, KeySalt = $4, KeyHash = $5
+     WHERE Id = $1 AND ApiKey = $2 AND KeyHash IS NULL
+     RETURNING *`,
+    [id, apiKey, prefix, salt, hash]
+  );
+
+  if (result.rows.length === 0) {
+    // A concurrent request migrated it first; its hash now holds the key
+    const current = await cleanPool.query('SELECT * FROM ApiKeys WHERE Id = $1', [id]);
+    const row = current.rows[0];
+    return row && hashMatches(apiKey, row.keysalt, row.keyhash) ? row : null;
+  }
+
+  console.log(`🔐 API key '${result.rows[0].keyname}' migrated to hashed storage`);
+  return result.rows[0];
+}
+
+/**
+ * Create a key
+ * Returns { key, apiKey } where key holds the public columns
+ */
+async function createApiKey({ keyName, createdBy, scopes, allowedPlatforms = null, rateLimitMax = null, expiresAt = null }) {
+  const { apiKey, prefix, salt, hash } = generateApiKey();
+
+  const result = await cleanPool.query(
+    `INSERT INTO ApiKeys (KeyName, KeyPrefix, KeySalt, KeyHash, IsActive, CreatedBy,
+                          Scopes, AllowedPlatforms, RateLimitMax, ExpiresAt)
+     VALUES ($1, $2, $3, $4, TRUE, $5, $6, $7, $8, $9)
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [keyName, prefix, salt, hash, createdBy, scopes, allowedPlatforms, rateLimitMax, expiresAt]
+  );
+
+  return { key: result.rows[0], apiKey };
+}
+
+async function listApiKeys({ includeRevoked = false } = {}) {
+  const result = await cleanPool.query(
+    `SELECT ${PUBLIC_COLUMNS}
+     FROM ApiKeys
+     ${includeRevoked ? '' : 'WHERE RevokedAt IS NULL'}
+     ORDER BY CreatedAt`
+  );
+  return result.rows;
+}
+
+/**
+ * Deactivate a key, including a previous secret still in its grace period
+ * Returns the updated key or null if it does not exist
+ */
+async function revokeApiKey(id) {
+  const result = await cleanPool.query(
+    `UPDATE ApiKeys
+     SET IsActive = FALSE,
+         RevokedAt = COALESCE(RevokedAt, CURRENT_TIMESTAMP),
+         PreviousKeyExpiresAt = LEAST(PreviousKeyExpiresAt, CURRENT_TIMESTAMP)
+     WHERE Id = $1
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Issue a new secret for an active key
+ * The old secret keeps working for graceMinutes; a secret from an earlier rotation
+ * that is still in its grace period stops working immediately.
+ * Returns { key, apiKey } or null if the key does not exist or is revoked
+ */
+async function rotateApiKey(id, graceMinutes = ROTATION_GRACE_MINUTES) {
+  const { apiKey, prefix, salt, hash } = generateApiKey();
+  const legacySalt = crypto.randomBytes(16).toString('hex');
+
+  // A key never used since hashing was introduced is still plaintext: hash it
+  // in SQL (same format as hashApiKey) so it gets the grace period too
+  const result = await cleanPool.query(
+    `UPDATE ApiKeys
+     SET PreviousKeyPrefix = COALESCE(KeyPrefix, LEFT(ApiKey, ${KEY_PREFIX_LENGTH})),
+         PreviousKeySalt = COALESCE(KeySalt, $6),
+         PreviousKeyHash = COALESCE(KeyHash, encode(sha256(convert_to($6 || ':' || ApiKey, 'UTF8')), 'hex')),
+         PreviousKeyExpiresAt = CURRENT_TIMESTAMP + make_interval(mins => $5),
+         KeyPrefix = $2, KeySalt = $3, KeyHash = $4, ApiKey = NULL
+     WHERE Id = $1 AND IsActive = TRUE
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [id, prefix, salt, hash, graceMinutes, legacySalt]
+  );
+
+  if (result.rows.length === 0) return null;
+  return { key: result.rows[0], apiKey };
+}
+
+/**
+ * Change expiry, scopes, platform allowlist or rate limit of a key
+ * Only properties present in `changes` are written (null clears the setting).
+ * Returns the updated key or null if it does not exist
+ */
+async function updateApiKey(id, changes) {
+  const columns = {
+    expiresAt: 'ExpiresAt',
+    scopes: 'Scopes',
+    allowedPlatforms: 'AllowedPlatforms',
+    rateLimitMax: 'RateLimitMax'
+  };
+
+  const sets = [];
+  const params = [id];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (changes[field] !== undefined) {
+      params.push(changes[field]);
+      sets.push(`${column} = $${params.length}`);
+    }
+  }
+
+  const result = await cleanPool.query(
+    sets.length > 0
+      ? `UPDATE ApiKeys SET ${sets.join(', ')} WHERE Id = $1 RETURNING ${PUBLIC_COLUMNS}`
+      : `SELECT ${PUBLIC_COLUMNS} FROM ApiKeys WHERE Id = $1`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  ROTATION_GRACE_MINUTES,
+  findApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  updateApiKey,
+};
@@ -0,0 +1,190 @@
+const { rawPool } = require('./database');
+const { recordUsage } = require('./usage');
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 90;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Routes whose responses report job counts (CSV uploads report theirs per batch, see csv_import)
+const JOB_ROUTES = ['/api/jobposts', '/api/jobposts/bulk', '/api/jobposts/upload-ndjson', '/api/jobposts/jsonld'];
+
+// Response fields summed into the audit counts
+const COUNT_FIELDS = ['created', 'skipped', 'updated'];
+const SINGLE_JOB_STATUSES = ['created', 'updated', 'unchanged'];
+
+/**
+ * Result counts reported by an ingestion response
+ * Bulk-style bodies carry created / skipped / updated and an errors list; the single
+ * job route answers with a `status`, or 409 for a duplicate. Other responses have none.
+ * Returns { created, skipped, updated, errors } (null when not reported)
+ */
+function resultCounts(statusCode, body) {
+  const counts = { created: null, skipped: null, updated: null, errors: null };
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return counts;
+
+  if (COUNT_FIELDS.some(field => typeof body[field] === 'number')) {
+    for (const field of COUNT_FIELDS) {
+      counts[field] = typeof body[field] === 'number' ? body[field] : 0;
+    }
+    // NDJSON uploads only return a sample of their errors
+    counts.errors = typeof body.error_count === 'number'
+      ? body.error_count
+      : (Array.isArray(body.errors) ? body.errors.length : 0);
+  } else if (SINGLE_JOB_STATUSES.includes(body.status) && body.job_id) {
+    counts.created = body.status === 'created' ? 1 : 0;
+    counts.updated = body.status === 'updated' ? 1 : 0;
+    counts.skipped = 0;
+    counts.errors = 0;
+  } else if (statusCode === 409 && body.job_id) {
+    Object.assign(counts, { created: 0, skipped: 1, updated: 0, errors: 0 });
+  }
+
+  return counts;
+}
+
+function payloadBytes(req) {
+  const length = parseInt(req.headers['content-length']);
+  if (!isNaN(length)) return length;
+  return req.file ? req.file.size : null;
+}
+
+/**
+ * Record an authenticated request in api_audit_log and the key's daily usage once
+ * its response is sent
+ * Called by authenticateApiKey as soon as the key is known, so rejected calls
+ * (expired key, missing scope, rate limit) are recorded too.
+ */
+function auditRequest(req, res, keyInfo) {
+  const startedAt = new Date();
+  const start = process.hrtime.bigint();
+
+  let body;
+  const json = res.json.bind(res);
+  res.json = payload => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.once('close', () => {
+    const route = req.route ? req.route.path : null;
+    const statusCode = res.writableFinished ? res.statusCode : 499;
+    const bytes = payloadBytes(req);
+
+    // A replayed Idempotency-Key response ran nothing
+    const counts = JOB_ROUTES.includes(route) && !res.get('Idempotent-Replayed')
+      ? resultCounts(statusCode, body)
+      : resultCounts(statusCode, null);
+
+    const audited = rawPool.query(
+      `INSERT INTO api_audit_log
+       (api_key_id, key_name, method, route, path, status_code, client_ip, payload_bytes,
+        created_count, skipped_count, updated_count, error_count, duration_ms, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+      [
+        keyInfo.id,
+        keyInfo.keyname,
+        req.method,
+        route,
+        req.originalUrl.substring(0, 2000),
+        statusCode,
+        req.ip,
+        bytes,
+        counts.created,
+        counts.skipped,
+        counts.updated,
+        counts.errors,
+        Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+        startedAt
+      ]
+    );
+
+    const counted = recordUsage(rawPool, keyInfo.id, {
+      keyName: keyInfo.keyname,
+      requests: 1,
+      failedRequests: statusCode >= 400 ? 1 : 0,
+      created: counts.created || 0,
+      skipped: counts.skipped || 0,
+      errors: counts.errors || 0,
+      bytesUploaded: bytes || 0
+    });
+
+    Promise.all([audited, counted]).catch(error => {
+      console.error('❌ Failed to write audit log:', error.message);
+    });
+  });
+}
+
+/**
+ * Audit entries, newest first
+ * Filters: apiKeyId, keyName, route (pattern), method, status, clientIp, from (inclusive),
+ * before (exclusive, also the page cursor)
+ */
+async function listAuditLog({
+  apiKeyId = null,
+  keyName = null,
+  route = null,
+  method = null,
+  status = null,
+  clientIp = null,
+  from = null,
+  before = null,
+  limit = 100
+} = {}) {
+  const result = await rawPool.query(
+    `SELECT audit_id, api_key_id, key_name, method, route, path, status_code, client_ip,
+            payload_bytes::int AS payload_bytes, created_count, skipped_count, updated_count, error_count,
+            duration_ms, created_at
+     FROM api_audit_log
+     WHERE ($1::uuid IS NULL OR api_key_id = $1)
+       AND ($2::text IS NULL OR key_name = $2)
+       AND ($3::text IS NULL OR route = $3)
+       AND ($4::text IS NULL OR method = UPPER($4))
+       AND ($5::int IS NULL OR status_code = $5)
+       AND ($6::text IS NULL OR client_ip = $6)
+       AND ($7::timestamp IS NULL OR created_at >= $7)
+       AND ($8::timestamp IS NULL OR created_at < $8)
+     ORDER BY created_at DESC, audit_id DESC
+     LIMIT $9`,
+    [apiKeyId, keyName, route, method, status, clientIp, from, before, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Delete entries older than AUDIT_RETENTION_DAYS
+ * Returns the number of entries deleted
+ */
+async function pruneAuditLog() {
+  const result = await rawPool.query(
+    'DELETE FROM api_audit_log WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+    [RETENTION_DAYS]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Prune the audit log at startup and once a day
+ */
+function startAuditPruner() {
+  const run = async () => {
+    try {
+      const deleted = await pruneAuditLog();
+      if (deleted > 0) {
+        console.log(`🧹 Pruned ${deleted} audit log entries`);
+      }
+    } catch (error) {
+      console.error('❌ Audit log pruning failed:', error.message);
+    }
+  };
+
+  run();
+  setInterval(run, PRUNE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  resultCounts,
+  auditRequest,
+  listAuditLog,
+  pruneAuditLog,
+  startAuditPruner,
+};
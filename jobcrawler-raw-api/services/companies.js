@@ -0,0 +1,275 @@
+const { rawPool } = require('./database');
+const { inferPlatform } = require('../utils/jsonld_mapper');
+
+// Legal forms stripped from the start / end of a name, as normalized words, longest
+// first so "cong ty co phan" wins over "cong ty"
+const LEGAL_PREFIXES = [
+  'cong ty trach nhiem huu han mot thanh vien',
+  'cong ty trach nhiem huu han',
+  'cong ty tnhh mot thanh vien',
+  'cong ty tnhh mtv',
+  'cong ty tnhh',
+  'cong ty co phan',
+  'cong ty cp',
+  'cong ty',
+  'trach nhiem huu han',
+  'tnhh mtv',
+  'tnhh',
+  'co phan'
+].map(form => form.split(' '));
+
+const LEGAL_SUFFIXES = [
+  'joint stock company',
+  'company limited',
+  'co ltd',
+  'pte ltd',
+  'corporation',
+  'company',
+  'limited',
+  'corp',
+  'jsc',
+  'ltd',
+  'llc',
+  'inc',
+  'plc',
+  'gmbh',
+  'tnhh',
+  'co'
+].map(form => form.split(' '));
+
+// Company pages on these hosts say nothing about who the company is (job boards are
+// recognized through the jsonld_mapper platform domains)
+const SHARED_HOSTS = ['facebook.com', 'instagram.com', 'youtube.com', 'google.com', 'sites.google.com'];
+
+const BACKFILL_BATCH_SIZE = 500;
+
+// Advisory lock class of resolveCompany, keyed by the normalized name
+const COMPANY_LOCK_CLASS = 5002;
+
+function startsWithWords(words, form, offset) {
+  return form.every((word, i) => words[offset + i] === word);
+}
+
+/**
+ * Comparable form of a company name: lowercase, without diacritics, punctuation
+ * and legal forms ("Công ty TNHH FPT Software" -> "fpt software")
+ */
+function normalizeCompanyName(name) {
+  let words = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[đĐ]/g, 'd')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  // Keep at least one word: "Company Limited" alone stays a name
+  const prefix = () => LEGAL_PREFIXES.find(form =>
+    words.length > form.length && startsWithWords(words, form, 0));
+  const suffix = () => LEGAL_SUFFIXES.find(form =>
+    words.length > form.length && startsWithWords(words, form, words.length - form.length));
+
+  for (let form = prefix(); form; form = prefix()) {
+    words = words.slice(form.length);
+  }
+  for (let form = suffix(); form; form = suffix()) {
+    words = words.slice(0, words.length - form.length);
+  }
+
+  // A name made only of legal forms or punctuation is compared as typed
+  return words.join(' ') || String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Host of a company URL without "www.", or null for job boards, social sites and
+ * URLs that do not parse. Scheme-less URLs ("fpt.com.vn") are accepted.
+ */
+function companyDomain(url) {
+  if (!url) return null;
+
+  let hostname;
+  try {
+    const value = String(url).trim();
+    hostname = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  hostname = hostname.replace(/^www\./, '');
+
+  const shared = SHARED_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  if (shared || inferPlatform(`https://${hostname}/`) || !hostname.includes('.')) {
+    return null;
+  }
+
+  return hostname;
+}
+
+/**
+ * Cache key of a company within one upload: names and URLs the resolver treats alike share it
+ */
+function companyKey({ company_name, url }) {
+  return `${normalizeCompanyName(company_name)}|${companyDomain(url) || ''}`;
+}
+
+async function addAlias(db, companyId, normalizedName, alias) {
+  await db.query(
+    `INSERT INTO company_alias (normalized_name, company_id, alias)
+     VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING`,
+    [normalizedName, companyId, String(alias).substring(0, 500)]
+  );
+}
+
+/**
+ * Take the resolver locks of several companies, in lock key order
+ * A transaction resolving more than one company takes them all first: locked one by
+ * one in payload order, two uploads listing A, B and B, A would deadlock.
+ */
+async function lockCompanyNames(db, companyNames) {
+  const result = await db.query(
+    `SELECT DISTINCT hashtext(name) AS lock_key
+     FROM UNNEST($1::text[]) AS name
+     ORDER BY lock_key`,
+    [[...new Set(companyNames.map(normalizeCompanyName))]]
+  );
+
+  for (const { lock_key } of result.rows) {
+    await db.query('SELECT pg_advisory_xact_lock($1, $2)', [COMPANY_LOCK_CLASS, lock_key]);
+  }
+}
+
+/**
+ * Find the raw company a name + url refer to, or create it
+ * The normalized name must be one of the company's aliases, and the domains must be
+ * equal or missing on one side: companies sharing a domain (subsidiaries of a group,
+ * a hosting provider) are never merged. A company with the same domain is preferred,
+ * and a matched company without a domain takes the one from `url`.
+ * Call inside a transaction: resolves of one normalized name are serialized by an
+ * advisory lock held until it ends, so concurrent uploads cannot both create it.
+ * A transaction resolving several companies calls lockCompanyNames first.
+ * Returns { company, created, matched_by: 'domain' | 'name' | null }
+ */
+async function resolveCompany(db, { company_name, location, description, url }) {
+  const normalizedName = normalizeCompanyName(company_name);
+  const domain = companyDomain(url);
+
+  await db.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [COMPANY_LOCK_CLASS, normalizedName]);
+
+  const matches = await db.query(
+    `SELECT c.*
+     FROM company_alias a
+     JOIN company c ON c.company_id = a.company_id
+     WHERE a.normalized_name = $1
+       AND (c.domain = $2 OR c.domain IS NULL OR $2::text IS NULL)
+     ORDER BY c.domain IS NOT DISTINCT FROM $2 DESC, c.created_at
+     LIMIT 1`,
+    [normalizedName, domain]
+  );
+
+  if (matches.rows.length > 0) {
+    let company = matches.rows[0];
+    const matchedBy = domain && company.domain === domain ? 'domain' : 'name';
+
+    if (domain && !company.domain) {
+      const updated = await db.query(
+        `UPDATE company SET domain = $2, url = COALESCE(url, $3)
+         WHERE company_id = $1
+         RETURNING *`,
+        [company.company_id, domain, url]
+      );
+      company = updated.rows[0];
+    }
+
+    return { company, created: false, matched_by: matchedBy };
+  }
+
+  const inserted = await db.query(
+    `INSERT INTO company (company_name, location, description, url, domain)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [company_name, location || null, description || null, url || null, domain]
+  );
+
+  const company = inserted.rows[0];
+  await addAlias(db, company.company_id, normalizedName, company_name);
+
+  return { company, created: true, matched_by: null };
+}
+
+/**
+ * Aliases of a company, oldest first
+ */
+async function listCompanyAliases(companyId) {
+  const result = await rawPool.query(
+    `SELECT normalized_name, alias, created_at
+     FROM company_alias
+     WHERE company_id = $1
+     ORDER BY created_at`,
+    [companyId]
+  );
+  return result.rows;
+}
+
+/**
+ * Teach the resolver another name for a company (e.g. a brand or former name)
+ * Returns the alias row, or null if the company does not exist
+ */
+async function addCompanyAlias(companyId, alias) {
+  const company = await rawPool.query('SELECT 1 FROM company WHERE company_id = $1', [companyId]);
+  if (company.rows.length === 0) return null;
+
+  const normalizedName = normalizeCompanyName(alias);
+  await addAlias(rawPool, companyId, normalizedName, alias);
+
+  const result = await rawPool.query(
+    `SELECT normalized_name, alias, created_at
+     FROM company_alias
+     WHERE company_id = $1 AND normalized_name = $2`,
+    [companyId, normalizedName]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Give companies stored before the resolver existed their domain and first alias
+ * Returns the number of companies updated
+ */
+async function backfillCompanyAliases() {
+  let total = 0;
+
+  for (;;) {
+    const pending = await rawPool.query(
+      `SELECT company_id, company_name, url
+       FROM company c
+       WHERE NOT EXISTS (SELECT 1 FROM company_alias a WHERE a.company_id = c.company_id)
+       ORDER BY created_at
+       LIMIT $1`,
+      [BACKFILL_BATCH_SIZE]
+    );
+
+    for (const { company_id, company_name, url } of pending.rows) {
+      await rawPool.query(
+        'UPDATE company SET domain = COALESCE(domain, $2) WHERE company_id = $1',
+        [company_id, companyDomain(url)]
+      );
+      await addAlias(rawPool, company_id, normalizeCompanyName(company_name), company_name);
+    }
+
+    total += pending.rows.length;
+    if (pending.rows.length < BACKFILL_BATCH_SIZE) return total;
+  }
+}
+
+module.exports = {
+  normalizeCompanyName,
+  companyDomain,
+  companyKey,
+  lockCompanyNames,
+  resolveCompany,
+  listCompanyAliases,
+  addCompanyAlias,
+  backfillCompanyAliases,
+};
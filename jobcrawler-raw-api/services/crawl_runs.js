@@ -0,0 +1,98 @@
+const { rawPool } = require('./database');
+
+const CRAWL_RUN_STATUSES = ['running', 'completed', 'failed', 'aborted'];
+
+// Run columns plus outcomes: created/processed counted from job_posting, the rest tallied
+const RUN_COLUMNS = `
+  r.crawl_run_id, r.platform, r.crawler_version, r.parameters, r.status, r.counters, r.error,
+  COALESCE(jobs.created, 0)::int AS created,
+  r.skipped, r.updated, r.unchanged, r.errors,
+  COALESCE(jobs.processed, 0)::int AS processed,
+  r.created_by, r.started_at, r.finished_at,
+  EXTRACT(EPOCH FROM COALESCE(r.finished_at, CURRENT_TIMESTAMP) - r.started_at)::int AS duration_seconds`;
+
+const JOB_COUNTS = `
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*) AS created, COUNT(*) FILTER (WHERE processed) AS processed
+    FROM job_posting jp
+    WHERE jp.crawl_run_id = r.crawl_run_id
+  ) jobs ON TRUE`;
+
+async function createCrawlRun({ platform, crawlerVersion = null, parameters = null, createdBy }) {
+  const result = await rawPool.query(
+    `INSERT INTO crawl_run (platform, crawler_version, parameters, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING crawl_run_id`,
+    [platform, crawlerVersion, parameters, createdBy]
+  );
+  return getCrawlRun(result.rows[0].crawl_run_id);
+}
+
+async function getCrawlRun(crawlRunId) {
+  const result = await rawPool.query(
+    `SELECT ${RUN_COLUMNS}
+     FROM crawl_run r ${JOB_COUNTS}
+     WHERE r.crawl_run_id = $1`,
+    [crawlRunId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Runs newest first, optionally for one platform / status
+ * `before` (a started_at value) pages back through older runs.
+ */
+async function listCrawlRuns({ platform = null, status = null, before = null, limit = 50 } = {}) {
+  const result = await rawPool.query(
+    `SELECT ${RUN_COLUMNS}
+     FROM crawl_run r ${JOB_COUNTS}
+     WHERE ($1::text IS NULL OR LOWER(r.platform) = LOWER($1))
+       AND ($2::text IS NULL OR r.status = $2)
+       AND ($3::timestamp IS NULL OR r.started_at < $3)
+     ORDER BY r.started_at DESC
+     LIMIT $4`,
+    [platform, status, before, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Close a running run with its final status and crawler-reported counters
+ * Returns the run, or null if it is not running any more
+ */
+async function closeCrawlRun(crawlRunId, { status, counters = null, error = null }) {
+  const result = await rawPool.query(
+    `UPDATE crawl_run
+     SET status = $2, counters = $3, error = $4, finished_at = CURRENT_TIMESTAMP
+     WHERE crawl_run_id = $1 AND status = 'running'
+     RETURNING crawl_run_id`,
+    [crawlRunId, status, counters, error]
+  );
+
+  if (result.rows.length === 0) return null;
+  return getCrawlRun(crawlRunId);
+}
+
+/**
+ * Add the outcome of one ingestion request (or import batch) to its run
+ * No-op without a run. `db` may be a client inside the caller's transaction.
+ */
+async function recordCrawlRunResults(db, crawlRunId, { skipped = 0, updated = 0, unchanged = 0, errors = 0 }) {
+  if (!crawlRunId || skipped + updated + unchanged + errors === 0) return;
+
+  await db.query(
+    `UPDATE crawl_run
+     SET skipped = skipped + $2, updated = updated + $3, unchanged = unchanged + $4, errors = errors + $5
+     WHERE crawl_run_id = $1`,
+    [crawlRunId, skipped, updated, unchanged, errors]
+  );
+}
+
+module.exports = {
+  CRAWL_RUN_STATUSES,
+  createCrawlRun,
+  getCrawlRun,
+  listCrawlRuns,
+  closeCrawlRun,
+  recordCrawlRunResults,
+};
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const { pipeline } = require('stream');
+const csvParser = require('csv-parser');
+const { rawPool } = require('./database');
+const { prepareJobs, ingestJobs, BULK_CHUNK_SIZE } = require('./ingestion');
+const { getPlatformNames } = require('./platforms');
+const { publishEvent } = require('./webhooks');
+const { jobPostingSchema } = require('../schemas/ingestion');
+const { recordCrawlRunResults } = require('./crawl_runs');
+const { recordUsage } = require('./usage');
+const { canonicalizeJob, jobDedupKey } = require('../utils/url_canonicalizer');
+
+// Imports currently running in this process
+const runningImports = new Set();
+
+// First key of the advisory lock an instance holds on a running import (second: hashtext(import_id))
+const IMPORT_LOCK_CLASS = 5001;
+
+/**
+ * Register an uploaded CSV file as a pending import
+ * Returns the import_job row
+ */
+async function createImport({ filePath, fileName, fileSize, upsert, createdBy, apiKeyId = null, allowedPlatforms = null, crawlRunId = null }) {
+  const result = await rawPool.query(
+    `INSERT INTO import_job (file_name, file_path, file_size, upsert, created_by, api_key_id, allowed_platforms, crawl_run_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [fileName, filePath, fileSize, upsert, createdBy, apiKeyId, allowedPlatforms, crawlRunId]
+  );
+  return result.rows[0];
+}
+
+async function getImport(importId) {
+  const result = await rawPool.query(
+    `SELECT import_id, file_name, file_size, upsert, status, rows_read, created, skipped,
+            updated, unchanged, failed, benefits_created, last_committed_row, error,
+            crawl_run_id, created_by, created_at, started_at, finished_at, updated_at
+     FROM import_job
+     WHERE import_id = $1`,
+    [importId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getImportErrors(importId) {
+  const result = await rawPool.query(
+    `SELECT row_number, job_title, url, error
+     FROM import_error
+     WHERE import_id = $1
+     ORDER BY row_number`,
+    [importId]
+  );
+  return result.rows;
+}
+
+/**
+ * Start (or resume) an import in the background
+ * Returns false if it is already running in this process
+ */
+function startImport(importId) {
+  if (runningImports.has(importId)) return false;
+
+  runningImports.add(importId);
+  runImport(importId)
+    .catch(error => console.error(`❌ Import ${importId} crashed:`, error))
+    .finally(() => runningImports.delete(importId));
+
+  return true;
+}
+
+/**
+ * Resume imports left pending or running by a previous process
+ * Every instance calls this at startup; runImport's advisory lock lets only one run each import.
+ */
+async function resumeInterruptedImports() {
+  const result = await rawPool.query(
+    `SELECT import_id FROM import_job
+     WHERE status IN ('pending', 'running')
+     ORDER BY created_at`
+  );
+
+  for (const { import_id } of result.rows) {
+    console.log(`🔁 Resuming CSV import ${import_id}`);
+    startImport(import_id);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Stream the CSV file and ingest it in batches
+ * Each batch is ingested and its progress committed in one transaction; rows up to
+ * last_committed_row are skipped when the import is resumed. The import is locked
+ * (session advisory lock on the dedicated client) for as long as it runs, so another
+ * instance resuming it at the same time backs off; a crashed process drops the lock.
+ */
+async function runImport(importId) {
+  const client = await rawPool.connect();
+  let locked = false;
+
+  try {
+    const lock = await client.query(
+      'SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked',
+      [IMPORT_LOCK_CLASS, importId]
+    );
+    locked = lock.rows[0].locked;
+
+    if (!locked) {
+      console.log(`⏭️  CSV import ${importId} is already running on another instance`);
+      return;
+    }
+
+    await ingestCsvFile(client, importId);
+  } finally {
+    if (locked) {
+      await client.query('SELECT pg_advisory_unlock($1, hashtext($2))', [IMPORT_LOCK_CLASS, importId]);
+    }
+    client.release();
+  }
+}
+
+async function ingestCsvFile(client, importId) {
+  // Read under the lock: another instance may have finished it meanwhile
+  const { rows: [importJob] } = await client.query(
+    'SELECT * FROM import_job WHERE import_id = $1',
+    [importId]
+  );
+
+  if (!importJob || importJob.status === 'completed') return;
+
+  if (!fs.existsSync(importJob.file_path)) {
+    await finishImport(importId, 'failed', 'Uploaded file is missing, please upload it again');
+    return;
+  }
+
+  await client.query(
+    `UPDATE import_job
+     SET status = 'running', error = NULL,
+         started_at = COALESCE(started_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+     WHERE import_id = $1`,
+    [importId]
+  );
+
+  const context = {
+    importJob,
+    seenUrls: new Set()
+  };
+
+  try {
+    let rowNumber = 0;
+    let batch = [];
+
+    // pipeline() destroys the parser when the file can't be read, so the error
+    // reaches the loop (.pipe() would leave it waiting)
+    const rows = pipeline(fs.createReadStream(importJob.file_path), csvParser(), () => {});
+
+    for await (const row of rows) {
+      rowNumber++;
+
+      // Already committed before a restart
+      if (rowNumber <= importJob.last_committed_row) {
+        if (row.url) {
+          const job = canonicalizeJob({ url: row.url, platform: row.platform || 'CSV Upload' });
+          context.seenUrls.add(jobDedupKey(job));
+        }
+        continue;
+      }
+
+      batch.push({ index: rowNumber, job: row });
+
+      if (batch.length >= BULK_CHUNK_SIZE) {
+        await processBatch(client, context, batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await processBatch(client, context, batch);
+    }
+
+    await finishImport(importId, 'completed');
+    fs.unlinkSync(importJob.file_path);
+    console.log(`✅ CSV import ${importId} completed (${rowNumber} rows)`);
+  } catch (error) {
+    // Keep the file so the import can be resumed
+    console.error(`❌ CSV import ${importId} failed:`, error.message);
+    await finishImport(importId, 'failed', error.message);
+  }
+}
+
+/**
+ * Ingest one batch of rows and record its progress in a single transaction
+ * Companies, jobs and counters are committed together: a crash leaves the batch
+ * either fully recorded or not at all, and a resume starts after last_committed_row.
+ */
+async function processBatch(client, context, batch) {
+  const { importJob } = context;
+  // Kept only once the batch commits: after a rollback its rows are not duplicates
+  const seenUrls = new Set(context.seenUrls);
+  const rows = batch.map(({ index, job: row }) => ({ index, job: mapCsvRow(row) }));
+
+  try {
+    await client.query('BEGIN');
+
+    // Companies are resolved by ingestJobs, only for the rows it writes
+    const { candidates, errors, duplicates } = prepareJobs(rows, {
+      seenUrls,
+      embeddedCompany: true,
+      allowedPlatforms: importJob.allowed_platforms,
+      platformNames: await getPlatformNames(),
+      crawlRunId: importJob.crawl_run_id,
+      apiKeyId: importJob.api_key_id
+    });
+    const ingested = await ingestJobs(client, candidates, { upsert: importJob.upsert, inTransaction: true });
+    const allErrors = [...errors, ...ingested.errors];
+    const lastRow = batch[batch.length - 1].index;
+
+    if (allErrors.length > 0) {
+      await client.query(
+        `INSERT INTO import_error (import_id, row_number, job_title, url, error)
+         SELECT $1, * FROM UNNEST($2::int[], $3::text[], $4::text[], $5::text[])`,
+        [
+          importJob.import_id,
+          allErrors.map(e => e.index),
+          allErrors.map(e => e.job_title || null),
+          allErrors.map(e => e.url || null),
+          allErrors.map(e => e.error)
+        ]
+      );
+    }
+
+    await client.query(
+      `UPDATE import_job
+       SET rows_read = $2,
+           last_committed_row = $2,
+           created = created + $3,
+           skipped = skipped + $4,
+           updated = updated + $5,
+           unchanged = unchanged + $6,
+           failed = failed + $7,
+           benefits_created = benefits_created + $8,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE import_id = $1`,
+      [
+        importJob.import_id,
+        lastRow,
+        ingested.created,
+        ingested.skipped + duplicates,
+        ingested.updated,
+        ingested.unchanged,
+        allErrors.length,
+        ingested.benefits_created
+      ]
+    );
+
+    await recordCrawlRunResults(client, importJob.crawl_run_id, {
+      skipped: ingested.skipped + duplicates,
+      updated: ingested.updated,
+      unchanged: ingested.unchanged,
+      errors: allErrors.length
+    });
+
+    await recordUsage(client, importJob.api_key_id, {
+      keyName: importJob.created_by,
+      created: ingested.created,
+      skipped: ingested.skipped + duplicates,
+      errors: allErrors.length
+    });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  context.seenUrls = seenUrls;
+}
+
+// Job fields read from the CSV column of the same name: those of the JSON routes,
+// except the nested company (company_* columns) and crawl_run_id (set per upload)
+const CSV_JOB_COLUMNS = Object.keys(jobPostingSchema.properties)
+  .filter(field => field !== 'company' && field !== 'crawl_run_id');
+
+// company_* columns of a row without company_id, as the nested company object
+const CSV_COMPANY_COLUMNS = {
+  company_name: 'company_name',
+  company_location: 'location',
+  company_description: 'description',
+  company_url: 'url'
+};
+
+/**
+ * Turn a CSV row into a job payload in the bulk format
+ * Empty cells are left out. Without company_id, the company_* columns become a
+ * nested `company` object, resolved when the job is written.
+ */
+function mapCsvRow(row) {
+  const job = {};
+
+  for (const field of CSV_JOB_COLUMNS) {
+    if (row[field]) job[field] = row[field];
+  }
+
+  // Kept as text when not a whole number, so validation reports it
+  if (/^\d+$/.test(job.applies)) job.applies = parseInt(job.applies);
+  job.platform = job.platform || 'CSV Upload';
+
+  if (!job.company_id && row.company_name) {
+    job.company = {};
+    for (const [column, field] of Object.entries(CSV_COMPANY_COLUMNS)) {
+      if (row[column]) job.company[field] = row[column];
+    }
+  }
+
+  return job;
+}
+
+async function finishImport(importId, status, error = null) {
+  const result = await rawPool.query(
+    `UPDATE import_job
+     SET status = $2, error = $3, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE import_id = $1
+     RETURNING import_id, file_name, status, rows_read, created, skipped, updated,
+               unchanged, failed, benefits_created, created_by, started_at, finished_at`,
+    [importId, status, error]
+  );
+
+  if (status === 'completed') {
+    await publishEvent(rawPool, 'import.completed', result.rows[0]);
+  }
+}
+
+module.exports = {
+  createImport,
+  getImport,
+  getImportErrors,
+  startImport,
+  resumeInterruptedImports,
+};
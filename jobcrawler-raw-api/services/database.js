@@ -0,0 +1,25 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+// Raw DB: crawler data written by this API
+const rawPool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+// Clean DB: API keys and normalized data written by the data processor
+const cleanPool = new Pool({
+  host: process.env.CLEAN_DB_HOST,
+  port: process.env.CLEAN_DB_PORT,
+  database: process.env.CLEAN_DB_NAME,
+  user: process.env.CLEAN_DB_USER,
+  password: process.env.CLEAN_DB_PASSWORD,
+});
+
+module.exports = {
+  rawPool,
+  cleanPool,
+};
@@ -0,0 +1,110 @@
+const { rawPool, cleanPool } = require('./database');
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+// The pipeline is reported degraded past any of these
+const THRESHOLDS = {
+  max_unprocessed_age_minutes: parseInt(process.env.HEALTH_MAX_UNPROCESSED_AGE_MINUTES) || 60,
+  max_cycle_age_minutes: parseInt(process.env.HEALTH_MAX_CYCLE_AGE_MINUTES) || 30,
+  max_platform_backlog: parseInt(process.env.HEALTH_MAX_PLATFORM_BACKLOG) || 5000
+};
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run SELECT 1 on both pools
+ * Returns { ready, databases: { raw: { status, latency_ms, error? }, clean: ... } }
+ */
+async function pingDatabases() {
+  const databases = {};
+
+  await Promise.all(Object.entries({ raw: rawPool, clean: cleanPool }).map(async ([name, pool]) => {
+    const started = Date.now();
+    try {
+      await withTimeout(pool.query('SELECT 1'), CHECK_TIMEOUT_MS);
+      databases[name] = { status: 'up', latency_ms: Date.now() - started };
+    } catch (error) {
+      databases[name] = { status: 'down', latency_ms: Date.now() - started, error: error.message };
+    }
+  }));
+
+  return {
+    ready: Object.values(databases).every(db => db.status === 'up'),
+    databases
+  };
+}
+
+/**
+ * Processing lag of the raw database: backlog per platform, oldest unprocessed job
+ * and the data processor's last cycles (processor_cycle)
+ * Returns { status: 'ok' | 'degraded', reasons, ... }
+ */
+async function getPipelineStatus() {
+  const [backlog, cycles] = await withTimeout(Promise.all([
+    rawPool.query(
+      `SELECT platform, COUNT(*)::int AS unprocessed, MIN(crawled_time) AS oldest_crawled_time,
+              EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - MIN(crawled_time))::int AS oldest_age_seconds
+       FROM job_posting
+       WHERE processed = FALSE
+       GROUP BY platform
+       ORDER BY unprocessed DESC`
+    ),
+    rawPool.query(
+      `SELECT * FROM (
+         SELECT DISTINCT ON (status = 'completed')
+                status, processed, succeeded, failed, error, started_at, finished_at,
+                EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - finished_at)::int AS age_seconds
+         FROM processor_cycle
+         ORDER BY status = 'completed', finished_at DESC
+       ) latest
+       ORDER BY finished_at DESC`
+    )
+  ]), CHECK_TIMEOUT_MS);
+
+  const platforms = backlog.rows;
+  const lastCycle = cycles.rows[0] || null;
+  const lastSuccessfulCycle = cycles.rows.find(cycle => cycle.status === 'completed') || null;
+  const oldestAge = Math.max(0, ...platforms.map(p => p.oldest_age_seconds));
+
+  const reasons = [];
+
+  if (oldestAge > THRESHOLDS.max_unprocessed_age_minutes * 60) {
+    reasons.push(`Oldest unprocessed job is ${Math.round(oldestAge / 60)} minutes old`);
+  }
+
+  if (!lastSuccessfulCycle) {
+    reasons.push('No successful processor cycle recorded');
+  } else if (lastSuccessfulCycle.age_seconds > THRESHOLDS.max_cycle_age_minutes * 60) {
+    reasons.push(`Last successful processor cycle finished ${Math.round(lastSuccessfulCycle.age_seconds / 60)} minutes ago`);
+  }
+
+  for (const { platform, unprocessed } of platforms) {
+    if (unprocessed > THRESHOLDS.max_platform_backlog) {
+      reasons.push(`${platform} has ${unprocessed} unprocessed jobs`);
+    }
+  }
+
+  return {
+    status: reasons.length === 0 ? 'ok' : 'degraded',
+    reasons,
+    oldest_unprocessed_age_seconds: platforms.length > 0 ? oldestAge : null,
+    last_successful_cycle: lastSuccessfulCycle,
+    last_cycle: lastCycle,
+    backlog: {
+      total: platforms.reduce((sum, p) => sum + p.unprocessed, 0),
+      platforms
+    },
+    thresholds: THRESHOLDS
+  };
+}
+
+module.exports = {
+  pingDatabases,
+  getPipelineStatus,
+};
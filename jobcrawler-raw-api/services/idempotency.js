@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { rawPool } = require('./database');
+
+const WINDOW_HOURS = parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// A request still 'processing' after this long died with its process; its key can be reused
+const PROCESSING_TIMEOUT_MINUTES = 10;
+
+/**
+ * SHA-256 of method, URL and parsed JSON body, to refuse a key reused for another request
+ * Uploads add the digest of their content (req.uploadDigest, see digestUpload).
+ */
+function requestFingerprint(req) {
+  const upload = req.uploadDigest ? `\n${req.uploadDigest}` : '';
+
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body ?? null)}${upload}`)
+    .digest('hex');
+}
+
+/**
+ * Remove an uploaded file the route will not run on (replay, conflict or error)
+ */
+function discardUpload(req) {
+  if (req.file) {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+}
+
+/**
+ * Claim a key for this request
+ * Returns true if the request should run, false if a live record already exists
+ */
+async function claimKey(apiKeyId, key, fingerprint) {
+  const result = await rawPool.query(
+    `INSERT INTO idempotency_key (api_key_id, idempotency_key, request_fingerprint, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4))
+     ON CONFLICT (api_key_id, idempotency_key) DO UPDATE
+       SET request_fingerprint = EXCLUDED.request_fingerprint,
+           status = 'processing',
+           response_status = NULL,
+           response_body = NULL,
+           created_at = CURRENT_TIMESTAMP,
+           expires_at = EXCLUDED.expires_at
+       WHERE idempotency_key.expires_at <= CURRENT_TIMESTAMP
+          OR (idempotency_key.status = 'processing'
+              AND idempotency_key.created_at < CURRENT_TIMESTAMP - make_interval(mins => $5))
+     RETURNING 1`,
+    [apiKeyId, key, fingerprint, WINDOW_HOURS, PROCESSING_TIMEOUT_MINUTES]
+  );
+  return result.rows.length > 0;
+}
+
+async function completeKey(apiKeyId, key, status, body) {
+  await rawPool.query(
+    `UPDATE idempotency_key
+     SET status = 'completed', response_status = $3, response_body = $4
+     WHERE api_key_id = $1 AND idempotency_key = $2`,
+    [apiKeyId, key, status, JSON.stringify(body)]
+  );
+}
+
+async function releaseKey(apiKeyId, key) {
+  await rawPool.query(
+    'DELETE FROM idempotency_key WHERE api_key_id = $1 AND idempotency_key = $2',
+    [apiKeyId, key]
+  );
+}
+
+/**
+ * Express middleware (after authenticateApiKey) for POST routes
+ * With an Idempotency-Key header, the first response (status + JSON body) is stored
+ * per API key for IDEMPOTENCY_WINDOW_HOURS and replayed to retries with the same key.
+ * Server errors (5xx) and aborted requests are not stored, so they can be retried.
+ * Only JSON bodies can be compared between retries; other bodies refuse the header.
+ */
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    discardUpload(req);
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  // req.is() is false (not null) when a body of another type was sent
+  if (!req.uploadDigest && req.is('application/json') === false) {
+    return res.status(400).json({ error: 'Idempotency-Key is only supported with a JSON body or a file upload' });
+  }
+
+  const apiKeyId = req.apiKeyInfo.id;
+  const fingerprint = requestFingerprint(req);
+
+  try {
+    if (!(await claimKey(apiKeyId, key, fingerprint))) {
+      discardUpload(req);
+
+      const existing = await rawPool.query(
+        'SELECT * FROM idempotency_key WHERE api_key_id = $1 AND idempotency_key = $2',
+        [apiKeyId, key]
+      );
+      const record = existing.rows[0];
+
+      if (record && record.request_fingerprint !== fingerprint) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+      }
+
+      if (!record || record.status === 'processing') {
+        res.set('Retry-After', '5');
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+  } catch (error) {
+    console.error('Idempotency check failed:', error);
+    discardUpload(req);
+    return res.status(500).json({ error: 'Idempotency check failed' });
+  }
+
+  let body;
+  const json = res.json.bind(res);
+  res.json = payload => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.once('close', () => {
+    const stored = res.writableFinished && res.statusCode < 500 && body !== undefined
+      ? completeKey(apiKeyId, key, res.statusCode, body)
+      : releaseKey(apiKeyId, key);
+
+    stored.catch(error => {
+      console.error(`❌ Failed to record Idempotency-Key ${key}:`, error.message);
+    });
+  });
+
+  next();
+}
+
+// The OpenAPI generator documents the header on routes that use this middleware
+idempotent.idempotencyKey = true;
+
+/**
+ * Express middleware (after the upload is parsed, before idempotent) for upload routes
+ * With an Idempotency-Key header, sets req.uploadDigest to the SHA-256 of the uploaded
+ * file (multer's req.file). A raw body of one of `rawTypes` is first spooled to
+ * `uploadDir` and handed to the route as req.file, so it is hashed before the route
+ * streams it. Without the header the request is left alone.
+ */
+function digestUpload(uploadDir, rawTypes = []) {
+  return async (req, res, next) => {
+    if (!req.get('Idempotency-Key')) return next();
+
+    try {
+      const hash = crypto.createHash('sha256');
+
+      if (!req.file && rawTypes.length > 0 && req.is(...rawTypes)) {
+        const gzipped = req.headers['content-encoding'] === 'gzip';
+        const filePath = path.join(uploadDir, crypto.randomBytes(16).toString('hex'));
+
+        req.on('data', chunk => hash.update(chunk));
+        req.file = { path: filePath, originalname: gzipped ? 'body.gz' : 'body', mimetype: req.get('Content-Type') };
+        await pipeline(req, fs.createWriteStream(filePath));
+      } else if (req.file) {
+        for await (const chunk of fs.createReadStream(req.file.path)) hash.update(chunk);
+      } else {
+        return next();
+      }
+
+      req.uploadDigest = hash.digest('hex');
+      next();
+    } catch (error) {
+      console.error('Failed to read upload:', error);
+      discardUpload(req);
+      res.status(400).json({ error: 'Failed to read upload', details: error.message });
+    }
+  };
+}
+
+/**
+ * Express middleware for POST routes that cannot replay a stored response
+ * Refuses an Idempotency-Key rather than silently running a retry twice.
+ */
+function refuseIdempotencyKey(reason) {
+  return (req, res, next) => {
+    if (req.get('Idempotency-Key')) {
+      return res.status(400).json({ error: `Idempotency-Key is not supported here: ${reason}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Delete expired keys
+ * Returns the number of keys deleted
+ */
+async function pruneIdempotencyKeys() {
+  const result = await rawPool.query(
+    'DELETE FROM idempotency_key WHERE expires_at <= CURRENT_TIMESTAMP'
+  );
+  return result.rowCount;
+}
+
+/**
+ * Prune expired keys at startup and every hour
+ */
+function startIdempotencyPruner() {
+  const run = async () => {
+    try {
+      await pruneIdempotencyKeys();
+    } catch (error) {
+      console.error('❌ Idempotency key pruning failed:', error.message);
+    }
+  };
+
+  run();
+  setInterval(run, PRUNE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  idempotent,
+  digestUpload,
+  refuseIdempotencyKey,
+  pruneIdempotencyKeys,
+  startIdempotencyPruner,
+};
@@ -0,0 +1,575 @@
+const { validate, formatErrors } = require('../utils/validator');
+const { companySchema, jobPostingSchema } = require('../schemas/ingestion');
+const { checkPlatformName } = require('./platforms');
+const { publishJobEvents } = require('./webhooks');
+const { duplicatesSkipped, recordIngestion } = require('./metrics');
+const { canonicalizeJob, jobDedupKey } = require('../utils/url_canonicalizer');
+const { resolveCompany, lockCompanyNames, companyKey } = require('./companies');
+
+// CSV benefit cells hold several chips, e.g. "Bảo hiểm; Du lịch; Laptop"
+const CSV_BENEFIT_SEPARATOR = /[;|\n]/;
+
+/**
+ * Normalize a benefits payload into [{ type, inferred }]
+ * Accepts strings or { type, inferred } objects (or a delimited string from CSV).
+ * Blank entries are dropped and duplicate types (case-insensitive) are collapsed.
+ */
+function normalizeBenefits(input) {
+  if (!input) return [];
+
+  const items = typeof input === 'string'
+    ? input.split(CSV_BENEFIT_SEPARATOR)
+    : (Array.isArray(input) ? input : []);
+
+  const seen = new Map();
+  for (const item of items) {
+    const type = String(typeof item === 'string' ? item : item?.type || '').trim();
+    if (!type) continue;
+
+    const key = type.toLowerCase();
+    const inferred = typeof item === 'object' && item?.inferred ? String(item.inferred) : null;
+
+    if (!seen.has(key)) {
+      seen.set(key, { type: type.substring(0, 255), inferred });
+    } else if (inferred && !seen.get(key).inferred) {
+      seen.get(key).inferred = inferred;
+    }
+  }
+
+  return [...seen.values()];
+}
+
+/**
+ * Insert benefits for a job, skipping types the job already has
+ * Returns the inserted benefit rows
+ */
+async function insertBenefits(db, jobId, benefits) {
+  if (benefits.length === 0) return [];
+
+  const result = await db.query(
+    `INSERT INTO benefit (job_id, type, inferred)
+     SELECT $1, b.type, b.inferred
+     FROM UNNEST($2::text[], $3::text[]) AS b(type, inferred)
+     WHERE NOT EXISTS (
+       SELECT 1 FROM benefit e
+       WHERE e.job_id = $1 AND LOWER(e.type) = LOWER(b.type)
+     )
+     RETURNING benefit_id, type, inferred`,
+    [jobId, benefits.map(b => b.type), benefits.map(b => b.inferred)]
+  );
+
+  return result.rows;
+}
+
+// Fields compared on re-crawl, with the SQL type incoming values are cast to
+const VERSIONED_FIELDS = {
+  company_id: 'uuid',
+  job_title: 'text',
+  description: 'text',
+  salary: 'text',
+  pay_period: 'text',
+  work_type: 'text',
+  experience_level: 'text',
+  location: 'text',
+  applies: 'integer',
+  listed_time: 'timestamp',
+  valid_through: 'timestamp',
+  currency: 'text'
+};
+
+/**
+ * Apply a re-crawled payload to an existing job posting
+ * Only fields present in the payload are compared. Changed fields are written,
+ * their previous values are kept in job_posting_version and the row is
+ * re-flagged for the data processor, which then updates its JobPost in place.
+ * Returns 'updated' or 'unchanged'
+ */
+async function updateJobPostingIfChanged(client, jobId, job) {
+  const fields = Object.keys(VERSIONED_FIELDS)
+    .filter(field => job[field] !== undefined && job[field] !== null && job[field] !== '');
+
+  if (fields.length === 0) return 'unchanged';
+
+  const values = fields.map(field => job[field]);
+  const diffs = fields.map((field, i) =>
+    `CASE WHEN ${field} IS DISTINCT FROM $${i + 2}::${VERSIONED_FIELDS[field]} THEN '${field}' END`
+  );
+
+  const current = await client.query(
+    `SELECT *, ARRAY_REMOVE(ARRAY[${diffs.join(', ')}], NULL) AS changed_fields
+     FROM job_posting
+     WHERE job_id = $1
+     FOR UPDATE`,
+    [jobId, ...values]
+  );
+
+  const existing = current.rows[0];
+  const changed = existing ? existing.changed_fields : [];
+
+  if (changed.length === 0) return 'unchanged';
+
+  const oldValues = {};
+  for (const field of changed) {
+    oldValues[field] = existing[field];
+  }
+
+  await client.query(
+    `INSERT INTO job_posting_version (job_id, changed_fields, old_values, crawled_time)
+     VALUES ($1, $2, $3, $4)`,
+    [jobId, changed, JSON.stringify(oldValues), existing.crawled_time]
+  );
+
+  const assignments = changed.map((field, i) =>
+    `${field} = $${i + 2}::${VERSIONED_FIELDS[field]}`
+  );
+
+  await client.query(
+    `UPDATE job_posting
+     SET ${assignments.join(', ')},
+         crawled_time = CURRENT_TIMESTAMP,
+         processed = FALSE,
+         processed_at = NULL,
+         reprocess_requested_at = CURRENT_TIMESTAMP
+     WHERE job_id = $1`,
+    [jobId, ...changed.map(field => job[field])]
+  );
+
+  return 'updated';
+}
+
+const JOB_POSTING_COLUMNS = [
+  ['company_id', 'uuid'],
+  ['job_title', 'text'],
+  ['description', 'text'],
+  ['salary', 'text'],
+  ['pay_period', 'text'],
+  ['work_type', 'text'],
+  ['experience_level', 'text'],
+  ['location', 'text'],
+  ['applies', 'integer'],
+  ['listed_time', 'timestamp'],
+  ['currency', 'text'],
+  ['valid_through', 'timestamp'],
+  ['platform', 'text'],
+  ['url', 'text'],
+  ['original_url', 'text'],
+  ['platform_job_id', 'text'],
+  ['crawl_run_id', 'uuid'],
+  ['api_key_id', 'uuid']
+];
+
+const BULK_CHUNK_SIZE = parseInt(process.env.BULK_CHUNK_SIZE) || 500;
+
+// Statements around one unit of ingestion work: its own transaction, or a savepoint
+// when the caller already holds a transaction (CSV imports commit progress with it)
+const TRANSACTION = { begin: 'BEGIN', commit: 'COMMIT', rollback: 'ROLLBACK' };
+const SAVEPOINT = {
+  begin: 'SAVEPOINT ingest',
+  commit: 'RELEASE SAVEPOINT ingest',
+  rollback: 'ROLLBACK TO SAVEPOINT ingest; RELEASE SAVEPOINT ingest'
+};
+
+/**
+ * Insert a chunk of new job postings with one multi-row INSERT
+ * Rows are [{ index, job }]. Nested `company` objects are resolved in the same
+ * transaction, so a rolled back chunk leaves no companies behind. Rows whose URL or
+ * native job ID was stored meanwhile are skipped (ON CONFLICT on either unique index).
+ * If the chunk fails (bad value, missing company...) or skips a row, it is retried
+ * row by row so only the offending rows are reported, and a skipped row's company is
+ * rolled back with it.
+ * `unit` is TRANSACTION or SAVEPOINT.
+ * Returns { created: [{ url, job_id, company_id }], skipped, benefitsCreated, errors }
+ */
+async function insertJobPostingChunk(client, rows, unit = TRANSACTION) {
+  const results = { created: [], skipped: 0, benefitsCreated: 0, errors: [] };
+  
+  const columns = JOB_POSTING_COLUMNS.map(([name]) => name);
+  const unnest = JOB_POSTING_COLUMNS.map(([, type], i) => `$${i + 1}::${type}[]`);
+  
+  try {
+    await client.query(unit.begin);
+    await lockCompanyNames(client, embeddedCompanyNames(rows.map(r => r.job)));
+    
+    // Company IDs are only cached within the transaction that created them
+    const companyIds = new Map();
+    const jobs = [];
+    for (const { job } of rows) {
+      jobs.push(await resolveEmbeddedCompany(client, job, companyIds));
+    }
+    
+    const inserted = await client.query(
+      `INSERT INTO job_posting (${columns.join(', ')})
+       SELECT * FROM UNNEST(${unnest.join(', ')})
+       ON CONFLICT DO NOTHING
+       RETURNING job_id, url, company_id`,
+      columns.map(name => jobs.map(job => job[name] ?? null))
+    );
+    
+    if (inserted.rows.length < rows.length) {
+      throw new Error(`${rows.length - inserted.rows.length} jobs were stored meanwhile`);
+    }
+    
+    const jobIdByUrl = new Map(inserted.rows.map(r => [r.url, r.job_id]));
+    const benefitRows = jobs.flatMap(job =>
+      jobIdByUrl.has(job.url)
+        ? normalizeBenefits(job.benefits).map(b => [jobIdByUrl.get(job.url), b.type, b.inferred])
+        : []
+    );
+    
+    if (benefitRows.length > 0) {
+      await client.query(
+        `INSERT INTO benefit (job_id, type, inferred)
+         SELECT * FROM UNNEST($1::uuid[], $2::text[], $3::text[])`,
+        [benefitRows.map(b => b[0]), benefitRows.map(b => b[1]), benefitRows.map(b => b[2])]
+      );
+    }
+    
+    await client.query(unit.commit);
+    
+    results.created = inserted.rows.map(r => ({ url: r.url, job_id: r.job_id, company_id: r.company_id }));
+    results.benefitsCreated = benefitRows.length;
+    return results;
+  } catch (error) {
+    await client.query(unit.rollback);
+    console.warn(`Bulk chunk of ${rows.length} failed, retrying row by row: ${error.message}`);
+  }
+  
+  for (const { index, job } of rows) {
+    try {
+      await client.query(unit.begin);
+      
+      const resolved = await resolveEmbeddedCompany(client, job);
+      const inserted = await client.query(
+        `INSERT INTO job_posting (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+         ON CONFLICT DO NOTHING
+         RETURNING job_id, url, company_id`,
+        columns.map(name => resolved[name] ?? null)
+      );
+      
+      // Inserted concurrently by another request
+      if (inserted.rows.length === 0) {
+        await client.query(unit.rollback);
+        results.skipped++;
+        continue;
+      }
+      
+      const insertedBenefits = await insertBenefits(
+        client, inserted.rows[0].job_id, normalizeBenefits(job.benefits)
+      );
+      
+      await client.query(unit.commit);
+      
+      results.created.push({ url: job.url, job_id: inserted.rows[0].job_id, company_id: inserted.rows[0].company_id });
+      results.benefitsCreated += insertedBenefits.length;
+    } catch (error) {
+      await client.query(unit.rollback);
+      results.errors.push({ index, job_title: job.job_title, url: job.url, error: error.message });
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Names of the nested `company` objects that resolveEmbeddedCompany will resolve
+ */
+function embeddedCompanyNames(jobs) {
+  return jobs
+    .filter(job => !job.company_id && typeof job.company?.company_name === 'string')
+    .map(job => job.company.company_name);
+}
+
+/**
+ * Replace a nested `company` object with the company_id it resolves to
+ * companyIds caches companyKey -> company_id for the duration of one upload.
+ */
+async function resolveEmbeddedCompany(db, job, companyIds = new Map()) {
+  if (job.company_id || !job.company) {
+    return job;
+  }
+  
+  const { company, ...rest } = job;
+  
+  const companyErrors = validate(companySchema, company, 'company');
+  if (companyErrors.length > 0) {
+    throw new Error(formatErrors(companyErrors));
+  }
+  
+  const key = companyKey(company);
+  let companyId = companyIds.get(key);
+  
+  if (!companyId) {
+    const resolved = await resolveCompany(db, company);
+    companyId = resolved.company.company_id;
+    companyIds.set(key, companyId);
+  }
+  
+  return { ...rest, company_id: companyId };
+}
+
+/**
+ * Check a platform against an API key's allowlist (null = any platform)
+ */
+function isPlatformAllowed(allowedPlatforms, platform) {
+  if (!allowedPlatforms) return true;
+  const name = String(platform).toLowerCase();
+  return allowedPlatforms.some(allowed => allowed.toLowerCase() === name);
+}
+
+/**
+ * Validate one job payload against jobPostingSchema
+ * When platformNames (from the clean Platform table) is given, the platform must be one of them.
+ * With embeddedCompany a `company` object may stand in for company_id.
+ * Returns [{ field, message }]
+ */
+function validateJob(job, { platformNames = null, embeddedCompany = false } = {}) {
+  if (!job || typeof job !== 'object' || Array.isArray(job)) {
+    return [{ field: '(job)', message: 'must be an object' }];
+  }
+  
+  const errors = validate(jobPostingSchema, job);
+  
+  if (!job.company_id && !(embeddedCompany && job.company)) {
+    errors.push({
+      field: 'company_id',
+      message: embeddedCompany ? 'is required (or pass a company object)' : 'is required'
+    });
+  }
+  
+  if (platformNames && typeof job.platform === 'string' && job.platform &&
+      !errors.some(error => error.field === 'platform')) {
+    const message = checkPlatformName(job.platform, platformNames);
+    if (message) errors.push({ field: 'platform', message });
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate jobs, canonicalize their URLs and drop duplicates (first occurrence wins)
+ * Rows are [{ index, job }]; pass the same seenUrls set (of jobDedupKey values)
+ * across batches of one upload.
+ * Invalid jobs and jobs for platforms outside allowedPlatforms are rejected;
+ * platformNames and embeddedCompany are passed on to validateJob.
+ * Every candidate gets crawlRunId, the request's (already checked) crawl run, and
+ * apiKeyId, the ingesting key.
+ * Returns { candidates: [{ index, job }], errors, duplicates }
+ */
+function prepareJobs(rows, { seenUrls = new Set(), allowedPlatforms = null, platformNames = null, embeddedCompany = false, crawlRunId = null, apiKeyId = null } = {}) {
+  const candidates = [];
+  const errors = [];
+  let duplicates = 0;
+  
+  for (const { index, job } of rows) {
+    const fields = validateJob(job, { platformNames, embeddedCompany });
+    
+    if (fields.length > 0) {
+      errors.push({
+        index,
+        job_title: job?.job_title,
+        url: job?.url,
+        error: formatErrors(fields),
+        fields
+      });
+      continue;
+    }
+    
+    if (!isPlatformAllowed(allowedPlatforms, job.platform)) {
+      errors.push({
+        index,
+        job_title: job.job_title,
+        url: job.url,
+        error: `API key may not write platform '${job.platform}'`
+      });
+      continue;
+    }
+    
+    const canonical = canonicalizeJob(job);
+    const key = jobDedupKey(canonical);
+    
+    if (seenUrls.has(key)) {
+      duplicates++;
+      duplicatesSkipped.inc({ platform: job.platform });
+      continue;
+    }
+    
+    seenUrls.add(key);
+    candidates.push({ index, job: { ...canonical, crawl_run_id: crawlRunId, api_key_id: apiKeyId } });
+  }
+  
+  return { candidates, errors, duplicates };
+}
+
+/**
+ * Find the stored rows of canonicalized jobs in one query
+ * A job matches a row with its canonical URL, its URL as sent (rows stored before
+ * canonicalization) or its native job ID.
+ * Returns a function job -> job_id (or undefined)
+ */
+async function findExistingJobs(db, jobs) {
+  const withNativeId = jobs.filter(job => job.platform_job_id);
+  
+  const existing = await db.query(
+    `SELECT job_id, url, LOWER(platform) AS platform, platform_job_id
+     FROM job_posting
+     WHERE url = ANY($1)
+        OR (platform_job_id IS NOT NULL
+            AND (LOWER(platform), platform_job_id) IN (SELECT * FROM UNNEST($2::text[], $3::text[])))`,
+    [
+      [...new Set(jobs.flatMap(job => [job.url, job.original_url || job.url]))],
+      withNativeId.map(job => job.platform.toLowerCase()),
+      withNativeId.map(job => job.platform_job_id)
+    ]
+  );
+  
+  const byUrl = new Map(existing.rows.map(r => [r.url, r.job_id]));
+  const byKey = new Map(existing.rows
+    .filter(r => r.platform_job_id)
+    .map(r => [jobDedupKey(r), r.job_id]));
+  
+  return job => byKey.get(jobDedupKey(job)) || byUrl.get(job.url) || byUrl.get(job.original_url);
+}
+
+/**
+ * Record that stored jobs are still listed: bump last_seen_at and reopen closed ones
+ * Jobs are locked first so a concurrent close by the data processor can't be lost.
+ * With `platform`, jobs of other platforms are left alone.
+ * Returns { seen: [job_id], reopened: [job_id] }
+ */
+async function markJobsSeen(db, jobIds, { platform = null } = {}) {
+  if (jobIds.length === 0) return { seen: [], reopened: [] };
+  
+  const result = await db.query(
+    `WITH prev AS (
+       SELECT job_id, status FROM job_posting
+       WHERE job_id = ANY($1::uuid[])
+         AND ($2::text IS NULL OR LOWER(platform) = LOWER($2))
+       FOR UPDATE
+     )
+     UPDATE job_posting jp
+     SET last_seen_at = CURRENT_TIMESTAMP,
+         status = 'open',
+         closed_at = NULL,
+         lifecycle_changed_at = CURRENT_TIMESTAMP
+     FROM prev
+     WHERE jp.job_id = prev.job_id
+     RETURNING jp.job_id, prev.status = 'closed' AS reopened`,
+    [[...new Set(jobIds)], platform]
+  );
+  
+  return {
+    seen: result.rows.map(r => r.job_id),
+    reopened: result.rows.filter(r => r.reopened).map(r => r.job_id)
+  };
+}
+
+/**
+ * Ingest a batch of validated jobs
+ * Candidates are [{ index, job }] from prepareJobs (canonical, unique). Existing
+ * jobs are looked up in one query, marked as seen, and skipped or compared and
+ * updated when upsert is set; new jobs are inserted in chunks of BULK_CHUNK_SIZE. Nested `company`
+ * objects are resolved inside the transaction that writes their job, so skipped jobs
+ * neither create a company nor appear in `jobs`. With
+ * inTransaction, the caller holds an open transaction on `client` and each unit
+ * of work is a savepoint in it; the company locks of every job are then taken
+ * up front, since they are held until the caller commits.
+ * Returns { created, skipped, updated, unchanged, benefits_created, errors,
+ *           jobs: [{ url, job_id, company_id, status }] }
+ */
+async function ingestJobs(client, candidates, { upsert = false, inTransaction = false } = {}) {
+  const unit = inTransaction ? SAVEPOINT : TRANSACTION;
+  const results = {
+    created: 0,
+    skipped: 0,
+    updated: 0,
+    unchanged: 0,
+    benefits_created: 0,
+    errors: [],
+    jobs: []
+  };
+  
+  if (candidates.length === 0) return results;
+  
+  if (inTransaction) {
+    await lockCompanyNames(client, embeddedCompanyNames(candidates.map(c => c.job)));
+  }
+  
+  const existingJobId = await findExistingJobs(client, candidates.map(c => c.job));
+  
+  const newJobs = candidates.filter(c => !existingJobId(c.job));
+  const recrawled = candidates.filter(c => existingJobId(c.job));
+  
+  for (let i = 0; i < newJobs.length; i += BULK_CHUNK_SIZE) {
+    const chunk = newJobs.slice(i, i + BULK_CHUNK_SIZE);
+    const chunkResults = await insertJobPostingChunk(client, chunk, unit);
+    
+    results.created += chunkResults.created.length;
+    results.skipped += chunkResults.skipped;
+    results.benefits_created += chunkResults.benefitsCreated;
+    results.errors.push(...chunkResults.errors);
+    
+    for (const { url, job_id, company_id } of chunkResults.created) {
+      results.jobs.push({ url, job_id, company_id, status: 'created' });
+    }
+  }
+  
+  await markJobsSeen(client, recrawled.map(c => existingJobId(c.job)));
+  
+  if (!upsert) {
+    results.skipped += recrawled.length;
+    await publishIngestedJobs(client, candidates, results.jobs, inTransaction);
+    recordIngestion(candidates, results);
+    return results;
+  }
+  
+  // Each re-crawled job gets its own transaction so one bad row can't abort the rest
+  for (const { index, job } of recrawled) {
+    const jobId = existingJobId(job);
+    
+    try {
+      await client.query(unit.begin);
+      const resolved = await resolveEmbeddedCompany(client, job);
+      const status = await updateJobPostingIfChanged(client, jobId, resolved);
+      const insertedBenefits = await insertBenefits(client, jobId, normalizeBenefits(job.benefits));
+      await client.query(unit.commit);
+      
+      results[status]++;
+      results.benefits_created += insertedBenefits.length;
+      results.jobs.push({ url: job.url, job_id: jobId, company_id: resolved.company_id, status });
+    } catch (error) {
+      await client.query(unit.rollback);
+      results.errors.push({ index, job_title: job.job_title, url: job.url, error: error.message });
+    }
+  }
+  
+  await publishIngestedJobs(client, candidates, results.jobs, inTransaction);
+  recordIngestion(candidates, results);
+  return results;
+}
+
+/**
+ * Queue job.ingested webhooks for created and updated jobs (unchanged ones are left out)
+ */
+async function publishIngestedJobs(db, candidates, jobs, inTransaction) {
+  const platformByUrl = new Map(candidates.map(c => [c.job.url, c.job.platform]));
+  
+  await publishJobEvents(db, 'job.ingested', jobs
+    .filter(job => job.status !== 'unchanged')
+    .map(({ url, job_id, status }) => ({ url, job_id, status, platform: platformByUrl.get(url) })), { inTransaction });
+}
+
+module.exports = {
+  BULK_CHUNK_SIZE,
+  resolveEmbeddedCompany,
+  normalizeBenefits,
+  insertBenefits,
+  updateJobPostingIfChanged,
+  insertJobPostingChunk,
+  findExistingJobs,
+  markJobsSeen,
+  isPlatformAllowed,
+  validateJob,
+  prepareJobs,
+  ingestJobs,
+};
@@ -0,0 +1,292 @@
+const { rawPool, cleanPool } = require('./database');
+
+const REPLAY_LIMIT = parseInt(process.env.STREAM_REPLAY_LIMIT) || 1000;
+const RETENTION_HOURS = parseInt(process.env.STREAM_RETENTION_HOURS) || 24;
+const FETCH_BATCH_SIZE = 500;
+const RECONNECT_DELAY_MS = 5000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// The clean feed, and events held back behind a transaction that was still open
+// (its commit sends no notification if it wrote no events), are picked up by this poll
+const POLL_INTERVAL_MS = 2000;
+
+// Raw DB channel notified by the job_event trigger. It is the only LISTEN connection
+// of the process: the clean feed is written by the data processor's batches and polled.
+const CHANNEL = 'job_events';
+
+// Event feeds filled by triggers: job_event (raw_schema.sql) and JobPostEvent (schema.sql)
+const SOURCES = {
+  raw: {
+    pool: rawPool,
+    event: 'job.ingested',
+    table: 'job_event',
+    idColumn: 'event_id',
+    txidColumn: 'txid',
+    createdColumn: 'created_at',
+    columns: 'txid, event_id AS id, platform, payload, created_at, NULL AS operation'
+  },
+  clean: {
+    pool: cleanPool,
+    event: 'job.cleaned',
+    table: 'JobPostEvent',
+    idColumn: 'Id',
+    txidColumn: 'TxId',
+    createdColumn: 'CreatedAt',
+    columns: 'TxId AS txid, Id AS id, PlatformName AS platform, Payload AS payload, CreatedAt AS created_at, Operation AS operation'
+  }
+};
+
+// Last position fetched per source, as { txid, id }
+const cursors = {};
+const fetching = {};
+const subscribers = new Set();
+let starting = null;
+
+// ===================================
+// Positions
+// ===================================
+// Events are read in (txid, id) order and only from transactions older than every
+// transaction still running, so nothing can later commit behind a position already read.
+// The price: a transaction left open on a database (even one writing no events) holds
+// back that feed until it ends. Bound it with idle_in_transaction_session_timeout and
+// statement_timeout on the roles writing to the databases.
+
+function isAfter(a, b) {
+  return a.txid > b.txid || (a.txid === b.txid && a.id > b.id);
+}
+
+/**
+ * SSE event id covering both feeds, e.g. "812.5031-790.27"
+ */
+function formatEventId(positions) {
+  return `${positions.raw.txid}.${positions.raw.id}-${positions.clean.txid}.${positions.clean.id}`;
+}
+
+/**
+ * Parse a Last-Event-ID header
+ * Returns { raw, clean } positions or null if the value is not one of ours
+ */
+function parseEventId(value) {
+  const match = /^(\d+)\.(\d+)-(\d+)\.(\d+)$/.exec(value || '');
+  if (!match) return null;
+
+  const [rawTxid, rawId, cleanTxid, cleanId] = match.slice(1).map(Number);
+  return {
+    raw: { txid: rawTxid, id: rawId },
+    clean: { txid: cleanTxid, id: cleanId }
+  };
+}
+
+function toEvent(source, row) {
+  return {
+    source,
+    position: { txid: Number(row.txid), id: Number(row.id) },
+    type: SOURCES[source].event,
+    platform: row.platform,
+    data: {
+      ...row.payload,
+      ...(row.operation ? { operation: row.operation } : {}),
+      event_at: row.created_at
+    }
+  };
+}
+
+/**
+ * Committed events of a source after `after` (and up to `until` when given)
+ */
+async function readEvents(source, after, limit, until = null) {
+  const { pool, table, idColumn, txidColumn, columns } = SOURCES[source];
+  const params = [after.txid, after.id, limit];
+  let upTo = '';
+
+  if (until) {
+    params.push(until.txid, until.id);
+    upTo = `AND (${txidColumn}, ${idColumn}) <= ($4, $5)`;
+  }
+
+  const result = await pool.query(
+    `SELECT ${columns}
+     FROM ${table}
+     WHERE (${txidColumn}, ${idColumn}) > ($1, $2) ${upTo}
+       AND ${txidColumn} < txid_snapshot_xmin(txid_current_snapshot())
+     ORDER BY ${txidColumn}, ${idColumn}
+     LIMIT $3`,
+    params
+  );
+  return result.rows.map(row => toEvent(source, row));
+}
+
+// ===================================
+// Listening
+// ===================================
+
+/**
+ * Fetch events past the cursor and hand them to every subscriber
+ * Notifications arriving while a fetch runs trigger one more pass.
+ */
+async function fetchNewEvents(source) {
+  if (fetching[source]) {
+    fetching[source] = 'again';
+    return;
+  }
+
+  fetching[source] = true;
+
+  try {
+    let events;
+    do {
+      if (fetching[source] === 'again') fetching[source] = true;
+
+      events = await readEvents(source, cursors[source], FETCH_BATCH_SIZE);
+
+      for (const event of events) {
+        cursors[source] = event.position;
+        for (const subscriber of subscribers) subscriber(event);
+      }
+    } while (events.length === FETCH_BATCH_SIZE || fetching[source] === 'again');
+  } catch (error) {
+    console.error(`❌ Failed to read ${source} job events:`, error.message);
+  } finally {
+    fetching[source] = false;
+  }
+}
+
+/**
+ * Hold the process's one connection that LISTENs for raw job events
+ * On connection loss it reconnects and catches up from the cursor, so no event is missed.
+ */
+async function listen() {
+  try {
+    const client = await rawPool.connect();
+
+    client.on('notification', () => fetchNewEvents('raw'));
+    client.on('error', error => {
+      console.error('❌ Job stream listener lost its connection:', error.message);
+      client.release(error);
+      setTimeout(listen, RECONNECT_DELAY_MS);
+    });
+
+    await client.query(`LISTEN ${CHANNEL}`);
+    await fetchNewEvents('raw');
+  } catch (error) {
+    console.error('❌ Job stream listener failed to start:', error.message);
+    setTimeout(listen, RECONNECT_DELAY_MS);
+  }
+}
+
+async function start() {
+  for (const [source, { pool, table, idColumn, txidColumn }] of Object.entries(SOURCES)) {
+    const result = await pool.query(
+      `SELECT ${txidColumn} AS txid, ${idColumn} AS id
+       FROM ${table}
+       WHERE ${txidColumn} < txid_snapshot_xmin(txid_current_snapshot())
+       ORDER BY ${txidColumn} DESC, ${idColumn} DESC
+       LIMIT 1`
+    );
+    const last = result.rows[0];
+    cursors[source] = last ? { txid: Number(last.txid), id: Number(last.id) } : { txid: 0, id: 0 };
+  }
+
+  await listen();
+
+  setInterval(() => {
+    for (const source of Object.keys(SOURCES)) fetchNewEvents(source);
+  }, POLL_INTERVAL_MS).unref();
+
+  setInterval(pruneEvents, PRUNE_INTERVAL_MS).unref();
+
+  console.log('📺 Job stream listening for new jobs');
+}
+
+async function pruneEvents() {
+  for (const [source, { pool, table, createdColumn }] of Object.entries(SOURCES)) {
+    try {
+      await pool.query(
+        `DELETE FROM ${table} WHERE ${createdColumn} < CURRENT_TIMESTAMP - make_interval(hours => $1)`,
+        [RETENTION_HOURS]
+      );
+    } catch (error) {
+      console.error(`❌ Failed to prune ${source} job events:`, error.message);
+    }
+  }
+}
+
+// ===================================
+// Subscribing
+// ===================================
+
+/**
+ * Receive every new event from both databases
+ * Listeners are started on the first subscription.
+ * Returns { unsubscribe, positions }; the subscriber gets every event after positions.
+ */
+async function subscribe(callback) {
+  starting = starting || start().catch(error => {
+    starting = null;
+    throw error;
+  });
+  await starting;
+
+  subscribers.add(callback);
+
+  return {
+    unsubscribe: () => subscribers.delete(callback),
+    positions: { raw: cursors.raw, clean: cursors.clean }
+  };
+}
+
+/**
+ * Events a client missed: after `after`, up to `until` (the positions of its subscription)
+ * Returns { events, truncated } where truncated lists the feeds with more than
+ * STREAM_REPLAY_LIMIT missed events; nothing is replayed for those.
+ */
+async function replayEvents(after, until) {
+  const feeds = [];
+  const truncated = [];
+
+  for (const source of Object.keys(SOURCES)) {
+    if (!isAfter(until[source], after[source])) continue;
+
+    const missed = await readEvents(source, after[source], REPLAY_LIMIT + 1, until[source]);
+
+    if (missed.length > REPLAY_LIMIT) {
+      truncated.push(source);
+    } else {
+      feeds.push(missed);
+    }
+  }
+
+  return { events: mergeFeeds(feeds), truncated };
+}
+
+/**
+ * Interleave feeds by event time, keeping each feed in its (txid, id) order
+ * event_at is the start of the writing transaction, which does not follow txid order,
+ * and the stream drops an event that comes after a higher position of its feed.
+ */
+function mergeFeeds(feeds) {
+  const merged = [];
+  const next = feeds.map(() => 0);
+
+  for (;;) {
+    let earliest = -1;
+
+    feeds.forEach((events, i) => {
+      if (next[i] === events.length) return;
+      if (earliest < 0 || new Date(events[next[i]].data.event_at) < new Date(feeds[earliest][next[earliest]].data.event_at)) {
+        earliest = i;
+      }
+    });
+
+    if (earliest < 0) return merged;
+    merged.push(feeds[earliest][next[earliest]++]);
+  }
+}
+
+module.exports = {
+  isAfter,
+  formatEventId,
+  parseEventId,
+  subscribe,
+  replayEvents,
+};
@@ -0,0 +1,105 @@
+const client = require('prom-client');
+const { rawPool, cleanPool } = require('./database');
+
+// Prometheus metrics for GET /metrics
+// Names and labels match the data processor's exporter (data-processor/services/metrics.js):
+// every metric starts with jobcrawler_, `platform` is the job_posting.platform value,
+// and `service` tells the two apart.
+
+const register = new client.Registry();
+register.setDefaultLabels({ service: 'raw-api' });
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'jobcrawler_http_requests_total',
+  help: 'HTTP requests by route pattern, status code and API key name',
+  labelNames: ['method', 'route', 'status', 'api_key'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'jobcrawler_http_request_duration_seconds',
+  help: 'HTTP request latency by route pattern, status code and API key name',
+  labelNames: ['method', 'route', 'status', 'api_key'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const jobsIngested = new client.Counter({
+  name: 'jobcrawler_jobs_ingested_total',
+  help: 'Raw jobs written by the ingestion routes; status is created, updated or unchanged (upsert mode)',
+  labelNames: ['platform', 'status'],
+  registers: [register]
+});
+
+const duplicatesSkipped = new client.Counter({
+  name: 'jobcrawler_jobs_duplicates_skipped_total',
+  help: 'Jobs skipped because their URL was already stored or repeated within the same upload',
+  labelNames: ['platform'],
+  registers: [register]
+});
+
+const POOLS = { raw: rawPool, clean: cleanPool };
+
+new client.Gauge({
+  name: 'jobcrawler_db_pool_connections',
+  help: 'Database pool connections; state is total, idle or waiting (queued clients)',
+  labelNames: ['database', 'state'],
+  registers: [register],
+  collect() {
+    for (const [database, pool] of Object.entries(POOLS)) {
+      this.set({ database, state: 'total' }, pool.totalCount);
+      this.set({ database, state: 'idle' }, pool.idleCount);
+      this.set({ database, state: 'waiting' }, pool.waitingCount);
+    }
+  }
+});
+
+/**
+ * Express middleware timing every request
+ * Requests that match no route are labelled "unmatched" to keep label values bounded.
+ */
+function metricsMiddleware(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? req.route.path : 'unmatched',
+      status: res.statusCode,
+      api_key: req.apiKeyInfo ? req.apiKeyInfo.keyname : 'none'
+    };
+
+    httpRequests.inc(labels);
+    end(labels);
+  });
+
+  next();
+}
+
+/**
+ * Count the outcome of ingestJobs per platform
+ * Candidates that ended up neither in `jobs` nor in `errors` were skipped as existing URLs.
+ */
+function recordIngestion(candidates, { jobs, errors }) {
+  const handledUrls = new Set([...jobs, ...errors].map(job => job.url));
+  const platformByUrl = new Map(candidates.map(c => [c.job.url, c.job.platform]));
+
+  for (const job of jobs) {
+    jobsIngested.inc({ platform: platformByUrl.get(job.url), status: job.status });
+  }
+
+  for (const { job } of candidates) {
+    if (!handledUrls.has(job.url)) {
+      duplicatesSkipped.inc({ platform: job.platform });
+    }
+  }
+}
+
+module.exports = {
+  register,
+  jobsIngested,
+  duplicatesSkipped,
+  metricsMiddleware,
+  recordIngestion,
+};
@@ -0,0 +1,113 @@
+const readline = require('readline');
+const zlib = require('zlib');
+const { rawPool } = require('./database');
+const { prepareJobs, ingestJobs, BULK_CHUNK_SIZE } = require('./ingestion');
+
+// Row errors returned in the response; error_count has the full number
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Wrap a byte stream with gunzip when it is gzip-compressed
+ */
+function maybeGunzip(stream, gzipped) {
+  return gzipped ? stream.pipe(zlib.createGunzip()) : stream;
+}
+
+/**
+ * Stream newline-delimited job objects into the raw DB
+ * Each line is one job in the /api/jobposts/bulk format, optionally with a
+ * nested `company` object instead of company_id. Lines are 1-based and blank
+ * lines are ignored. Jobs are validated, deduplicated and inserted in batches
+ * exactly like the bulk route; embedded companies are resolved after validation.
+ * Memory does not grow with the file beyond the dedup keys: only counters and the
+ * first MAX_REPORTED_ERRORS errors are kept, and job.ingested webhooks are queued per
+ * batch (there is no per-job `jobs` list).
+ * Returns { total, created, skipped, updated, unchanged, benefits_created, error_count, errors }
+ */
+async function ingestNdjsonStream(input, { upsert = false, allowedPlatforms = null, platformNames = null, crawlRunId = null, apiKeyId = null } = {}) {
+  const results = {
+    total: 0,
+    created: 0,
+    skipped: 0,
+    updated: 0,
+    unchanged: 0,
+    benefits_created: 0,
+    error_count: 0,
+    errors: []
+  };
+
+  const context = {
+    upsert,
+    allowedPlatforms,
+    platformNames,
+    crawlRunId,
+    apiKeyId,
+    seenUrls: new Set()
+  };
+
+  const client = await rawPool.connect();
+
+  try {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 0;
+    let batch = [];
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      results.total++;
+
+      try {
+        batch.push({ index: lineNumber, job: JSON.parse(line) });
+      } catch (error) {
+        addErrors(results, [{ index: lineNumber, error: `Invalid JSON: ${error.message}` }]);
+      }
+
+      if (batch.length >= BULK_CHUNK_SIZE) {
+        await processBatch(client, context, batch, results);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await processBatch(client, context, batch, results);
+    }
+
+    return results;
+  } finally {
+    client.release();
+  }
+}
+
+async function processBatch(client, context, batch, results) {
+  const { candidates, errors, duplicates } = prepareJobs(batch, {
+    seenUrls: context.seenUrls,
+    allowedPlatforms: context.allowedPlatforms,
+    platformNames: context.platformNames,
+    embeddedCompany: true,
+    crawlRunId: context.crawlRunId,
+    apiKeyId: context.apiKeyId
+  });
+  const ingested = await ingestJobs(client, candidates, { upsert: context.upsert });
+
+  results.created += ingested.created;
+  results.skipped += ingested.skipped + duplicates;
+  results.updated += ingested.updated;
+  results.unchanged += ingested.unchanged;
+  results.benefits_created += ingested.benefits_created;
+  addErrors(results, [...errors, ...ingested.errors]);
+}
+
+/**
+ * Count errors and keep the first MAX_REPORTED_ERRORS of them
+ */
+function addErrors(results, errors) {
+  results.error_count += errors.length;
+  results.errors.push(...errors.slice(0, MAX_REPORTED_ERRORS - results.errors.length));
+}
+
+module.exports = {
+  maybeGunzip,
+  ingestNdjsonStream,
+};
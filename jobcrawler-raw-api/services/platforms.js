@@ -0,0 +1,42 @@
+const { cleanPool } = require('./database');
+
+// Platform names change rarely; reload them at most this often
+const CACHE_TTL_MS = (parseInt(process.env.PLATFORM_CACHE_SECONDS) || 60) * 1000;
+
+let cachedNames = null;
+let cachedAt = 0;
+
+/**
+ * Names from the clean Platform table (cached)
+ */
+async function getPlatformNames() {
+  if (!cachedNames || Date.now() - cachedAt > CACHE_TTL_MS) {
+    const result = await cleanPool.query('SELECT Name FROM Platform ORDER BY Name');
+    cachedNames = result.rows.map(row => row.name);
+    cachedAt = Date.now();
+  }
+  return cachedNames;
+}
+
+function simplify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Check a platform name against the Platform table names (exact match)
+ * Returns null when it is known, otherwise an error message with a suggestion
+ * for near misses like "CareerViet" / "Career Viet" -> "Careerviet".
+ */
+function checkPlatformName(platform, platformNames) {
+  if (platformNames.includes(platform)) return null;
+
+  const suggestion = platformNames.find(name => simplify(name) === simplify(platform));
+  return suggestion
+    ? `is not a known platform, did you mean '${suggestion}'?`
+    : `is not a known platform (known: ${platformNames.join(', ')})`;
+}
+
+module.exports = {
+  getPlatformNames,
+  checkPlatformName,
+};
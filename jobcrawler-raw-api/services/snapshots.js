@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { rawPool } = require('./database');
+
+const gzip = promisify(zlib.gzip);
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join('uploads', 'snapshots');
+const RETENTION_DAYS = parseInt(process.env.SNAPSHOT_RETENTION_DAYS) || 90;
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Snapshots replaced on every job that used them are kept this long, then pruned
+const ORPHAN_GRACE_HOURS = 24;
+
+const SNAPSHOT_CONTENT_TYPES = [
+  'text/html',
+  'application/xhtml+xml',
+  'application/json',
+  'application/ld+json',
+  'text/plain'
+];
+
+const SNAPSHOT_COLUMNS = 'content_hash, content_type, size_bytes, stored_bytes, storage_path';
+
+// Spread files over 256 directories: ab/ab12...ef.gz
+function storagePath(hash) {
+  return path.join(hash.slice(0, 2), `${hash}.gz`);
+}
+
+/**
+ * Write the gzipped content unless a file with its hash is already there
+ * Written to a temporary name first so readers never see a partial file. Only called
+ * while holding the page_snapshot row lock, so pruneSnapshots cannot delete it meanwhile.
+ */
+async function writeSnapshotFile(relativePath, compressed) {
+  const file = path.join(SNAPSHOT_DIR, relativePath);
+
+  if (fs.existsSync(file)) return;
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.promises.writeFile(temporary, compressed);
+  await fs.promises.rename(temporary, file);
+}
+
+/**
+ * Store a page and make it the job's latest snapshot
+ * `contentType` is the bare media type (no charset). Content uploaded before is not stored again.
+ * Returns { job_id, content_hash, content_type, size_bytes, stored_bytes, deduplicated, captured_at }
+ */
+async function saveSnapshot(jobId, content, contentType) {
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  const relativePath = storagePath(hash);
+  const compressed = await gzip(content);
+
+  const client = await rawPool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // The row is written (and locked) before the file: a prune that deleted it first
+    // has unlinked the file by the time this insert goes through, and a later prune
+    // waits for this transaction and then finds the snapshot recently used
+    const snapshot = await client.query(
+      `INSERT INTO page_snapshot (content_hash, content_type, size_bytes, stored_bytes, storage_path)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (content_hash) DO UPDATE SET last_used_at = CURRENT_TIMESTAMP
+       RETURNING ${SNAPSHOT_COLUMNS}, created_at < last_used_at AS deduplicated`,
+      [hash, contentType, content.length, compressed.length, relativePath]
+    );
+
+    await writeSnapshotFile(relativePath, compressed);
+
+    const job = await client.query(
+      `UPDATE job_posting
+       SET snapshot_hash = $2, snapshot_captured_at = CURRENT_TIMESTAMP
+       WHERE job_id = $1
+       RETURNING snapshot_captured_at`,
+      [jobId, hash]
+    );
+
+    await client.query('COMMIT');
+
+    const { storage_path, ...stored } = snapshot.rows[0];
+    return { job_id: jobId, ...stored, captured_at: job.rows[0].snapshot_captured_at };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Latest snapshot of a job
+ * Returns null if the job does not exist; snapshot columns are null if it has none.
+ */
+async function getJobSnapshot(jobId) {
+  const result = await rawPool.query(
+    `SELECT jp.job_id, jp.platform, jp.snapshot_captured_at AS captured_at,
+            s.content_hash, s.content_type, s.size_bytes, s.stored_bytes, s.storage_path
+     FROM job_posting jp
+     LEFT JOIN page_snapshot s ON s.content_hash = jp.snapshot_hash
+     WHERE jp.job_id = $1`,
+    [jobId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Gzipped file of a snapshot, or null if it is missing on disk
+ */
+function openSnapshotFile(snapshot) {
+  const file = path.join(SNAPSHOT_DIR, snapshot.storage_path);
+  return fs.existsSync(file) ? fs.createReadStream(file) : null;
+}
+
+// ===================================
+// Retention
+// ===================================
+
+/**
+ * Delete snapshots not uploaded for SNAPSHOT_RETENTION_DAYS, and snapshots no job
+ * links to any more. Jobs keep their row, their snapshot_hash is cleared.
+ * Files are unlinked before the delete commits: an upload of the same content
+ * waits on the deleted rows and writes its file again afterwards.
+ * Returns the number of snapshots deleted
+ */
+async function pruneSnapshots() {
+  const client = await rawPool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `DELETE FROM page_snapshot s
+       WHERE s.last_used_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+          OR (s.last_used_at < CURRENT_TIMESTAMP - make_interval(hours => $2)
+              AND NOT EXISTS (SELECT 1 FROM job_posting jp WHERE jp.snapshot_hash = s.content_hash))
+       RETURNING storage_path`,
+      [RETENTION_DAYS, ORPHAN_GRACE_HOURS]
+    );
+
+    for (const { storage_path } of result.rows) {
+      await fs.promises.unlink(path.join(SNAPSHOT_DIR, storage_path)).catch(error => {
+        if (error.code !== 'ENOENT') {
+          console.error(`❌ Failed to delete snapshot file ${storage_path}:`, error.message);
+        }
+      });
+    }
+
+    await client.query('COMMIT');
+    return result.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Prune snapshots at startup and every few hours
+ */
+function startSnapshotPruner() {
+  const run = async () => {
+    try {
+      const pruned = await pruneSnapshots();
+      if (pruned > 0) {
+        console.log(`🧹 Pruned ${pruned} page snapshots`);
+      }
+    } catch (error) {
+      console.error('❌ Snapshot pruning failed:', error.message);
+    }
+  };
+
+  run();
+  setInterval(run, PRUNE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  SNAPSHOT_CONTENT_TYPES,
+  saveSnapshot,
+  getJobSnapshot,
+  openSnapshotFile,
+  pruneSnapshots,
+  startSnapshotPruner,
+};
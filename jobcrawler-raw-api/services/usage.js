@@ -0,0 +1,141 @@
+const { rawPool } = require('./database');
+const { listApiKeys } = require('./api_keys');
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const COUNTER_COLUMNS = ['requests', 'failed_requests', 'created', 'skipped', 'errors', 'bytes_uploaded'];
+
+// float8 so pg returns numbers: bytes (and sums over long ranges) outgrow INTEGER
+const selectCounters = aggregate => COUNTER_COLUMNS
+  .map(column => `${aggregate ? `SUM(${column})` : column}::float8 AS ${column}`)
+  .join(', ');
+
+/**
+ * Add to a key's usage bucket for the current day (UTC)
+ * No-op without a key. `db` may be a client inside the caller's transaction.
+ */
+async function recordUsage(db, apiKeyId, { keyName = null, requests = 0, failedRequests = 0, created = 0, skipped = 0, errors = 0, bytesUploaded = 0 }) {
+  if (!apiKeyId) return;
+
+  await db.query(
+    `INSERT INTO api_key_usage_daily
+     (api_key_id, day, key_name, requests, failed_requests, created, skipped, errors, bytes_uploaded)
+     VALUES ($1, (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::date, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (api_key_id, day) DO UPDATE
+       SET key_name = COALESCE(EXCLUDED.key_name, api_key_usage_daily.key_name),
+           requests = api_key_usage_daily.requests + EXCLUDED.requests,
+           failed_requests = api_key_usage_daily.failed_requests + EXCLUDED.failed_requests,
+           created = api_key_usage_daily.created + EXCLUDED.created,
+           skipped = api_key_usage_daily.skipped + EXCLUDED.skipped,
+           errors = api_key_usage_daily.errors + EXCLUDED.errors,
+           bytes_uploaded = api_key_usage_daily.bytes_uploaded + EXCLUDED.bytes_uploaded`,
+    [apiKeyId, keyName, requests, failedRequests, created, skipped, errors, bytesUploaded]
+  );
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check a report range; dates are YYYY-MM-DD (UTC), both inclusive
+ * Defaults to the last DEFAULT_RANGE_DAYS days up to today.
+ * Returns { from, to, fields } where fields lists validation errors
+ */
+function parseUsageRange({ from, to } = {}) {
+  const fields = [];
+
+  for (const [field, value] of [['from', from], ['to', to]]) {
+    if (value && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+      fields.push({ field, message: 'must be a date (YYYY-MM-DD)' });
+    }
+  }
+  if (fields.length > 0) return { fields };
+
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from
+    ? new Date(from)
+    : new Date(toDate.getTime() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000);
+  const days = Math.round((toDate - fromDate) / (24 * 60 * 60 * 1000)) + 1;
+
+  if (days < 1) {
+    fields.push({ field: 'from', message: 'must not be after to' });
+  } else if (days > MAX_RANGE_DAYS) {
+    fields.push({ field: 'from', message: `range must be at most ${MAX_RANGE_DAYS} days` });
+  }
+
+  return { from: formatDay(fromDate), to: formatDay(toDate), fields };
+}
+
+// Share of submitted jobs that were already stored, null when nothing was submitted
+function duplicateRate({ created, skipped }) {
+  const submitted = created + skipped;
+  return submitted > 0 ? Number((skipped / submitted).toFixed(4)) : null;
+}
+
+/**
+ * Usage per key and per day over a date range (inclusive, UTC days)
+ * `keys` has one total per key, including active keys without any usage in the
+ * range (requests 0, last_active_day null) so silent crawlers stand out.
+ * Returns { from, to, keys, days }
+ */
+async function getUsageReport({ from, to, apiKeyId = null, keyName = null }) {
+  const filter = `day BETWEEN $1 AND $2
+       AND ($3::uuid IS NULL OR api_key_id = $3)
+       AND ($4::text IS NULL OR key_name = $4)`;
+  const params = [from, to, apiKeyId, keyName];
+
+  const days = await rawPool.query(
+    `SELECT api_key_id, key_name, TO_CHAR(day, 'YYYY-MM-DD') AS day,
+            ${selectCounters(false)}
+     FROM api_key_usage_daily
+     WHERE ${filter}
+     ORDER BY day, key_name`,
+    params
+  );
+
+  const totals = await rawPool.query(
+    `SELECT api_key_id, MAX(key_name) AS key_name, TO_CHAR(MAX(day), 'YYYY-MM-DD') AS last_active_day,
+            ${selectCounters(true)}
+     FROM api_key_usage_daily
+     WHERE ${filter}
+     GROUP BY api_key_id`,
+    params
+  );
+
+  const byKey = new Map(totals.rows.map(row => [row.api_key_id, row]));
+
+  for (const key of await listApiKeys()) {
+    const matches = key.is_active
+      && (!apiKeyId || key.id === apiKeyId)
+      && (!keyName || key.key_name === keyName);
+
+    if (matches && !byKey.has(key.id)) {
+      byKey.set(key.id, {
+        api_key_id: key.id,
+        key_name: key.key_name,
+        last_active_day: null,
+        ...Object.fromEntries(COUNTER_COLUMNS.map(column => [column, 0]))
+      });
+    }
+  }
+
+  const keys = [...byKey.values()]
+    .map(row => ({ ...row, duplicate_rate: duplicateRate(row) }))
+    .sort((a, b) => String(a.key_name).localeCompare(String(b.key_name)));
+
+  return {
+    from,
+    to,
+    keys,
+    days: days.rows.map(row => ({ ...row, duplicate_rate: duplicateRate(row) }))
+  };
+}
+
+module.exports = {
+  recordUsage,
+  parseUsageRange,
+  getUsageReport,
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { publishEvent, publishJobEvents } = require('jobcrawler-shared/webhook_events');
+const { rawPool } = require('./database');
+
+const WEBHOOK_EVENTS = ['job.ingested', 'import.completed', 'job.processed'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+// Deliveries claimed per poll; a claimed row is hidden from other workers for
+// LEASE_SECONDS so two API processes never send it twice
+const DELIVERY_BATCH_SIZE = 20;
+const LEASE_SECONDS = Math.ceil(TIMEOUT_MS / 1000) * DELIVERY_BATCH_SIZE + 30;
+
+// Columns safe to return from admin routes (the secret is only shown on create)
+const PUBLIC_COLUMNS = `
+  subscription_id, url, events, platforms, description, is_active,
+  created_by, created_at, updated_at`;
+
+const DELIVERY_COLUMNS = `
+  delivery_id, subscription_id, event, platform, status, attempts, next_attempt_at,
+  last_attempt_at, last_status_code, last_error, created_at, delivered_at`;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>", hex encoded
+ * Receivers recompute it with their secret and compare against X-Webhook-Signature.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// ===================================
+// Delivery
+// ===================================
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+/**
+ * POST one delivery and record the outcome
+ * Failures are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS.
+ */
+async function attemptDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    id: delivery.delivery_id,
+    event: delivery.event,
+    created_at: delivery.created_at,
+    data: delivery.payload
+  });
+
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'jobcrawler-raw-api-webhooks',
+        'X-Webhook-Id': delivery.delivery_id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    statusCode = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}: ${(await response.text()).slice(0, 500)}`;
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+
+  if (!error) {
+    await rawPool.query(
+      `UPDATE webhook_delivery
+       SET status = 'succeeded', attempts = $2, last_status_code = $3, last_error = NULL,
+           last_attempt_at = CURRENT_TIMESTAMP, delivered_at = CURRENT_TIMESTAMP
+       WHERE delivery_id = $1`,
+      [delivery.delivery_id, attempts, statusCode]
+    );
+    return;
+  }
+
+  const failed = attempts >= MAX_ATTEMPTS;
+
+  await rawPool.query(
+    `UPDATE webhook_delivery
+     SET status = $4, attempts = $2, last_status_code = $3, last_error = $5,
+         last_attempt_at = CURRENT_TIMESTAMP,
+         next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $6)
+     WHERE delivery_id = $1`,
+    [delivery.delivery_id, attempts, statusCode, failed ? 'failed' : 'pending', error, retryDelaySeconds(attempts)]
+  );
+
+  if (failed) {
+    console.error(`❌ Webhook delivery ${delivery.delivery_id} to ${delivery.url} failed after ${attempts} attempts: ${error}`);
+  }
+}
+
+/**
+ * Claim due deliveries and send them
+ * Deliveries of paused subscriptions stay pending until the subscription is re-enabled.
+ * Returns the number of deliveries attempted
+ */
+async function deliverDueWebhooks() {
+  const due = await rawPool.query(
+    `UPDATE webhook_delivery d
+     SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+     FROM webhook_subscription s
+     WHERE s.subscription_id = d.subscription_id
+       AND d.delivery_id IN (
+         SELECT pending.delivery_id
+         FROM webhook_delivery pending
+         JOIN webhook_subscription active ON active.subscription_id = pending.subscription_id
+         WHERE pending.status = 'pending' AND pending.next_attempt_at <= CURRENT_TIMESTAMP
+           AND active.is_active
+         ORDER BY pending.next_attempt_at
+         LIMIT $1
+         FOR UPDATE OF pending SKIP LOCKED
+       )
+     RETURNING d.*, s.url, s.secret`,
+    [DELIVERY_BATCH_SIZE, LEASE_SECONDS]
+  );
+
+  for (const delivery of due.rows) {
+    await attemptDelivery(delivery);
+  }
+
+  return due.rows.length;
+}
+
+/**
+ * Poll for due deliveries every WEBHOOK_POLL_INTERVAL_MS
+ */
+function startWebhookWorker() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      while (await deliverDueWebhooks() === DELIVERY_BATCH_SIZE);
+    } catch (error) {
+      console.error('❌ Webhook delivery run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  timer.unref();
+}
+
+// ===================================
+// Subscriptions
+// ===================================
+
+/**
+ * Create a subscription
+ * Returns the subscription including its secret (generated unless given)
+ */
+async function createSubscription({ url, secret = null, events, platforms = null, description = null, createdBy }) {
+  const result = await rawPool.query(
+    `INSERT INTO webhook_subscription (url, secret, events, platforms, description, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${PUBLIC_COLUMNS}, secret`,
+    [url, secret || generateSecret(), events, platforms, description, createdBy]
+  );
+  return result.rows[0];
+}
+
+async function listSubscriptions() {
+  const result = await rawPool.query(
+    `SELECT ${PUBLIC_COLUMNS},
+            (SELECT COUNT(*)::int FROM webhook_delivery d
+             WHERE d.subscription_id = s.subscription_id AND d.status = 'pending') AS pending_deliveries,
+            (SELECT COUNT(*)::int FROM webhook_delivery d
+             WHERE d.subscription_id = s.subscription_id AND d.status = 'failed') AS failed_deliveries
+     FROM webhook_subscription s
+     ORDER BY created_at`
+  );
+  return result.rows;
+}
+
+/**
+ * Change url, secret, events, platforms, description or is_active
+ * Only properties present in `changes` are written.
+ * Returns the updated subscription or null if it does not exist
+ */
+async function updateSubscription(id, changes) {
+  const columns = ['url', 'secret', 'events', 'platforms', 'description', 'is_active'];
+
+  const sets = [];
+  const params = [id];
+
+  for (const column of columns) {
+    if (changes[column] !== undefined) {
+      params.push(changes[column]);
+      sets.push(`${column} = $${params.length}`);
+    }
+  }
+
+  const result = await rawPool.query(
+    sets.length > 0
+      ? `UPDATE webhook_subscription SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE subscription_id = $1 RETURNING ${PUBLIC_COLUMNS}`
+      : `SELECT ${PUBLIC_COLUMNS} FROM webhook_subscription WHERE subscription_id = $1`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a subscription and its delivery log
+ * Returns false if it does not exist
+ */
+async function deleteSubscription(id) {
+  const result = await rawPool.query(
+    'DELETE FROM webhook_subscription WHERE subscription_id = $1',
+    [id]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Delivery log of a subscription, newest first
+ * Returns null if the subscription does not exist
+ */
+async function listDeliveries(subscriptionId, { status = null, limit = 50 } = {}) {
+  const exists = await rawPool.query(
+    'SELECT 1 FROM webhook_subscription WHERE subscription_id = $1',
+    [subscriptionId]
+  );
+  if (exists.rows.length === 0) return null;
+
+  const result = await rawPool.query(
+    `SELECT ${DELIVERY_COLUMNS}, payload
+     FROM webhook_delivery
+     WHERE subscription_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [subscriptionId, status, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Queue a delivery again right away with a fresh attempt budget
+ * Returns the delivery or null if it does not exist
+ */
+async function redeliver(deliveryId) {
+  const result = await rawPool.query(
+    `UPDATE webhook_delivery
+     SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, delivered_at = NULL
+     WHERE delivery_id = $1
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [deliveryId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  publishEvent,
+  publishJobEvents,
+  deliverDueWebhooks,
+  startWebhookWorker,
+  createSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  redeliver,
+};
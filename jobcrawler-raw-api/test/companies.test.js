@@ -0,0 +1,138 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { rawPool } = require('../services/database');
+const { normalizeCompanyName, companyDomain, companyKey, lockCompanyNames, resolveCompany } = require('../services/companies');
+
+// Resolving needs a test raw database with raw_schema.sql applied (DB_* variables)
+const skip = process.env.DB_NAME ? false : 'DB_NAME is not set';
+
+test('normalizeCompanyName drops case, diacritics, punctuation and legal forms', () => {
+  for (const name of [
+    'FPT Software',
+    'FPT SOFTWARE',
+    'Công ty TNHH FPT Software',
+    'CÔNG TY TNHH MỘT THÀNH VIÊN FPT SOFTWARE',
+    'FPT Software Co., Ltd.',
+    'FPT Software JSC',
+    '  fpt-software  '
+  ]) {
+    assert.strictEqual(normalizeCompanyName(name), 'fpt software', name);
+  }
+
+  assert.strictEqual(normalizeCompanyName('Công ty Cổ phần Đầu tư Thế Giới Di Động'), 'dau tu the gioi di dong');
+  assert.strictEqual(normalizeCompanyName('Acme Corporation Inc.'), 'acme');
+});
+
+test('normalizeCompanyName keeps a name made only of legal forms', () => {
+  assert.strictEqual(normalizeCompanyName('Company Limited'), 'company');
+  assert.strictEqual(normalizeCompanyName('JSC'), 'jsc');
+  assert.strictEqual(normalizeCompanyName('...'), '...');
+});
+
+test('companyDomain ignores job boards, social sites and bad URLs', () => {
+  assert.strictEqual(companyDomain('https://www.fpt-software.com/careers'), 'fpt-software.com');
+  assert.strictEqual(companyDomain('fpt.com.vn'), 'fpt.com.vn');
+  assert.strictEqual(companyDomain('https://www.linkedin.com/company/fpt-software'), null);
+  assert.strictEqual(companyDomain('https://www.topcv.vn/cong-ty/fpt/1.html'), null);
+  assert.strictEqual(companyDomain('https://www.facebook.com/fptsoftware'), null);
+  assert.strictEqual(companyDomain('localhost'), null);
+  assert.strictEqual(companyDomain(null), null);
+});
+
+test('companyKey is shared by names and URLs resolved alike', () => {
+  assert.strictEqual(
+    companyKey({ company_name: 'Công ty TNHH FPT Software', url: 'https://www.fpt-software.com' }),
+    companyKey({ company_name: 'FPT SOFTWARE', url: 'fpt-software.com/' })
+  );
+  assert.notStrictEqual(
+    companyKey({ company_name: 'FPT Software', url: 'https://fpt-software.com' }),
+    companyKey({ company_name: 'FPT Software', url: null })
+  );
+});
+
+describe('resolveCompany', { skip }, () => {
+  // Unique per run so earlier runs leave nothing to match
+  const tag = crypto.randomBytes(4).toString('hex');
+  const domain = `resolver-${tag}.example.com`;
+
+  after(async () => {
+    await rawPool.query('DELETE FROM company WHERE company_name LIKE $1', [`%${tag}%`]);
+    await rawPool.end();
+  });
+
+  async function resolveAll(names, pause) {
+    const client = await rawPool.connect();
+    try {
+      await client.query('BEGIN');
+      await lockCompanyNames(client, names);
+      for (const name of names) {
+        await resolveCompany(client, { company_name: name });
+        await pause();
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function resolve(fields) {
+    const client = await rawPool.connect();
+    try {
+      await client.query('BEGIN');
+      const resolved = await resolveCompany(client, fields);
+      await client.query('COMMIT');
+      return resolved;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  test('concurrent resolves of a new company create it once', async () => {
+    const results = await Promise.all([1, 2, 3, 4].map(() =>
+      resolve({ company_name: `Race ${tag} Ltd`, url: `https://${domain}` })));
+
+    assert.strictEqual(results.filter(r => r.created).length, 1);
+    assert.strictEqual(new Set(results.map(r => r.company.company_id)).size, 1);
+    assert.deepStrictEqual(results.filter(r => !r.created).map(r => r.matched_by), ['domain', 'domain', 'domain']);
+  });
+
+  test('transactions resolving the same companies in opposite order do not deadlock', async () => {
+    const a = `Order A ${tag}`;
+    const b = `Order B ${tag}`;
+    const pause = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    await Promise.all([resolveAll([a, b], pause), resolveAll([b, a], pause)]);
+
+    const stored = await rawPool.query('SELECT company_name FROM company WHERE company_name IN ($1, $2)', [a, b]);
+    assert.strictEqual(stored.rows.length, 2);
+  });
+
+  test('a shared domain does not merge different names', async () => {
+    const group = await resolve({ company_name: `Group ${tag}`, url: `https://${domain}/about` });
+    assert.strictEqual(group.created, true);
+
+    const race = await resolve({ company_name: `RACE ${tag}`, url: `https://www.${domain}` });
+    assert.strictEqual(race.created, false);
+    assert.notStrictEqual(race.company.company_id, group.company.company_id);
+  });
+
+  test('a name match takes the domain of a company that had none', async () => {
+    const bare = await resolve({ company_name: `Bare ${tag}` });
+    const withDomain = await resolve({ company_name: `Công ty TNHH Bare ${tag}`, url: `https://bare-${tag}.example.com` });
+
+    assert.strictEqual(withDomain.matched_by, 'name');
+    assert.strictEqual(withDomain.company.company_id, bare.company.company_id);
+    assert.strictEqual(withDomain.company.domain, `bare-${tag}.example.com`);
+
+    const otherDomain = await resolve({ company_name: `Bare ${tag}`, url: `https://other-${tag}.example.com` });
+    assert.strictEqual(otherDomain.created, true);
+  });
+});
@@ -0,0 +1,110 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { rawPool, cleanPool } = require('../services/database');
+const { createImport, getImport, getImportErrors, startImport } = require('../services/csv_import');
+
+// Imports need the test raw and clean databases with their schemas applied (DB_*, CLEAN_DB_*)
+const skip = process.env.DB_NAME && process.env.CLEAN_DB_NAME ? false : 'DB_NAME or CLEAN_DB_NAME is not set';
+
+describe('CSV import resume', { skip }, () => {
+  const tag = crypto.randomBytes(4).toString('hex');
+  const url = row => `https://jobs.example.com/csv-${tag}/${row}`;
+  let dir;
+  const importIds = [];
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-import-'));
+  });
+
+  after(async () => {
+    await rawPool.query(
+      `DELETE FROM job_event WHERE job_id IN (SELECT job_id FROM job_posting WHERE url LIKE $1)`,
+      [`%csv-${tag}%`]
+    );
+    await rawPool.query('DELETE FROM company WHERE company_name LIKE $1', [`%${tag}%`]);
+    await rawPool.query('DELETE FROM import_job WHERE import_id = ANY($1::uuid[])', [importIds]);
+    fs.rmSync(dir, { recursive: true, force: true });
+    await rawPool.end();
+    await cleanPool.end();
+  });
+
+  async function upload(rows) {
+    const filePath = path.join(dir, `${crypto.randomUUID()}.csv`);
+    fs.writeFileSync(filePath, ['company_name,job_title,platform,url', ...rows].join('\n') + '\n');
+
+    const importJob = await createImport({
+      filePath,
+      fileName: 'jobs.csv',
+      fileSize: fs.statSync(filePath).size,
+      upsert: false,
+      createdBy: 'test'
+    });
+    importIds.push(importJob.import_id);
+    return importJob;
+  }
+
+  async function run(importId) {
+    assert.strictEqual(startImport(importId), true);
+
+    let importJob;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      importJob = await getImport(importId);
+    } while (['pending', 'running'].includes(importJob.status));
+
+    // Let the run release its lock and client
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return importJob;
+  }
+
+  async function storedUrls() {
+    const result = await rawPool.query('SELECT url FROM job_posting WHERE url LIKE $1 ORDER BY url', [`%csv-${tag}%`]);
+    return result.rows.map(row => row.url);
+  }
+
+  test('a resumed import skips the committed rows but still dedups against them', async () => {
+    const importJob = await upload([
+      `Resume ${tag},Row 1,Indeed,${url(1)}`,
+      `Resume ${tag},Row 2,Indeed,${url(2)}`,
+      `Resume ${tag},Row 3,Indeed,${url(3)}`,
+      `Resume ${tag},Row 1 again,Indeed,${url(1)}`,
+      `Resume ${tag},,Indeed,${url(5)}`
+    ]);
+
+    // As if a previous process committed rows 1-2 and crashed
+    await rawPool.query(
+      `UPDATE import_job SET status = 'failed', rows_read = 2, last_committed_row = 2 WHERE import_id = $1`,
+      [importJob.import_id]
+    );
+
+    const done = await run(importJob.import_id);
+
+    assert.strictEqual(done.status, 'completed');
+    assert.strictEqual(done.rows_read, 5);
+    assert.strictEqual(done.last_committed_row, 5);
+    assert.strictEqual(done.created, 1);
+    assert.strictEqual(done.skipped, 1);
+    assert.strictEqual(done.failed, 1);
+    assert.deepStrictEqual(await storedUrls(), [url(3)]);
+    assert.deepStrictEqual(
+      (await getImportErrors(importJob.import_id)).map(e => [e.row_number, e.error]),
+      [[5, 'job_title is required']]
+    );
+    assert.strictEqual(fs.existsSync(importJob.file_path), false);
+  });
+
+  test('an import whose file is gone fails and asks for a new upload', async () => {
+    const importJob = await upload([`Gone ${tag},Row 1,Indeed,${url(6)}`]);
+    fs.unlinkSync(importJob.file_path);
+
+    const done = await run(importJob.import_id);
+
+    assert.strictEqual(done.status, 'failed');
+    assert.match(done.error, /Uploaded file is missing/);
+  });
+});
@@ -0,0 +1,174 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const { rawPool } = require('../services/database');
+const { idempotent, digestUpload, refuseIdempotencyKey } = require('../services/idempotency');
+
+// Keys are stored in a test raw database with raw_schema.sql applied (DB_* variables)
+const skip = process.env.DB_NAME ? false : 'DB_NAME is not set';
+
+describe('Idempotency-Key', { skip }, () => {
+  const apiKeyId = crypto.randomUUID();
+  let server;
+  let baseUrl;
+  let runs;
+  let nextStatus;
+  let gate;
+  let uploadDir;
+
+  before(async () => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.apiKeyInfo = { id: apiKeyId };
+      next();
+    });
+
+    app.post('/items', idempotent, async (req, res) => {
+      runs++;
+      if (gate) await gate;
+      res.status(nextStatus).json({ run: runs, name: req.body.name });
+    });
+    app.post('/uploads', digestUpload(uploadDir, ['application/x-ndjson']), idempotent, (req, res) => {
+      runs++;
+      const lines = req.file ? fs.readFileSync(req.file.path, 'utf8').split('\n').filter(Boolean) : [];
+      if (req.file) fs.unlinkSync(req.file.path);
+      res.status(202).json({ run: runs, lines: lines.length });
+    });
+    app.post('/secrets', refuseIdempotencyKey('the response carries a secret'), (req, res) => {
+      res.status(201).json({ secret: 'whsec_x' });
+    });
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await rawPool.query('DELETE FROM idempotency_key WHERE api_key_id = $1', [apiKeyId]);
+    await rawPool.end();
+    server.close();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  function post(path, key, body, contentType = 'application/json') {
+    return fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType, ...(key ? { 'Idempotency-Key': key } : {}) },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+  }
+
+  function reset() {
+    runs = 0;
+    nextStatus = 201;
+    gate = null;
+    return crypto.randomUUID();
+  }
+
+  test('a retry replays the first response without running again', async () => {
+    const key = reset();
+
+    const first = await post('/items', key, { name: 'a' });
+    assert.strictEqual(first.status, 201);
+    assert.deepStrictEqual(await first.json(), { run: 1, name: 'a' });
+
+    const retry = await post('/items', key, { name: 'a' });
+    assert.strictEqual(retry.status, 201);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepStrictEqual(await retry.json(), { run: 1, name: 'a' });
+    assert.strictEqual(runs, 1);
+  });
+
+  test('the same key with another body is refused with 422', async () => {
+    const key = reset();
+
+    await post('/items', key, { name: 'a' });
+    const other = await post('/items', key, { name: 'b' });
+
+    assert.strictEqual(other.status, 422);
+    assert.strictEqual(runs, 1);
+  });
+
+  test('a retry while the first request runs gets 409 with Retry-After', async () => {
+    const key = reset();
+    let open;
+    gate = new Promise(resolve => { open = resolve; });
+
+    const first = post('/items', key, { name: 'a' });
+    while (runs === 0) await new Promise(resolve => setTimeout(resolve, 10));
+
+    const retry = await post('/items', key, { name: 'a' });
+    assert.strictEqual(retry.status, 409);
+    assert.strictEqual(retry.headers.get('retry-after'), '5');
+
+    open();
+    assert.strictEqual((await first).status, 201);
+    assert.strictEqual(runs, 1);
+  });
+
+  test('server errors are not stored, the retry runs again', async () => {
+    const key = reset();
+    nextStatus = 503;
+
+    assert.strictEqual((await post('/items', key, { name: 'a' })).status, 503);
+
+    nextStatus = 201;
+    // The key is released once the response has closed
+    const stored = () => rawPool.query(
+      'SELECT 1 FROM idempotency_key WHERE api_key_id = $1 AND idempotency_key = $2',
+      [apiKeyId, key]
+    );
+    while ((await stored()).rows.length > 0) await new Promise(resolve => setTimeout(resolve, 10));
+    const retry = await post('/items', key, { name: 'a' });
+
+    assert.strictEqual(retry.status, 201);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), null);
+    assert.strictEqual(runs, 2);
+  });
+
+  test('bodies that are not JSON refuse the header on JSON routes', async () => {
+    const key = reset();
+
+    const upload = await post('/items', key, '{"name":"a"}\n{"name":"b"}\n', 'application/x-ndjson');
+    assert.strictEqual(upload.status, 400);
+    assert.strictEqual(runs, 0);
+  });
+
+  test('uploads are compared by their content and replayed', async () => {
+    const key = reset();
+    const ndjson = '{"name":"a"}\n{"name":"b"}\n';
+
+    const first = await post('/uploads', key, ndjson, 'application/x-ndjson');
+    assert.strictEqual(first.status, 202);
+    assert.deepStrictEqual(await first.json(), { run: 1, lines: 2 });
+
+    const retry = await post('/uploads', key, ndjson, 'application/x-ndjson');
+    assert.strictEqual(retry.status, 202);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepStrictEqual(await retry.json(), { run: 1, lines: 2 });
+
+    const other = await post('/uploads', key, '{"name":"c"}\n', 'application/x-ndjson');
+    assert.strictEqual(other.status, 422);
+    assert.strictEqual(runs, 1);
+
+    // Spooled bodies of requests that did not run are removed
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(fs.readdirSync(uploadDir), []);
+  });
+
+  test('routes returning secrets refuse the header and run without it', async () => {
+    const refused = await post('/secrets', crypto.randomUUID(), {});
+    assert.strictEqual(refused.status, 400);
+    assert.match((await refused.json()).error, /secret/);
+
+    assert.strictEqual((await post('/secrets', null, {})).status, 201);
+  });
+});
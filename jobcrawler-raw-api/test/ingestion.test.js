@@ -0,0 +1,178 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { rawPool } = require('../services/database');
+const { prepareJobs, ingestJobs, insertJobPostingChunk } = require('../services/ingestion');
+
+// Ingestion needs a test raw database with raw_schema.sql applied (DB_* variables)
+const skip = process.env.DB_NAME ? false : 'DB_NAME is not set';
+
+after(() => rawPool.end());
+
+describe('upsert versioning', { skip }, () => {
+  // Unique per run so earlier runs leave nothing to match
+  const tag = crypto.randomBytes(4).toString('hex');
+  const nativeId = String(parseInt(tag, 16));
+  const url = `https://www.topcv.vn/viec-lam/upsert-test-${tag}/${nativeId}.html`;
+  let companyId;
+  let jobId;
+
+  before(async () => {
+    const company = await rawPool.query(
+      'INSERT INTO company (company_name) VALUES ($1) RETURNING company_id',
+      [`Upsert ${tag}`]
+    );
+    companyId = company.rows[0].company_id;
+
+    const created = await ingest({ salary: '1000 USD', applies: 3 });
+    assert.strictEqual(created.created, 1);
+    jobId = created.jobs[0].job_id;
+  });
+
+  after(async () => {
+    await rawPool.query('DELETE FROM job_event WHERE job_id = $1', [jobId]);
+    await rawPool.query('DELETE FROM company WHERE company_id = $1', [companyId]);
+  });
+
+  async function ingest(fields, { upsert = false } = {}) {
+    const { candidates, errors } = prepareJobs([{
+      index: 0,
+      job: { company_id: companyId, job_title: 'Upsert Developer', platform: 'Topcv', url, ...fields }
+    }]);
+    assert.deepStrictEqual(errors, []);
+
+    const client = await rawPool.connect();
+    try {
+      return await ingestJobs(client, candidates, { upsert });
+    } finally {
+      client.release();
+    }
+  }
+
+  async function stored() {
+    const job = await rawPool.query('SELECT * FROM job_posting WHERE job_id = $1', [jobId]);
+    const versions = await rawPool.query(
+      'SELECT changed_fields, old_values FROM job_posting_version WHERE job_id = $1 ORDER BY created_at',
+      [jobId]
+    );
+    return { job: job.rows[0], versions: versions.rows };
+  }
+
+  async function markProcessed() {
+    await rawPool.query(
+      'UPDATE job_posting SET processed = TRUE, processed_at = CURRENT_TIMESTAMP, reprocess_requested_at = NULL WHERE job_id = $1',
+      [jobId]
+    );
+  }
+
+  test('without upsert a re-crawl is skipped and nothing changes', async () => {
+    await markProcessed();
+    const result = await ingest({ salary: '2000 USD' });
+
+    assert.strictEqual(result.skipped, 1);
+    const { job, versions } = await stored();
+    assert.strictEqual(job.salary, '1000 USD');
+    assert.strictEqual(job.processed, true);
+    assert.deepStrictEqual(versions, []);
+  });
+
+  test('a changed field is versioned and the job is flagged for reprocessing', async () => {
+    await markProcessed();
+    const result = await ingest({ salary: '2000 USD', applies: 3 }, { upsert: true });
+
+    assert.strictEqual(result.updated, 1);
+    assert.deepStrictEqual(result.jobs, [{ url, job_id: jobId, company_id: companyId, status: 'updated' }]);
+
+    const { job, versions } = await stored();
+    assert.strictEqual(job.salary, '2000 USD');
+    assert.strictEqual(job.processed, false);
+    assert.strictEqual(job.processed_at, null);
+    assert.notStrictEqual(job.reprocess_requested_at, null);
+    assert.deepStrictEqual(versions, [{ changed_fields: ['salary'], old_values: { salary: '1000 USD' } }]);
+  });
+
+  test('the same payload again, or one leaving fields out, is unchanged', async () => {
+    await markProcessed();
+
+    assert.strictEqual((await ingest({ salary: '2000 USD', applies: 3 }, { upsert: true })).unchanged, 1);
+    assert.strictEqual((await ingest({}, { upsert: true })).unchanged, 1);
+
+    const { job, versions } = await stored();
+    assert.strictEqual(job.salary, '2000 USD');
+    assert.strictEqual(job.processed, true);
+    assert.strictEqual(job.reprocess_requested_at, null);
+    assert.strictEqual(versions.length, 1);
+  });
+});
+
+describe('nested companies of skipped jobs', { skip }, () => {
+  const tag = crypto.randomBytes(4).toString('hex');
+  const storedUrl = `https://jobs.example.com/skipped-${tag}`;
+  let companyId;
+
+  before(async () => {
+    const company = await rawPool.query(
+      'INSERT INTO company (company_name) VALUES ($1) RETURNING company_id',
+      [`Stored ${tag}`]
+    );
+    companyId = company.rows[0].company_id;
+    await rawPool.query(
+      `INSERT INTO job_posting (company_id, job_title, platform, url) VALUES ($1, 'Stored job', 'Indeed', $2)`,
+      [companyId, storedUrl]
+    );
+  });
+
+  after(async () => {
+    await rawPool.query(
+      `DELETE FROM job_event WHERE job_id IN (
+         SELECT job_id FROM job_posting jp JOIN company c USING (company_id) WHERE c.company_name LIKE $1)`,
+      [`%${tag}%`]
+    );
+    await rawPool.query('DELETE FROM company WHERE company_name LIKE $1', [`%${tag}%`]);
+  });
+
+  function candidates(...jobs) {
+    return prepareJobs(
+      jobs.map((job, index) => ({ index, job: { job_title: 'Nested', platform: 'Indeed', ...job } })),
+      { embeddedCompany: true }
+    ).candidates;
+  }
+
+  async function companyExists(name) {
+    const result = await rawPool.query('SELECT 1 FROM company WHERE company_name = $1', [name]);
+    return result.rows.length > 0;
+  }
+
+  test('an existing job is skipped without resolving its company', async () => {
+    const client = await rawPool.connect();
+    try {
+      const result = await ingestJobs(client, candidates({ url: storedUrl, company: { company_name: `Recrawled ${tag}` } }));
+
+      assert.strictEqual(result.skipped, 1);
+      assert.deepStrictEqual(result.jobs, []);
+    } finally {
+      client.release();
+    }
+    assert.strictEqual(await companyExists(`Recrawled ${tag}`), false);
+  });
+
+  test('a job stored meanwhile rolls back the company of its chunk row', async () => {
+    const client = await rawPool.connect();
+    let result;
+    try {
+      // As if another request stored storedUrl after the existing jobs were looked up
+      result = await insertJobPostingChunk(client, candidates(
+        { url: `https://jobs.example.com/fresh-${tag}`, company: { company_name: `Fresh ${tag}` } },
+        { url: storedUrl, company: { company_name: `Raced ${tag}` } }
+      ));
+    } finally {
+      client.release();
+    }
+
+    assert.strictEqual(result.created.length, 1);
+    assert.strictEqual(result.skipped, 1);
+    assert.strictEqual(await companyExists(`Fresh ${tag}`), true);
+    assert.strictEqual(await companyExists(`Raced ${tag}`), false);
+  });
+});
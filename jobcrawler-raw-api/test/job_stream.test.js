@@ -0,0 +1,59 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { rawPool, cleanPool } = require('../services/database');
+const { formatEventId, parseEventId, replayEvents } = require('../services/job_stream');
+
+// Replays need the test raw and clean databases with their schemas applied (DB_*, CLEAN_DB_*)
+const skip = process.env.DB_NAME && process.env.CLEAN_DB_NAME ? false : 'DB_NAME or CLEAN_DB_NAME is not set';
+
+test('event ids round-trip both feed positions', () => {
+  const positions = { raw: { txid: 812, id: 5031 }, clean: { txid: 790, id: 27 } };
+
+  assert.strictEqual(formatEventId(positions), '812.5031-790.27');
+  assert.deepStrictEqual(parseEventId('812.5031-790.27'), positions);
+  assert.strictEqual(parseEventId('812.5031'), null);
+  assert.strictEqual(parseEventId(undefined), null);
+});
+
+describe('replayEvents', { skip }, () => {
+  // Transaction IDs below any real one, so only these rows fall between the positions
+  const jobId = crypto.randomUUID();
+  const rows = {};
+
+  async function insert(pool, sql, txid, createdAt) {
+    const result = await pool.query(sql, [txid, jobId, createdAt]);
+    return { txid, id: Number(result.rows[0].id) };
+  }
+
+  before(async () => {
+    const rawSql = `INSERT INTO job_event (txid, job_id, platform, payload, created_at)
+                    VALUES ($1, $2, 'StreamTest', '{}', $3) RETURNING event_id AS id`;
+    const cleanSql = `INSERT INTO JobPostEvent (TxId, JobPostId, Operation, PlatformName, Payload, CreatedAt)
+                      VALUES ($1, $2, 'insert', 'StreamTest', '{}', $3) RETURNING Id AS id`;
+
+    // The later transaction started first: its created_at is earlier than the lower txid's
+    rows.rawFirst = await insert(rawPool, rawSql, 2, '2026-01-01 12:00:05');
+    rows.rawSecond = await insert(rawPool, rawSql, 3, '2026-01-01 12:00:00');
+    rows.clean = await insert(cleanPool, cleanSql, 2, '2026-01-01 12:00:02');
+  });
+
+  after(async () => {
+    await rawPool.query('DELETE FROM job_event WHERE job_id = $1', [jobId]);
+    await cleanPool.query('DELETE FROM JobPostEvent WHERE JobPostId = $1', [jobId]);
+    await rawPool.end();
+    await cleanPool.end();
+  });
+
+  test('keeps each feed in position order and interleaves the feeds by time', async () => {
+    const start = { raw: { txid: 1, id: 0 }, clean: { txid: 1, id: 0 } };
+    const { events, truncated } = await replayEvents(start, { raw: rows.rawSecond, clean: rows.clean });
+
+    assert.deepStrictEqual(truncated, []);
+    assert.deepStrictEqual(
+      events.map(event => [event.source, event.position]),
+      [['clean', rows.clean], ['raw', rows.rawFirst], ['raw', rows.rawSecond]]
+    );
+  });
+});
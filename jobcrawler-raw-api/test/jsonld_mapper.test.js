@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { extractJobPostings, mapJobPosting, inferPlatform } = require('../utils/jsonld_mapper');
+
+const posting = {
+  '@context': 'https://schema.org',
+  '@type': 'JobPosting',
+  title: 'Backend Developer',
+  url: 'https://www.linkedin.com/jobs/view/1234567',
+  datePosted: '2025-12-01',
+  validThrough: '2025-12-31T23:59:59+07:00',
+  employmentType: ['FULL_TIME', 'full-time'],
+  jobLocation: {
+    '@type': 'Place',
+    address: { addressLocality: 'Ho Chi Minh City', addressCountry: { '@type': 'Country', name: 'VN' } }
+  }
+};
+
+test('extractJobPostings finds postings in arrays, @graph and item lists', () => {
+  const other = { ...posting, title: 'Frontend Developer' };
+
+  assert.deepStrictEqual(extractJobPostings(posting), [posting]);
+  assert.deepStrictEqual(extractJobPostings([posting, { '@type': 'Organization' }, other]), [posting, other]);
+  assert.deepStrictEqual(
+    extractJobPostings({ '@context': 'https://schema.org', '@graph': [{ '@type': 'WebPage' }, posting] }),
+    [posting]
+  );
+  assert.deepStrictEqual(
+    extractJobPostings({ '@type': 'ItemList', itemListElement: [{ '@type': 'ListItem', item: posting }, other] }),
+    [posting, other]
+  );
+  assert.deepStrictEqual(extractJobPostings(null), []);
+});
+
+test('mapJobPosting maps the core fields', () => {
+  const job = mapJobPosting(posting);
+
+  assert.strictEqual(job.job_title, 'Backend Developer');
+  assert.strictEqual(job.url, posting.url);
+  assert.strictEqual(job.platform, 'LinkedIn');
+  assert.strictEqual(job.listed_time, '2025-12-01');
+  assert.strictEqual(job.valid_through, '2025-12-31T23:59:59+07:00');
+  assert.strictEqual(job.work_type, 'Fulltime');
+  assert.strictEqual(job.location, 'Ho Chi Minh City, VN');
+  assert.strictEqual(job.company, null);
+});
+
+test('hiringOrganization may be a name or an Organization', () => {
+  assert.deepStrictEqual(mapJobPosting({ ...posting, hiringOrganization: 'Tech Corp' }).company, {
+    company_name: 'Tech Corp'
+  });
+
+  assert.deepStrictEqual(mapJobPosting({
+    ...posting,
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: 'Tech Corp',
+      sameAs: ['https://techcorp.vn', 'https://www.linkedin.com/company/techcorp'],
+      address: { streetAddress: '1 Le Loi', addressLocality: 'Ho Chi Minh City' }
+    }
+  }).company, {
+    company_name: 'Tech Corp',
+    location: '1 Le Loi, Ho Chi Minh City',
+    description: null,
+    url: 'https://techcorp.vn'
+  });
+
+  assert.strictEqual(mapJobPosting({ ...posting, hiringOrganization: { '@type': 'Organization' } }).company, null);
+});
+
+test('baseSalary may be a single QuantitativeValue or a range', () => {
+  const salary = value => {
+    const { salary, currency, pay_period } = mapJobPosting({
+      ...posting,
+      baseSalary: { '@type': 'MonetaryAmount', currency: 'VND', value }
+    });
+    return { salary, currency, pay_period };
+  };
+
+  assert.deepStrictEqual(
+    salary({ '@type': 'QuantitativeValue', value: 25000000, unitText: 'MONTH' }),
+    { salary: '25000000', currency: 'VND', pay_period: 'monthly' }
+  );
+  assert.deepStrictEqual(
+    salary({ '@type': 'QuantitativeValue', minValue: 20000000, maxValue: 30000000, unitText: 'MONTH' }),
+    { salary: '20000000 - 30000000', currency: 'VND', pay_period: 'monthly' }
+  );
+  assert.deepStrictEqual(
+    salary({ '@type': 'QuantitativeValue', minValue: 15, unitText: 'HOUR' }),
+    { salary: 'From 15', currency: 'VND', pay_period: 'hourly' }
+  );
+  assert.deepStrictEqual(salary(1500), { salary: '1500', currency: 'VND', pay_period: null });
+
+  const none = mapJobPosting(posting);
+  assert.deepStrictEqual([none.salary, none.currency, none.pay_period], [null, null, null]);
+});
+
+test('inferPlatform recognizes platform domains and their subdomains', () => {
+  assert.strictEqual(inferPlatform('https://www.linkedin.com/jobs/view/1'), 'LinkedIn');
+  assert.strictEqual(inferPlatform('https://vn.linkedin.com/jobs/view/1'), 'LinkedIn');
+  assert.strictEqual(inferPlatform('https://www.vietnamworks.com/backend-1-jv'), 'VietnamWorks');
+  assert.strictEqual(inferPlatform('https://notlinkedin.com/jobs/1'), null);
+  assert.strictEqual(inferPlatform('not a url'), null);
+  assert.strictEqual(inferPlatform(undefined), null);
+});
+
+test('defaults fill in the URL and platform a document lacks', () => {
+  const job = mapJobPosting({ ...posting, url: undefined }, { url: 'https://jobs.example.com/1', platform: 'Example' });
+
+  assert.strictEqual(job.url, 'https://jobs.example.com/1');
+  assert.strictEqual(job.platform, 'Example');
+  assert.strictEqual(mapJobPosting({ ...posting, url: 'https://jobs.example.com/2' }).platform, null);
+});
@@ -0,0 +1,77 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+const { rawPool } = require('../services/database');
+const { maybeGunzip, ingestNdjsonStream } = require('../services/ndjson_import');
+
+// Uploads need the test raw database with its schema applied (DB_*)
+const skip = process.env.DB_NAME ? false : 'DB_NAME is not set';
+
+describe('NDJSON import', { skip }, () => {
+  const tag = crypto.randomBytes(4).toString('hex');
+  const url = n => `https://jobs.example.com/ndjson-${tag}/${n}`;
+
+  after(async () => {
+    await rawPool.query(
+      `DELETE FROM job_event WHERE job_id IN (SELECT job_id FROM job_posting WHERE url LIKE $1)`,
+      [`%ndjson-${tag}%`]
+    );
+    await rawPool.query('DELETE FROM company WHERE company_name LIKE $1', [`%${tag}%`]);
+    await rawPool.end();
+  });
+
+  function gzipped(lines) {
+    return maybeGunzip(Readable.from([zlib.gzipSync(lines.join('\n') + '\n')]), true);
+  }
+
+  function job(n, fields = {}) {
+    return JSON.stringify({
+      job_title: `Job ${n}`,
+      platform: 'Indeed',
+      url: url(n),
+      company: { company_name: `NDJSON ${tag}` },
+      ...fields
+    });
+  }
+
+  test('gzipped lines are parsed with 1-based line numbers', async () => {
+    const results = await ingestNdjsonStream(gzipped([
+      job(1),
+      '',
+      '{"job_title": ',
+      job(2),
+      job(1),
+      job(3, { job_title: undefined })
+    ]));
+
+    assert.strictEqual(results.total, 5);
+    assert.strictEqual(results.created, 2);
+    assert.strictEqual(results.skipped, 1);
+    assert.strictEqual(results.error_count, 2);
+    assert.deepStrictEqual(results.errors.map(e => e.index), [3, 6]);
+    assert.match(results.errors[0].error, /^Invalid JSON/);
+
+    const stored = await rawPool.query('SELECT url FROM job_posting WHERE url LIKE $1 ORDER BY url', [`%ndjson-${tag}%`]);
+    assert.deepStrictEqual(stored.rows.map(row => row.url), [url(1), url(2)]);
+  });
+
+  test('only the first 100 errors are kept but all are counted', async () => {
+    const lines = Array.from({ length: 150 }, () => 'not json');
+
+    const results = await ingestNdjsonStream(gzipped(lines));
+
+    assert.strictEqual(results.total, 150);
+    assert.strictEqual(results.error_count, 150);
+    assert.strictEqual(results.errors.length, 100);
+    assert.strictEqual(results.errors[99].index, 100);
+  });
+
+  test('data that is not gzip rejects with a zlib error', async () => {
+    const input = maybeGunzip(Readable.from([Buffer.from(job(4))]), true);
+
+    await assert.rejects(ingestNdjsonStream(input), { code: 'Z_DATA_ERROR' });
+  });
+});
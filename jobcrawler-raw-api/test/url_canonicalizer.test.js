@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { canonicalizeJobUrl, canonicalizeJob, jobDedupKey } = require('../utils/url_canonicalizer');
+
+test('LinkedIn slugs, tracking parameters and country hosts map to one URL', () => {
+  const variants = [
+    'https://www.linkedin.com/jobs/view/3791234567',
+    'http://vn.linkedin.com/jobs/view/senior-developer-at-acme-3791234567/?trackingId=abc&refId=1',
+    'https://www.linkedin.com/jobs/search/?currentJobId=3791234567&keywords=java',
+    'https://WWW.LINKEDIN.COM/jobs/view/3791234567/#top'
+  ];
+
+  for (const variant of variants) {
+    assert.deepStrictEqual(canonicalizeJobUrl(variant, 'LinkedIn'), {
+      url: 'https://www.linkedin.com/jobs/view/3791234567',
+      platformJobId: '3791234567'
+    }, variant);
+  }
+});
+
+test('TopCV keeps its slug and drops every parameter', () => {
+  assert.deepStrictEqual(
+    canonicalizeJobUrl('https://topcv.vn/viec-lam/lap-trinh-vien-java/1234567.html?ta_source=JobSearchList', 'Topcv'),
+    { url: 'https://www.topcv.vn/viec-lam/lap-trinh-vien-java/1234567.html', platformJobId: '1234567' }
+  );
+});
+
+test('CareerViet job IDs are uppercased', () => {
+  assert.strictEqual(
+    canonicalizeJobUrl('https://careerviet.vn/vi/tim-viec-lam/lap-trinh-vien.35c1b2a3.html', 'Careerviet').platformJobId,
+    '35C1B2A3'
+  );
+});
+
+test('Indeed keeps the country host and only the jk parameter', () => {
+  assert.deepStrictEqual(
+    canonicalizeJobUrl('https://vn.indeed.com/rc/clk?jk=0123456789abcdef&from=serp&vjs=3', 'Indeed'),
+    { url: 'https://vn.indeed.com/viewjob?jk=0123456789abcdef', platformJobId: '0123456789abcdef' }
+  );
+});
+
+test('other URLs only lose tracking parameters, fragments and trailing slashes', () => {
+  assert.deepStrictEqual(
+    canonicalizeJobUrl('http://jobs.example.com/openings/42/?utm_source=x&b=2&a=1&fbclid=y#apply', 'Example'),
+    { url: 'https://jobs.example.com/openings/42?a=1&b=2', platformJobId: null }
+  );
+
+  // A platform rule only applies on the platform's own domain
+  assert.strictEqual(
+    canonicalizeJobUrl('https://mirror.example.com/jobs/view/3791234567?trackingId=1', 'LinkedIn').url,
+    'https://mirror.example.com/jobs/view/3791234567?trackingId=1'
+  );
+});
+
+test('URLs that do not parse are returned unchanged', () => {
+  assert.deepStrictEqual(canonicalizeJobUrl('not a url', 'LinkedIn'), { url: 'not a url', platformJobId: null });
+  assert.deepStrictEqual(canonicalizeJobUrl('ftp://linkedin.com/jobs/view/1', 'LinkedIn'), {
+    url: 'ftp://linkedin.com/jobs/view/1',
+    platformJobId: null
+  });
+});
+
+test('jobDedupKey prefers the native job ID over the URL', () => {
+  const viewed = canonicalizeJob({ platform: 'LinkedIn', url: 'https://www.linkedin.com/jobs/view/dev-3791234567' });
+  const searched = canonicalizeJob({ platform: 'linkedin', url: 'https://www.linkedin.com/jobs/search?currentJobId=3791234567' });
+
+  assert.strictEqual(viewed.original_url, 'https://www.linkedin.com/jobs/view/dev-3791234567');
+  assert.strictEqual(jobDedupKey(viewed), 'linkedin#3791234567');
+  assert.strictEqual(jobDedupKey(viewed), jobDedupKey(searched));
+
+  const plain = canonicalizeJob({ platform: 'Example', url: 'https://example.com/job/1/' });
+  assert.strictEqual(jobDedupKey(plain), 'https://example.com/job/1');
+});
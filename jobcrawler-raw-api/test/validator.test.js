@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { validate, formatErrors } = require('../utils/validator');
+
+const companySchema = {
+  type: 'object',
+  required: ['company_name'],
+  properties: {
+    company_name: { type: 'string', minLength: 1, maxLength: 10 },
+    url: { type: 'string', format: 'uri' }
+  }
+};
+
+const jobSchema = {
+  type: 'object',
+  required: ['job_title', 'url'],
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    job_title: { type: 'string', minLength: 1, maxLength: 20 },
+    salary: { type: ['string', 'number'] },
+    pay_period: { type: 'string', enum: ['monthly', 'yearly'] },
+    applies: { type: 'integer', minimum: 0 },
+    listed_time: { type: 'string', format: 'date-time' },
+    url: { type: 'string', format: 'uri' },
+    company: companySchema,
+    tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+    benefit: {
+      anyOf: [{ type: 'string' }, { type: 'object', required: ['type'] }],
+      'x-message': 'must be a string or { type }'
+    }
+  }
+};
+
+const job = { job_title: 'Backend Developer', url: 'https://jobs.example.com/1' };
+
+test('a valid payload has no errors', () => {
+  assert.deepStrictEqual(validate(jobSchema, job), []);
+  assert.deepStrictEqual(validate(jobSchema, {
+    ...job,
+    id: '5d0a2bee-7da5-4734-8781-8d8216fb3cb4',
+    salary: 1500,
+    applies: 0,
+    listed_time: '2025-12-08',
+    benefit: { type: 'Laptop' }
+  }), []);
+});
+
+test('required fields may not be missing, null or empty', () => {
+  assert.deepStrictEqual(validate(jobSchema, { job_title: '', url: null }), [
+    { field: 'job_title', message: 'is required' },
+    { field: 'url', message: 'is required' }
+  ]);
+});
+
+test('types, enums, lengths and formats are reported per field', () => {
+  assert.deepStrictEqual(validate(jobSchema, {
+    id: 'not-a-uuid',
+    job_title: 'x'.repeat(21),
+    salary: true,
+    pay_period: 'weekly',
+    applies: -1,
+    listed_time: '08/12/2025',
+    url: 'ftp://jobs.example.com/1'
+  }), [
+    { field: 'id', message: 'must be a UUID' },
+    { field: 'job_title', message: 'must be at most 20 characters' },
+    { field: 'salary', message: 'must be a string or a number' },
+    { field: 'pay_period', message: 'must be one of: monthly, yearly' },
+    { field: 'applies', message: 'must be >= 0' },
+    { field: 'listed_time', message: 'must be an ISO 8601 date or date-time (e.g. 2025-12-08 or 2025-12-08T10:30:00Z)' },
+    { field: 'url', message: 'must be an absolute http(s) URL' }
+  ]);
+
+  assert.deepStrictEqual(validate(jobSchema, { ...job, job_title: '   ', applies: 2.5 }), [
+    { field: 'job_title', message: 'must not be empty' },
+    { field: 'applies', message: 'must be an integer' }
+  ]);
+});
+
+test('nested fields are named with dots and array items with their index', () => {
+  assert.deepStrictEqual(validate(jobSchema, { ...job, company: { company_name: 'Tech Corp Vietnam', url: 'techcorp' } }), [
+    { field: 'company.company_name', message: 'must be at most 10 characters' },
+    { field: 'company.url', message: 'must be an absolute http(s) URL' }
+  ]);
+
+  assert.deepStrictEqual(validate(jobSchema, { ...job, tags: ['java', 42, 'go'] }), [
+    { field: 'tags', message: 'must contain at most 2 items' },
+    { field: 'tags[1]', message: 'must be a string' }
+  ]);
+
+  // A path prefixes every field, as for an embedded company
+  assert.deepStrictEqual(validate(companySchema, {}, 'company'), [
+    { field: 'company.company_name', message: 'is required' }
+  ]);
+});
+
+test('the body itself is named (body)', () => {
+  assert.deepStrictEqual(validate(jobSchema, []), [{ field: '(body)', message: 'must be an object' }]);
+  assert.deepStrictEqual(validate(jobSchema, null), [{ field: '(body)', message: 'must not be null' }]);
+});
+
+test('anyOf reports its own message', () => {
+  assert.deepStrictEqual(validate(jobSchema, { ...job, benefit: { inferred: 'no type' } }), [
+    { field: 'benefit', message: 'must be a string or { type }' }
+  ]);
+});
+
+test('formatErrors joins the fields into one line', () => {
+  assert.strictEqual(
+    formatErrors([
+      { field: 'url', message: 'must be an absolute http(s) URL' },
+      { field: 'applies', message: 'must be >= 0' }
+    ]),
+    'url must be an absolute http(s) URL; applies must be >= 0'
+  );
+});
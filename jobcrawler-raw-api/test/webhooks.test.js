@@ -0,0 +1,140 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+
+const { rawPool } = require('../services/database');
+const {
+  signPayload,
+  publishEvent,
+  deliverDueWebhooks,
+  createSubscription,
+  deleteSubscription,
+} = require('../services/webhooks');
+
+// Delivery needs a test raw database with raw_schema.sql applied (DB_* variables)
+const skip = process.env.DB_NAME ? false : 'DB_NAME is not set';
+
+test('signPayload is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const body = JSON.stringify({ event: 'job.ingested' });
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+  assert.strictEqual(signPayload('whsec_test', 1700000000, body), expected);
+  assert.notStrictEqual(signPayload('whsec_other', 1700000000, body), expected);
+});
+
+describe('webhook delivery', { skip }, () => {
+  let server;
+  let received;
+  let responseStatus;
+  let subscription;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    subscription = await createSubscription({
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      events: ['import.completed'],
+      platforms: ['WebhookTest'],
+      createdBy: 'test'
+    });
+  });
+
+  after(async () => {
+    if (subscription) await deleteSubscription(subscription.subscription_id);
+    await rawPool.end();
+    server.close();
+  });
+
+  beforeEach(async () => {
+    received = [];
+    responseStatus = 200;
+    await rawPool.query('DELETE FROM webhook_delivery WHERE subscription_id = $1', [subscription.subscription_id]);
+  });
+
+  async function delivery() {
+    const result = await rawPool.query(
+      `SELECT *, EXTRACT(EPOCH FROM next_attempt_at - last_attempt_at)::int AS retry_in
+       FROM webhook_delivery WHERE subscription_id = $1`,
+      [subscription.subscription_id]
+    );
+    return result.rows[0];
+  }
+
+  test('signs the body with the subscription secret', async () => {
+    assert.strictEqual(await publishEvent(rawPool, 'import.completed', { import_id: 'a' }, 'WebhookTest'), 1);
+    await deliverDueWebhooks();
+
+    assert.strictEqual(received.length, 1);
+    const { headers, body } = received[0];
+    assert.strictEqual(headers['x-webhook-event'], 'import.completed');
+    assert.strictEqual(
+      headers['x-webhook-signature'],
+      `sha256=${signPayload(subscription.secret, headers['x-webhook-timestamp'], body)}`
+    );
+    assert.deepStrictEqual(JSON.parse(body).data, { import_id: 'a' });
+
+    const row = await delivery();
+    assert.strictEqual(row.status, 'succeeded');
+    assert.strictEqual(row.attempts, 1);
+    assert.strictEqual(row.last_status_code, 200);
+  });
+
+  test('reschedules a failed delivery with exponential backoff', async () => {
+    responseStatus = 500;
+    await publishEvent(rawPool, 'import.completed', { import_id: 'b' }, 'WebhookTest');
+
+    await deliverDueWebhooks();
+    let row = await delivery();
+    assert.strictEqual(row.status, 'pending');
+    assert.strictEqual(row.attempts, 1);
+    assert.strictEqual(row.last_status_code, 500);
+    assert.strictEqual(row.retry_in, 30);
+
+    // Not due yet: nothing is sent
+    await deliverDueWebhooks();
+    assert.strictEqual(received.length, 1);
+
+    await rawPool.query('UPDATE webhook_delivery SET next_attempt_at = CURRENT_TIMESTAMP WHERE delivery_id = $1', [row.delivery_id]);
+    await deliverDueWebhooks();
+    row = await delivery();
+    assert.strictEqual(row.attempts, 2);
+    assert.strictEqual(row.retry_in, 60);
+    assert.strictEqual(received.length, 2);
+  });
+
+  test('a failed publish leaves the caller\'s transaction usable', async () => {
+    const client = await rawPool.connect();
+
+    try {
+      await client.query('BEGIN');
+      // jsonb refuses \u0000, so the enqueue fails
+      const queued = await publishEvent(client, 'import.completed', { note: '\u0000' }, 'WebhookTest', { inTransaction: true });
+      assert.strictEqual(queued, 0);
+
+      assert.strictEqual(await publishEvent(client, 'import.completed', { import_id: 'd' }, 'WebhookTest', { inTransaction: true }), 1);
+      await client.query('COMMIT');
+    } finally {
+      client.release();
+    }
+
+    assert.strictEqual((await delivery()).payload.import_id, 'd');
+  });
+
+  test('concurrent workers send a delivery once', async () => {
+    await publishEvent(rawPool, 'import.completed', { import_id: 'c' }, 'WebhookTest');
+
+    await Promise.all([deliverDueWebhooks(), deliverDueWebhooks(), deliverDueWebhooks()]);
+
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual((await delivery()).attempts, 1);
+  });
+});
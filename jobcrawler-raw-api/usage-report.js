@@ -0,0 +1,92 @@
+const { rawPool, cleanPool } = require('./services/database');
+const { parseUsageRange, getUsageReport } = require('./services/usage');
+
+function parseArgs(args) {
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  return {
+    from: valueOf('--from'),
+    to: valueOf('--to'),
+    keyName: valueOf('--key'),
+    daily: args.includes('--daily')
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function formatRate(rate) {
+  return rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function printRows(rows, label) {
+  console.log(
+    label.padEnd(24),
+    'requests'.padStart(9),
+    'failed'.padStart(7),
+    'created'.padStart(8),
+    'skipped'.padStart(8),
+    'dup %'.padStart(7),
+    'errors'.padStart(7),
+    'uploaded'.padStart(10)
+  );
+
+  for (const row of rows) {
+    console.log(
+      String(row.label).padEnd(24),
+      String(row.requests).padStart(9),
+      String(row.failed_requests).padStart(7),
+      String(row.created).padStart(8),
+      String(row.skipped).padStart(8),
+      formatRate(row.duplicate_rate).padStart(7),
+      String(row.errors).padStart(7),
+      formatBytes(row.bytes_uploaded).padStart(10)
+    );
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { from, to, fields } = parseUsageRange(options);
+
+  if (fields.length > 0) {
+    fields.forEach(({ field, message }) => console.error(`❌ --${field} ${message}`));
+    console.log('\nUsage: node usage-report.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--key <name>] [--daily]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const report = await getUsageReport({ from, to, keyName: options.keyName });
+
+    console.log('='.repeat(90));
+    console.log(`📊 API key usage ${report.from} .. ${report.to} (UTC)`);
+    console.log('='.repeat(90));
+
+    printRows(report.keys.map(row => ({ ...row, label: row.key_name })), 'Key');
+
+    const silent = report.keys.filter(row => row.requests === 0);
+    if (silent.length > 0) {
+      console.log(`\n⚠️  No requests in this range: ${silent.map(row => row.key_name).join(', ')}`);
+    }
+
+    if (options.daily) {
+      console.log('');
+      printRows(report.days.map(row => ({ ...row, label: `${row.day} ${row.key_name}` })), 'Day / key');
+    }
+  } catch (error) {
+    console.error('❌ Error building usage report:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await rawPool.end();
+    await cleanPool.end();
+  }
+}
+
+main();
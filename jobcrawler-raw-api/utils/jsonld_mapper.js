@@ -0,0 +1,212 @@
+// Maps schema.org JobPosting JSON-LD (https://schema.org/JobPosting) onto raw job_posting fields
+
+// Platform names as spelled in the clean Platform table (schema.sql)
+const PLATFORM_DOMAINS = {
+  'topcv.vn': 'Topcv',
+  'vietnamworks.com': 'VietnamWorks',
+  'careerviet.vn': 'Careerviet',
+  'itviec.com': 'ItViec',
+  'linkedin.com': 'LinkedIn',
+  'indeed.com': 'Indeed'
+};
+
+const PAY_PERIODS = {
+  HOUR: 'hourly',
+  DAY: 'daily',
+  WEEK: 'weekly',
+  MONTH: 'monthly',
+  YEAR: 'yearly'
+};
+
+const WORK_TYPES = {
+  FULL_TIME: 'Fulltime',
+  PART_TIME: 'Parttime',
+  CONTRACTOR: 'Contract',
+  TEMPORARY: 'Season',
+  INTERN: 'Internship',
+  VOLUNTEER: 'Volunteer',
+  PER_DIEM: 'Per diem',
+  OTHER: 'Other'
+};
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function hasType(node, type) {
+  return toArray(node?.['@type']).includes(type);
+}
+
+/**
+ * Collect JobPosting nodes from one or many JSON-LD documents
+ * Handles arrays, @graph containers and ItemList wrappers.
+ */
+function extractJobPostings(input) {
+  const postings = [];
+
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+
+    if (hasType(node, 'JobPosting')) {
+      postings.push(node);
+      return;
+    }
+
+    if (node['@graph']) visit(node['@graph']);
+    if (node.itemListElement) visit(toArray(node.itemListElement).map(item => item.item || item));
+  };
+
+  visit(input);
+  return postings;
+}
+
+function inferPlatform(url) {
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    for (const [domain, platform] of Object.entries(PLATFORM_DOMAINS)) {
+      if (hostname === domain || hostname.endsWith(`.${domain}`)) {
+        return platform;
+      }
+    }
+  } catch {
+    // Not a URL
+  }
+  return null;
+}
+
+function formatAddress(place) {
+  const address = place?.address || place;
+  if (!address) return null;
+  if (typeof address === 'string') return address;
+
+  const country = typeof address.addressCountry === 'object'
+    ? address.addressCountry?.name
+    : address.addressCountry;
+
+  const parts = [address.streetAddress, address.addressLocality, address.addressRegion, country]
+    .filter(Boolean)
+    .map(part => String(part).trim());
+
+  return [...new Set(parts)].join(', ') || null;
+}
+
+function mapLocation(posting) {
+  const locations = toArray(posting.jobLocation).map(formatAddress).filter(Boolean);
+
+  if (locations.length > 0) {
+    return locations.join('; ').substring(0, 500);
+  }
+
+  return toArray(posting.jobLocationType).includes('TELECOMMUTE') ? 'Remote' : null;
+}
+
+/**
+ * MonetaryAmount -> { salary, currency, pay_period }
+ * salary keeps the raw "min - max" text so the processor's salary parser handles it
+ */
+function mapSalary(baseSalary) {
+  const amount = toArray(baseSalary)[0];
+  if (!amount) return { salary: null, currency: null, pay_period: null };
+
+  if (typeof amount !== 'object') {
+    return { salary: String(amount), currency: null, pay_period: null };
+  }
+
+  const value = amount.value;
+  let salary = null;
+  let unitText = amount.unitText;
+
+  if (value && typeof value === 'object') {
+    unitText = value.unitText || unitText;
+
+    if (value.minValue !== undefined && value.maxValue !== undefined) {
+      salary = `${value.minValue} - ${value.maxValue}`;
+    } else if (value.value !== undefined) {
+      salary = String(value.value);
+    } else if (value.minValue !== undefined) {
+      salary = `From ${value.minValue}`;
+    } else if (value.maxValue !== undefined) {
+      salary = `Up to ${value.maxValue}`;
+    }
+  } else if (value !== undefined && value !== null) {
+    salary = String(value);
+  }
+
+  return {
+    salary: salary ? salary.substring(0, 255) : null,
+    currency: amount.currency || value?.currency || null,
+    pay_period: unitText ? PAY_PERIODS[String(unitText).toUpperCase()] || null : null
+  };
+}
+
+function mapWorkType(employmentType) {
+  const types = toArray(employmentType)
+    .map(type => WORK_TYPES[String(type).toUpperCase().replace(/[\s-]/g, '_')] || String(type));
+
+  return types.length > 0 ? [...new Set(types)].join(', ').substring(0, 50) : null;
+}
+
+function mapExperience(requirements) {
+  const requirement = toArray(requirements)[0];
+  if (!requirement) return null;
+  if (typeof requirement !== 'object') return String(requirement).substring(0, 255);
+
+  const months = Number(requirement.monthsOfExperience);
+  if (Number.isFinite(months)) {
+    return months % 12 === 0 ? `${months / 12} years` : `${months} months`;
+  }
+
+  return requirement.description ? String(requirement.description).substring(0, 255) : null;
+}
+
+function mapCompany(organization) {
+  const org = toArray(organization)[0];
+  if (!org) return null;
+  if (typeof org === 'string') return { company_name: org };
+  if (!org.name) return null;
+
+  return {
+    company_name: org.name,
+    location: formatAddress(org.address),
+    description: org.description || null,
+    url: toArray(org.sameAs)[0] || org.url || null
+  };
+}
+
+/**
+ * Map one JobPosting node to a job payload for the ingestion pipeline
+ * `defaults.url` and `defaults.platform` fill in what the document lacks
+ * (e.g. the page URL the JSON-LD was scraped from).
+ */
+function mapJobPosting(posting, defaults = {}) {
+  const url = posting.url || defaults.url || null;
+  const { salary, currency, pay_period } = mapSalary(posting.baseSalary || posting.estimatedSalary);
+
+  return {
+    job_title: posting.title || posting.name || null,
+    description: posting.description || null,
+    salary,
+    currency,
+    pay_period,
+    work_type: mapWorkType(posting.employmentType),
+    experience_level: mapExperience(posting.experienceRequirements),
+    location: mapLocation(posting),
+    listed_time: posting.datePosted || null,
+    valid_through: posting.validThrough || null,
+    platform: defaults.platform || inferPlatform(url),
+    url,
+    company: mapCompany(posting.hiringOrganization)
+  };
+}
+
+module.exports = {
+  extractJobPostings,
+  mapJobPosting,
+  inferPlatform,
+};
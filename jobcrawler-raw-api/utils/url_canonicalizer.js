@@ -0,0 +1,150 @@
+// Canonical job URLs for duplicate detection at ingestion
+// The same posting reaches us under many URLs: tracking parameters, trailing slashes,
+// country subdomains, slugs that change with the title. Every platform rule below
+// maps its URLs onto one canonical form and, where the URL carries one, the
+// platform's native job ID.
+
+// Dropped on every platform
+const TRACKING_PARAMS = [/^utm_/i, /^fbclid$/i, /^gclid$/i, /^msclkid$/i, /^_ga$/i];
+
+// Keyed by the lowercased platform name (clean Platform table).
+// host: canonical hostname for URLs on `domain` or any of its subdomains
+// jobId(url): native job ID from a parsed URL, or null
+// canonicalPath(id): path rebuilt from the native ID, when the slug is not needed
+// keepParams: query parameters that identify the page, the rest are dropped
+const PLATFORM_RULES = {
+  linkedin: {
+    domain: 'linkedin.com',
+    host: 'www.linkedin.com',
+    jobId: url => matchPath(url, /^\/jobs\/view\/(?:[^/]*-)?(\d+)$/) || matchParam(url, 'currentJobId', /^\d+$/),
+    // /jobs/view/senior-developer-at-acme-3791234567/?trackingId=... -> /jobs/view/3791234567
+    canonicalPath: id => `/jobs/view/${id}`,
+    keepParams: []
+  },
+  topcv: {
+    domain: 'topcv.vn',
+    host: 'www.topcv.vn',
+    // /viec-lam/lap-trinh-vien-java/1234567.html?ta_source=...
+    jobId: url => matchPath(url, /\/(\d+)\.html$/),
+    keepParams: []
+  },
+  careerviet: {
+    domain: 'careerviet.vn',
+    host: 'careerviet.vn',
+    // /vi/tim-viec-lam/lap-trinh-vien.35C1B2A3.html
+    jobId: url => matchPath(url, /\.([0-9a-f]{8})\.html$/i)?.toUpperCase() || null,
+    keepParams: []
+  },
+  itviec: {
+    domain: 'itviec.com',
+    host: 'itviec.com',
+    // /it-jobs/backend-developer-java-acme-1234
+    jobId: url => matchPath(url, /^\/it-jobs\/[^/]*-(\d+)$/),
+    keepParams: []
+  },
+  vietnamworks: {
+    domain: 'vietnamworks.com',
+    host: 'www.vietnamworks.com',
+    // /lap-trinh-vien-1788337-jv
+    jobId: url => matchPath(url, /-(\d+)-jv$/),
+    keepParams: []
+  },
+  indeed: {
+    domain: 'indeed.com',
+    // Country hosts (vn.indeed.com) are kept, the job key is global
+    jobId: url => matchParam(url, 'jk', /^[0-9a-f]{16}$/i),
+    canonicalPath: () => '/viewjob',
+    keepParams: ['jk']
+  }
+};
+
+function matchPath(url, pattern) {
+  const match = url.pathname.match(pattern);
+  return match ? match[1] : null;
+}
+
+function matchParam(url, name, pattern) {
+  const value = url.searchParams.get(name);
+  return value && pattern.test(value) ? value : null;
+}
+
+function isOnDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Canonical form of a job URL for a platform
+ * Always: https, lowercase host, no fragment, no tracking parameters, no trailing
+ * slash, remaining parameters sorted. Platform rules then fix the host, drop
+ * non-identifying parameters and extract the native job ID.
+ * URLs that do not parse are returned unchanged.
+ * Returns { url, platformJobId }
+ */
+function canonicalizeJobUrl(rawUrl, platform) {
+  let url;
+  try {
+    url = new URL(String(rawUrl).trim());
+  } catch {
+    return { url: rawUrl, platformJobId: null };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { url: rawUrl, platformJobId: null };
+  }
+
+  if (url.pathname.length > 1) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  const rule = PLATFORM_RULES[String(platform || '').toLowerCase()];
+  const onPlatform = rule && isOnDomain(url.hostname, rule.domain);
+  const platformJobId = onPlatform ? rule.jobId(url) : null;
+
+  url.protocol = 'https:';
+  url.hash = '';
+  url.port = '';
+
+  if (onPlatform && rule.host) {
+    url.hostname = rule.host;
+  }
+
+  if (platformJobId && rule.canonicalPath) {
+    url.pathname = rule.canonicalPath(platformJobId);
+  }
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => onPlatform && rule.keepParams
+      ? rule.keepParams.includes(name)
+      : !TRACKING_PARAMS.some(pattern => pattern.test(name)))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  url.search = new URLSearchParams(params).toString();
+
+  return { url: url.toString(), platformJobId };
+}
+
+/**
+ * Canonicalize a validated job payload
+ * Returns the job with the canonical `url`, `original_url` as sent and `platform_job_id`
+ */
+function canonicalizeJob(job) {
+  const { url, platformJobId } = canonicalizeJobUrl(job.url, job.platform);
+  return { ...job, url, original_url: job.url, platform_job_id: platformJobId };
+}
+
+/**
+ * Key two payloads of the same posting share: the native job ID when the URL has one,
+ * else the canonical URL
+ */
+function jobDedupKey(job) {
+  return job.platform_job_id
+    ? `${String(job.platform).toLowerCase()}#${job.platform_job_id}`
+    : job.url;
+}
+
+module.exports = {
+  PLATFORM_RULES,
+  canonicalizeJobUrl,
+  canonicalizeJob,
+  jobDedupKey,
+};
@@ -0,0 +1,135 @@
+// Declarative request validation
+// Schemas use a subset of JSON Schema (type, properties, required, items, enum, format,
+// minimum, maxLength, minLength, minItems, maxItems, anyOf, nullable) so they can be
+// published unchanged in the OpenAPI document.
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const FORMATS = {
+  uri: {
+    test: value => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch {
+        return false;
+      }
+    },
+    message: 'must be an absolute http(s) URL'
+  },
+  'date-time': {
+    test: value => ISO_DATE_TIME.test(value) && !isNaN(Date.parse(value.replace(' ', 'T'))),
+    message: 'must be an ISO 8601 date or date-time (e.g. 2025-12-08 or 2025-12-08T10:30:00Z)'
+  },
+  uuid: {
+    test: value => UUID.test(value),
+    message: 'must be a UUID'
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * `path` prefixes field names in messages (e.g. "company").
+ * Returns [{ field, message }], empty when the value is valid
+ */
+function validate(schema, value, path = '') {
+  const field = path || '(body)';
+
+  if (value === undefined || value === null) {
+    return value === null && !schema.nullable ? [{ field, message: 'must not be null' }] : [];
+  }
+
+  if (schema.anyOf) {
+    const valid = schema.anyOf.some(option => validate(option, value, path).length === 0);
+    return valid ? [] : [{ field, message: schema['x-message'] || 'has an invalid format' }];
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [{ field, message: `must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}` }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      errors.push({ field, message: FORMATS[schema.format].message });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push({ field, message: 'must be a finite number' });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, join(path, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push({ field: join(path, key), message: 'is required' });
+      }
+    }
+    // Missing, null and empty properties count as absent (required ones are reported above)
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') continue;
+      errors.push(...validate(propertySchema, value[key], join(path, key)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * One-line summary for error strings (bulk rows, CSV error report)
+ * e.g. "url must be an absolute http(s) URL; applies must be >= 0"
+ */
+function formatErrors(errors) {
+  return errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+}
+
+module.exports = {
+  validate,
+  formatErrors,
+};
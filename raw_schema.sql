@@ -14,12 +14,28 @@ CREATE TABLE company (
     location VARCHAR(500),
     description TEXT,
     url TEXT,
+    domain VARCHAR(255),  -- Host of url without www., null for job boards and social sites
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Index for faster lookups
 CREATE INDEX idx_company_name ON company(company_name);
 CREATE INDEX idx_company_url ON company(url);
+CREATE INDEX idx_company_domain ON company(domain);
+
+-- Names a company was seen under, normalized by services/companies.js (case, diacritics
+-- and legal forms like TNHH / JSC / Co., Ltd removed). Ingestion resolves companies here.
+CREATE TABLE company_alias (
+    normalized_name VARCHAR(500) NOT NULL,
+    company_id UUID NOT NULL,
+    alias VARCHAR(500) NOT NULL,  -- Name as first seen
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (normalized_name, company_id),
+    FOREIGN KEY (company_id) REFERENCES company(company_id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_company_alias_company ON company_alias(company_id);
 
 -- ===================================
 -- 2. JOB_POSTING TABLE (Raw)
@@ -37,11 +53,24 @@ CREATE TABLE job_posting (
     applies INTEGER,
     listed_time TIMESTAMP,
     currency VARCHAR(20),
+    valid_through TIMESTAMP,  -- Application deadline, when the source publishes one
     platform VARCHAR(100) NOT NULL,
-    url TEXT NOT NULL UNIQUE,  -- Prevent duplicate URLs
+    url TEXT NOT NULL UNIQUE,  -- Canonical URL (utils/url_canonicalizer.js), prevents duplicates
+    original_url TEXT,  -- URL as sent by the crawler
+    platform_job_id VARCHAR(100),  -- Platform's native job ID, when the URL carries one
     crawled_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
     processed BOOLEAN DEFAULT FALSE,  -- Track if processed to clean DB
     processed_at TIMESTAMP,  -- When it was processed
+    reprocess_requested_at TIMESTAMP,  -- Reset for reprocessing: update the existing JobPost
+    crawl_run_id UUID,  -- Crawl run that inserted the row (see crawl_run)
+    api_key_id UUID,  -- ApiKeys.Id (clean database) of the key that inserted the row
+    status VARCHAR(10) DEFAULT 'open' NOT NULL,  -- open, closed (no longer seen on its platform)
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL,  -- Inserted, sent again or reported live
+    closed_at TIMESTAMP,
+    lifecycle_changed_at TIMESTAMP,  -- Seen or closed since the processor last copied these to JobPost
+    snapshot_hash CHAR(64),  -- Latest page snapshot (see page_snapshot)
+    snapshot_captured_at TIMESTAMP,
     
     FOREIGN KEY (company_id) REFERENCES company(company_id) ON DELETE CASCADE
 );
@@ -53,6 +82,12 @@ CREATE INDEX idx_job_crawled_time ON job_posting(crawled_time);
 CREATE INDEX idx_job_listed_time ON job_posting(listed_time);
 CREATE INDEX idx_job_url ON job_posting(url);
 CREATE INDEX idx_job_processed ON job_posting(processed);  -- For ETL queries
+CREATE INDEX idx_job_crawl_run ON job_posting(crawl_run_id);
+CREATE INDEX idx_job_api_key ON job_posting(api_key_id);
+CREATE INDEX idx_job_open_last_seen ON job_posting(LOWER(platform), last_seen_at) WHERE status = 'open';
+CREATE INDEX idx_job_lifecycle_changed ON job_posting(lifecycle_changed_at) WHERE lifecycle_changed_at IS NOT NULL;
+CREATE UNIQUE INDEX uq_job_platform_job_id ON job_posting(LOWER(platform), platform_job_id)
+    WHERE platform_job_id IS NOT NULL;  -- One row per native job ID, whatever its URL
 
 -- ===================================
 -- 3. BENEFIT TABLE (Raw)
@@ -70,6 +105,364 @@ CREATE TABLE benefit (
 -- Index for faster lookups
 CREATE INDEX idx_benefit_job ON benefit(job_id);
 
+-- ===================================
+-- 4. JOB_POSTING_VERSION TABLE (Raw)
+-- ===================================
+-- Previous values of job_posting fields that changed on re-crawl (upsert mode)
+CREATE TABLE job_posting_version (
+    version_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id UUID NOT NULL,
+    changed_fields TEXT[] NOT NULL,  -- e.g. {salary, applies}
+    old_values JSONB NOT NULL,  -- Values before the update, keyed by field name
+    crawled_time TIMESTAMP,  -- crawled_time of the replaced version
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (job_id) REFERENCES job_posting(job_id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_job_version_job ON job_posting_version(job_id, created_at);
+
+-- ===================================
+-- 5. IMPORT_JOB TABLE (Raw)
+-- ===================================
+-- Background CSV imports started by POST /api/jobposts/upload-csv
+CREATE TABLE import_job (
+    import_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_name VARCHAR(500),
+    file_path TEXT NOT NULL,  -- Uploaded file, kept until the import completes
+    file_size BIGINT,
+    upsert BOOLEAN DEFAULT FALSE,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL,  -- pending, running, completed, failed
+    rows_read INTEGER DEFAULT 0 NOT NULL,
+    created INTEGER DEFAULT 0 NOT NULL,
+    skipped INTEGER DEFAULT 0 NOT NULL,
+    updated INTEGER DEFAULT 0 NOT NULL,
+    unchanged INTEGER DEFAULT 0 NOT NULL,
+    failed INTEGER DEFAULT 0 NOT NULL,
+    benefits_created INTEGER DEFAULT 0 NOT NULL,
+    last_committed_row INTEGER DEFAULT 0 NOT NULL,  -- Resume point after a crash
+    error TEXT,
+    created_by VARCHAR(100),  -- API key name
+    api_key_id UUID,  -- ApiKeys.Id of the uploading key, stored on the imported jobs
+    allowed_platforms TEXT[],  -- Platform allowlist of the uploading key (NULL = any)
+    crawl_run_id UUID,  -- Crawl run the imported jobs belong to
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_import_job_status ON import_job(status);
+
+-- Per-row errors of an import (downloadable report)
+CREATE TABLE import_error (
+    import_error_id BIGSERIAL PRIMARY KEY,
+    import_id UUID NOT NULL,
+    row_number INTEGER NOT NULL,  -- Data row in the file, header excluded
+    job_title VARCHAR(1000),
+    url TEXT,
+    error TEXT NOT NULL,
+    
+    FOREIGN KEY (import_id) REFERENCES import_job(import_id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_import_error_import ON import_error(import_id, row_number);
+
+-- ===================================
+-- CRAWL RUNS
+-- ===================================
+
+-- One crawler session, opened by POST /api/crawl-runs and closed by PATCH
+-- Created jobs are counted from job_posting.crawl_run_id; the other outcomes are
+-- tallied by the API as batches arrive
+CREATE TABLE crawl_run (
+    crawl_run_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    platform VARCHAR(100) NOT NULL,
+    crawler_version VARCHAR(100),
+    parameters JSONB,  -- Crawler settings, e.g. { "category": "it", "max_pages": 50 }
+    status VARCHAR(20) DEFAULT 'running' NOT NULL,  -- running, completed, failed, aborted
+    counters JSONB,  -- Crawler-reported totals on close, e.g. { "pages": 48, "found": 960 }
+    error TEXT,
+    skipped INTEGER DEFAULT 0 NOT NULL,
+    updated INTEGER DEFAULT 0 NOT NULL,
+    unchanged INTEGER DEFAULT 0 NOT NULL,
+    errors INTEGER DEFAULT 0 NOT NULL,
+    created_by VARCHAR(100),  -- API key name
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX idx_crawl_run_platform ON crawl_run(platform, started_at DESC);
+CREATE INDEX idx_crawl_run_started ON crawl_run(started_at DESC);
+
+-- job_posting is created before crawl_run
+ALTER TABLE job_posting ADD CONSTRAINT fk_job_crawl_run
+    FOREIGN KEY (crawl_run_id) REFERENCES crawl_run(crawl_run_id) ON DELETE SET NULL;
+
+-- ===================================
+-- PAGE SNAPSHOTS
+-- ===================================
+
+-- Raw HTML / JSON of job pages, uploaded by crawlers via PUT /api/jobposts/:job_id/snapshot
+-- Files are gzipped under SNAPSHOT_DIR and named by the SHA-256 of the uncompressed
+-- content, so a page uploaded twice (or shared by several jobs) is stored once
+CREATE TABLE page_snapshot (
+    content_hash CHAR(64) PRIMARY KEY,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,  -- Uncompressed
+    stored_bytes INTEGER NOT NULL,  -- Gzipped file on disk
+    storage_path TEXT NOT NULL,  -- Relative to SNAPSHOT_DIR
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP  -- Last upload of this content; drives retention
+);
+
+CREATE INDEX idx_page_snapshot_last_used ON page_snapshot(last_used_at);
+CREATE INDEX idx_job_snapshot ON job_posting(snapshot_hash);
+
+-- Pruned snapshots are unlinked from their jobs
+ALTER TABLE job_posting ADD CONSTRAINT fk_job_snapshot
+    FOREIGN KEY (snapshot_hash) REFERENCES page_snapshot(content_hash) ON DELETE SET NULL;
+
+-- ===================================
+-- PROCESSOR CYCLES
+-- ===================================
+
+-- One row per data processor run (processAllPlatforms), written by the processor;
+-- GET /api/health/pipeline reports the last successful one. Kept for 30 days.
+CREATE TABLE processor_cycle (
+    cycle_id BIGSERIAL PRIMARY KEY,
+    status VARCHAR(20) NOT NULL,  -- completed, failed (a platform could not be processed)
+    processed INTEGER DEFAULT 0 NOT NULL,
+    succeeded INTEGER DEFAULT 0 NOT NULL,
+    failed INTEGER DEFAULT 0 NOT NULL,
+    error TEXT,  -- Platform errors, one per line
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_processor_cycle_finished ON processor_cycle(status, finished_at DESC);
+
+-- ===================================
+-- WEBHOOKS
+-- ===================================
+
+-- Outbound webhook subscriptions (managed via /api/admin/webhooks)
+CREATE TABLE webhook_subscription (
+    subscription_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    url TEXT NOT NULL,
+    secret VARCHAR(255) NOT NULL,  -- HMAC key for X-Webhook-Signature
+    events TEXT[] NOT NULL,  -- job.ingested, import.completed, job.processed
+    platforms TEXT[],  -- Only events for these platforms (NULL = any)
+    description TEXT,
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    created_by VARCHAR(100),  -- API key name
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per event and subscription; doubles as the delivery log
+CREATE TABLE webhook_delivery (
+    delivery_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subscription_id UUID NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    platform VARCHAR(100),
+    payload JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL,  -- pending, succeeded, failed
+    attempts INTEGER DEFAULT 0 NOT NULL,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP,
+
+    FOREIGN KEY (subscription_id) REFERENCES webhook_subscription(subscription_id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_webhook_delivery_due ON webhook_delivery(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX idx_webhook_delivery_subscription ON webhook_delivery(subscription_id, created_at DESC);
+
+-- Queue an event for every active subscription that wants it (used by the raw API
+-- and the data processor). Events without a platform go to all subscribers of the event.
+-- Returns the number of deliveries queued
+CREATE OR REPLACE FUNCTION enqueue_webhook_event(p_event TEXT, p_platform TEXT, p_payload JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+    queued INTEGER;
+BEGIN
+    INSERT INTO webhook_delivery (subscription_id, event, platform, payload)
+    SELECT subscription_id, p_event, p_platform, p_payload
+    FROM webhook_subscription
+    WHERE is_active
+      AND p_event = ANY(events)
+      AND (platforms IS NULL OR p_platform IS NULL
+           OR EXISTS (SELECT 1 FROM unnest(platforms) AS p WHERE LOWER(p) = LOWER(p_platform)));
+
+    GET DIAGNOSTICS queued = ROW_COUNT;
+    RETURN queued;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ===================================
+-- JOB EVENTS (live stream)
+-- ===================================
+
+-- Feed of inserted job postings for GET /api/stream/jobs (pruned after STREAM_RETENTION_HOURS)
+-- Read in (txid, event_id) order: event_id alone is not commit order, a long
+-- bulk insert can commit lower ids after higher ones were already streamed
+CREATE TABLE job_event (
+    event_id BIGSERIAL PRIMARY KEY,
+    txid BIGINT DEFAULT txid_current() NOT NULL,
+    job_id UUID NOT NULL,
+    platform VARCHAR(100),
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_job_event_position ON job_event(txid, event_id);
+CREATE INDEX idx_job_event_created ON job_event(created_at);
+
+-- Record the insert and wake up listeners; an empty payload lets Postgres
+-- collapse the notifications of one transaction (e.g. a bulk insert) into one
+CREATE OR REPLACE FUNCTION record_job_event()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO job_event (job_id, platform, payload)
+    VALUES (NEW.job_id, NEW.platform, jsonb_build_object(
+        'job_id', NEW.job_id,
+        'company_id', NEW.company_id,
+        'job_title', NEW.job_title,
+        'platform', NEW.platform,
+        'url', NEW.url,
+        'location', NEW.location,
+        'salary', NEW.salary,
+        'crawl_run_id', NEW.crawl_run_id,
+        'crawled_time', NEW.crawled_time
+    ));
+
+    PERFORM pg_notify('job_events', '');
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_job_posting_event
+    AFTER INSERT ON job_posting
+    FOR EACH ROW
+    EXECUTE FUNCTION record_job_event();
+
+-- ===================================
+-- IDEMPOTENCY KEYS
+-- ===================================
+
+-- First response to a POST sent with an Idempotency-Key header, replayed to retries
+-- with the same key until expires_at (IDEMPOTENCY_WINDOW_HOURS)
+CREATE TABLE idempotency_key (
+    api_key_id UUID NOT NULL,  -- ApiKeys.Id in the clean database
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_fingerprint CHAR(64) NOT NULL,  -- SHA-256 of method, URL and body
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',  -- processing, completed
+    response_status INTEGER,
+    response_body JSON,  -- JSON, not JSONB: replayed with its original key order
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (api_key_id, idempotency_key)
+);
+
+CREATE INDEX idx_idempotency_key_expires ON idempotency_key(expires_at);
+
+-- ===================================
+-- REQUEST AUDIT LOG
+-- ===================================
+
+-- One row per authenticated API call, for GET /api/admin/audit (pruned after AUDIT_RETENTION_DAYS)
+CREATE TABLE api_audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    api_key_id UUID NOT NULL,  -- ApiKeys.Id in the clean database
+    key_name VARCHAR(100),
+    method VARCHAR(10) NOT NULL,
+    route VARCHAR(255),  -- Route pattern, e.g. /api/imports/:id
+    path TEXT NOT NULL,  -- Requested URL with query string
+    status_code INTEGER,  -- 499: client closed the connection first
+    client_ip VARCHAR(64),
+    payload_bytes BIGINT,  -- Request body size as sent (Content-Length or uploaded file)
+    created_count INTEGER,  -- Result counts, when the response reports them
+    skipped_count INTEGER,
+    updated_count INTEGER,
+    error_count INTEGER,
+    duration_ms INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_audit_created ON api_audit_log(created_at);
+CREATE INDEX idx_audit_key_created ON api_audit_log(api_key_id, created_at);
+
+-- ===================================
+-- API KEY USAGE
+-- ===================================
+
+-- Daily usage buckets per key (UTC days) for GET /api/admin/usage and usage-report.js.
+-- Requests and bytes are counted per call; created / skipped / errors are jobs, from the
+-- ingestion responses and, for CSV uploads, from every committed import batch.
+CREATE TABLE api_key_usage_daily (
+    api_key_id UUID NOT NULL,  -- ApiKeys.Id in the clean database
+    day DATE NOT NULL,
+    key_name VARCHAR(100),
+    requests INTEGER DEFAULT 0 NOT NULL,
+    failed_requests INTEGER DEFAULT 0 NOT NULL,  -- 4xx / 5xx responses
+    created INTEGER DEFAULT 0 NOT NULL,
+    skipped INTEGER DEFAULT 0 NOT NULL,  -- Duplicates
+    errors INTEGER DEFAULT 0 NOT NULL,  -- Rejected jobs / rows
+    bytes_uploaded BIGINT DEFAULT 0 NOT NULL,
+    PRIMARY KEY (api_key_id, day)
+);
+
+CREATE INDEX idx_usage_day ON api_key_usage_daily(day);
+
+-- ===================================
+-- SEEN REPORTS
+-- ===================================
+
+-- Last POST /api/jobposts/seen per platform. The data processor only closes unseen jobs
+-- of platforms whose crawlers report, and never for longer than they have been reporting.
+CREATE TABLE platform_seen_report (
+    platform VARCHAR(100) PRIMARY KEY,  -- Lowercased job_posting.platform
+    last_reported_at TIMESTAMP NOT NULL
+);
+
+-- ===================================
+-- UPGRADING AN EXISTING DATABASE
+-- ===================================
+-- New tables above can be created as-is; new columns on existing tables need:
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS valid_through TIMESTAMP;
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS crawl_run_id UUID;
+-- CREATE INDEX IF NOT EXISTS idx_job_crawl_run ON job_posting(crawl_run_id);
+-- ALTER TABLE import_job ADD COLUMN IF NOT EXISTS crawl_run_id UUID;
+-- (then create crawl_run and run its ALTER TABLE job_posting ADD CONSTRAINT fk_job_crawl_run)
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS snapshot_hash CHAR(64);
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS snapshot_captured_at TIMESTAMP;
+-- (then create page_snapshot with its index and fk_job_snapshot)
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS reprocess_requested_at TIMESTAMP;
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS original_url TEXT;
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS platform_job_id VARCHAR(100);
+-- ALTER TABLE company ADD COLUMN IF NOT EXISTS domain VARCHAR(255);
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS api_key_id UUID;
+-- CREATE INDEX IF NOT EXISTS idx_job_api_key ON job_posting(api_key_id);
+-- ALTER TABLE import_job ADD COLUMN IF NOT EXISTS api_key_id UUID;
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS status VARCHAR(10) DEFAULT 'open' NOT NULL;
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL;
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL;
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;
+-- ALTER TABLE job_posting ADD COLUMN IF NOT EXISTS lifecycle_changed_at TIMESTAMP;
+-- UPDATE job_posting SET first_seen_at = crawled_time, last_seen_at = crawled_time, lifecycle_changed_at = CURRENT_TIMESTAMP;
+-- CREATE INDEX IF NOT EXISTS idx_job_open_last_seen ON job_posting(LOWER(platform), last_seen_at) WHERE status = 'open';
+-- CREATE INDEX IF NOT EXISTS idx_job_lifecycle_changed ON job_posting(lifecycle_changed_at) WHERE lifecycle_changed_at IS NOT NULL;
+-- (then create idx_company_domain and company_alias; the Raw API fills in domains
+--  and aliases of existing companies at startup)
+-- (then create uq_job_platform_job_id; existing rows keep their URL and are still
+--  matched when a crawler sends that exact URL again)
+-- Drop replayable responses stored with a plaintext API key or webhook secret:
+-- DELETE FROM idempotency_key WHERE response_body::jsonb ?| ARRAY['api_key', 'secret'];
+
 -- ===================================
 -- VERIFICATION QUERIES
 -- ===================================
@@ -83,9 +476,19 @@ ORDER BY table_name;
 -- Check row counts
 SELECT 'company' as table_name, COUNT(*) as count FROM company
 UNION ALL
+SELECT 'company_alias', COUNT(*) FROM company_alias
+UNION ALL
 SELECT 'job_posting', COUNT(*) FROM job_posting
 UNION ALL
-SELECT 'benefit', COUNT(*) FROM benefit;
+SELECT 'benefit', COUNT(*) FROM benefit
+UNION ALL
+SELECT 'job_posting_version', COUNT(*) FROM job_posting_version
+UNION ALL
+SELECT 'import_job', COUNT(*) FROM import_job
+UNION ALL
+SELECT 'page_snapshot', COUNT(*) FROM page_snapshot
+UNION ALL
+SELECT 'webhook_delivery', COUNT(*) FROM webhook_delivery;
 
 -- Check processing status
 SELECT 
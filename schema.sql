@@ -55,7 +55,8 @@ INSERT INTO Platform (Name, Description, Domain) VALUES
     ('Careerviet', 'Jobs recruiting board', 'careerviet.vn'),
     ('Topcv', 'Jobs recruiting board', 'topcv.vn'),
     ('ItViec', 'It jobs recruiting board', 'itviec.com'),
-    ('VietnamWorks', 'Job board and recruiting', 'vietnamworks.com');
+    ('VietnamWorks', 'Job board and recruiting', 'vietnamworks.com'),
+    ('CSV Upload', 'Manual CSV uploads to the raw API without a platform column', NULL);
 
 -- ===================================
 -- 4. COMPANY TABLE
@@ -91,6 +92,10 @@ CREATE TABLE JobPost (
     PlatformId INTEGER NOT NULL,
     PostUrl TEXT NOT NULL UNIQUE,
     CrawledTime TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    Status VARCHAR(10) DEFAULT 'open' NOT NULL,  -- open, closed (raw job_posting.status)
+    FirstSeen TIMESTAMP,
+    LastSeen TIMESTAMP,
+    ClosedAt TIMESTAMP,
     CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UpdatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
@@ -105,6 +110,7 @@ CREATE INDEX idx_jobpost_company ON JobPost(CompanyId);
 CREATE INDEX idx_jobpost_platform ON JobPost(PlatformId);
 CREATE INDEX idx_jobpost_posted_date ON JobPost(PostedDate);
 CREATE INDEX idx_jobpost_crawled_time ON JobPost(CrawledTime);
+CREATE INDEX idx_jobpost_status ON JobPost(Status);
 CREATE INDEX idx_jobpost_title ON JobPost USING gin(to_tsvector('english', Title));
 
 -- ===================================
@@ -113,16 +119,30 @@ CREATE INDEX idx_jobpost_title ON JobPost USING gin(to_tsvector('english', Title
 CREATE TABLE ApiKeys (
     Id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     KeyName VARCHAR(100) NOT NULL UNIQUE,
-    ApiKey VARCHAR(64) NOT NULL UNIQUE,
+    ApiKey VARCHAR(64) UNIQUE,  -- Legacy plaintext key, cleared when it is hashed on first use
+    KeyPrefix VARCHAR(16),  -- First characters of the key, shown in listings
+    KeySalt VARCHAR(32),
+    KeyHash VARCHAR(64),  -- SHA-256 of salt + key
+    PreviousKeyPrefix VARCHAR(16),  -- Secret replaced by the last rotation...
+    PreviousKeySalt VARCHAR(32),
+    PreviousKeyHash VARCHAR(64),
+    PreviousKeyExpiresAt TIMESTAMP,  -- ...accepted until this time
     IsActive BOOLEAN DEFAULT TRUE,
+    ExpiresAt TIMESTAMP,
+    RevokedAt TIMESTAMP,
     CreatedBy VARCHAR(100),
     CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     LastUsedAt TIMESTAMP,
-    UsageCount INTEGER DEFAULT 0
+    UsageCount INTEGER DEFAULT 0,
+    Scopes TEXT[] NOT NULL DEFAULT ARRAY['ingest'],  -- ingest, etl, read, admin
+    AllowedPlatforms TEXT[],  -- Platform names this key may write (NULL = any)
+    RateLimitMax INTEGER  -- Requests per rate limit window (NULL = API_KEY_RATE_LIMIT)
 );
 
 -- Index for API key lookups
 CREATE INDEX idx_apikeys_key ON ApiKeys(ApiKey);
+CREATE INDEX idx_apikeys_prefix ON ApiKeys(KeyPrefix);
+CREATE INDEX idx_apikeys_previous_prefix ON ApiKeys(PreviousKeyPrefix) WHERE PreviousKeyPrefix IS NOT NULL;
 
 -- ===================================
 -- 7. TRIGGERS FOR AUTO-UPDATE
@@ -149,6 +169,93 @@ CREATE TRIGGER update_jobpost_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- ===================================
+-- 8. JOBPOST EVENTS (live stream)
+-- ===================================
+
+-- Feed of JobPost writes for the raw API's GET /api/stream/jobs
+-- (pruned after STREAM_RETENTION_HOURS), read in (TxId, Id) order
+CREATE TABLE JobPostEvent (
+    Id BIGSERIAL PRIMARY KEY,
+    TxId BIGINT DEFAULT txid_current() NOT NULL,
+    JobPostId UUID NOT NULL,
+    Operation VARCHAR(10) NOT NULL,  -- insert, update
+    PlatformName VARCHAR(100),
+    Payload JSONB NOT NULL,
+    CreatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_jobpostevent_position ON JobPostEvent(TxId, Id);
+CREATE INDEX idx_jobpostevent_created ON JobPostEvent(CreatedAt);
+
+-- Record the write; the raw API polls JobPostEvent (no LISTEN on this database)
+CREATE OR REPLACE FUNCTION record_jobpost_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    platform_name VARCHAR(100);
+BEGIN
+    -- LastSeen moves with every crawl; only other changes are worth an event
+    IF TG_OP = 'UPDATE'
+       AND to_jsonb(OLD) - 'lastseen' - 'updatedat' = to_jsonb(NEW) - 'lastseen' - 'updatedat' THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT Name INTO platform_name FROM Platform WHERE Id = NEW.PlatformId;
+
+    INSERT INTO JobPostEvent (JobPostId, Operation, PlatformName, Payload)
+    VALUES (NEW.Id, LOWER(TG_OP), platform_name, jsonb_build_object(
+        'id', NEW.Id,
+        'company_id', NEW.CompanyId,
+        'title', NEW.Title,
+        'platform', platform_name,
+        'url', NEW.PostUrl,
+        'location', NEW.Location,
+        'salary_per_month', NEW.SalaryPerMonth,
+        'posted_date', NEW.PostedDate,
+        'status', NEW.Status
+    ));
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_jobpost_event
+    AFTER INSERT OR UPDATE ON JobPost
+    FOR EACH ROW
+    EXECUTE FUNCTION record_jobpost_event();
+
+-- ===================================
+-- UPGRADING AN EXISTING DATABASE
+-- ===================================
+-- New columns on existing tables need:
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS Scopes TEXT[] NOT NULL DEFAULT ARRAY['ingest'];
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS AllowedPlatforms TEXT[];
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS RateLimitMax INTEGER;
+-- Keys created before scopes existed could call every route:
+-- UPDATE ApiKeys SET Scopes = ARRAY['ingest', 'etl', 'read'];
+-- Default platform of CSV uploads (the raw API only accepts names from this table):
+-- INSERT INTO Platform (Name, Description) VALUES ('CSV Upload', 'Manual CSV uploads to the raw API without a platform column') ON CONFLICT (Name) DO NOTHING;
+-- Hashed key storage (plaintext keys are hashed on first use):
+-- ALTER TABLE ApiKeys ALTER COLUMN ApiKey DROP NOT NULL;
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS KeyPrefix VARCHAR(16);
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS KeySalt VARCHAR(32);
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS KeyHash VARCHAR(64);
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS PreviousKeyPrefix VARCHAR(16);
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS PreviousKeySalt VARCHAR(32);
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS PreviousKeyHash VARCHAR(64);
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS PreviousKeyExpiresAt TIMESTAMP;
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS ExpiresAt TIMESTAMP;
+-- ALTER TABLE ApiKeys ADD COLUMN IF NOT EXISTS RevokedAt TIMESTAMP;
+-- CREATE INDEX IF NOT EXISTS idx_apikeys_prefix ON ApiKeys(KeyPrefix);
+-- CREATE INDEX IF NOT EXISTS idx_apikeys_previous_prefix ON ApiKeys(PreviousKeyPrefix) WHERE PreviousKeyPrefix IS NOT NULL;
+-- Live job stream: create the JobPostEvent table, function and trigger from section 8
+-- Job closure tracking (then re-create record_jobpost_event from section 8):
+-- ALTER TABLE JobPost ADD COLUMN IF NOT EXISTS Status VARCHAR(10) DEFAULT 'open' NOT NULL;
+-- ALTER TABLE JobPost ADD COLUMN IF NOT EXISTS FirstSeen TIMESTAMP;
+-- ALTER TABLE JobPost ADD COLUMN IF NOT EXISTS LastSeen TIMESTAMP;
+-- ALTER TABLE JobPost ADD COLUMN IF NOT EXISTS ClosedAt TIMESTAMP;
+-- CREATE INDEX IF NOT EXISTS idx_jobpost_status ON JobPost(Status);
+
 -- ===================================
 -- VERIFICATION QUERIES
 -- ===================================
@@ -0,0 +1,84 @@
+/**
+ * Shared job search filters for the clean database.
+ *
+ * Used by Analytics.searchJobs() (CLI/dashboard) and by the Raw API's
+ * GET /api/jobs route so both return the same results for the same filters.
+ * Expects the query to alias JobPost as jp, ExperienceLevel as el and
+ * Platform as p.
+ */
+
+// Lifecycle statuses of JobPost.Status; filters also accept 'all'
+const JOB_STATUSES = ['open', 'closed'];
+
+/**
+ * Condition keeping jobs with a lifecycle status ('all' keeps every job)
+ * The value is checked against JOB_STATUSES before it is inlined.
+ */
+function jobStatusCondition(status = 'open', alias = 'jp') {
+  if (status === 'all') return 'TRUE';
+
+  if (!JOB_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${[...JOB_STATUSES, 'all'].join(', ')}`);
+  }
+
+  return `${alias}.Status = '${status}'`;
+}
+
+/**
+ * Build WHERE conditions and params from a filters object
+ * Only open jobs are kept unless filters.status says otherwise.
+ * Returns { conditions: string[], params: any[] }
+ */
+function buildJobSearchConditions(filters = {}, startIndex = 1) {
+  const conditions = [jobStatusCondition(filters.status || 'open')];
+  const params = [];
+  let paramCount = startIndex;
+
+  if (filters.title) {
+    params.push(`%${filters.title}%`);
+    conditions.push(`jp.Title ILIKE $${paramCount++}`);
+  }
+
+  if (filters.location) {
+    params.push(`%${filters.location}%`);
+    conditions.push(`jp.Location ILIKE $${paramCount++}`);
+  }
+
+  if (filters.minSalary) {
+    params.push(filters.minSalary);
+    conditions.push(`jp.SalaryPerMonth >= $${paramCount++}`);
+  }
+
+  if (filters.maxSalary) {
+    params.push(filters.maxSalary);
+    conditions.push(`jp.SalaryPerMonth <= $${paramCount++}`);
+  }
+
+  if (filters.experienceLevel) {
+    params.push(filters.experienceLevel);
+    conditions.push(`el.Name = $${paramCount++}`);
+  }
+
+  if (filters.platform) {
+    params.push(filters.platform);
+    conditions.push(`p.Name = $${paramCount++}`);
+  }
+
+  if (filters.postedFrom) {
+    params.push(filters.postedFrom);
+    conditions.push(`jp.PostedDate >= $${paramCount++}`);
+  }
+
+  if (filters.postedTo) {
+    params.push(filters.postedTo);
+    conditions.push(`jp.PostedDate <= $${paramCount++}`);
+  }
+
+  return { conditions, params };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  jobStatusCondition,
+  buildJobSearchConditions,
+};
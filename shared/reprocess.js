@@ -0,0 +1,169 @@
+/**
+ * Selective reprocessing of raw jobs.
+ *
+ * Used by the data processor's test/reprocess.js (CLI) and by the Raw API's
+ * POST /api/admin/reprocess so both select the same jobs for the same filter.
+ * Callers pass their own pools, the two services configure them from different
+ * environment variables.
+ *
+ * Reset jobs get processed = FALSE and a reprocess_requested_at timestamp; the
+ * processor then updates their existing JobPost instead of skipping it as a duplicate.
+ */
+
+const FILTER_KEYS = ['platform', 'crawledFrom', 'crawledTo', 'crawlRunId', 'jobIds', 'cleanSalaryNull'];
+
+// Clean URLs matched per query for cleanSalaryNull
+const CLEAN_URL_BATCH_SIZE = 1000;
+
+function hasFilter(filter = {}) {
+  return FILTER_KEYS.some(key => {
+    const value = filter[key];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+}
+
+/**
+ * Build WHERE conditions on job_posting (aliased jp) from a filter
+ * Filters: platform, crawledFrom (inclusive), crawledTo (exclusive), crawlRunId,
+ * jobIds, cleanSalaryNull (clean JobPost.SalaryPerMonth is NULL, matched by URL).
+ * Only jobs already processed are selected.
+ * With cleanSalaryNull the last parameter is a page of clean URLs, set by queryInBatches.
+ * Returns { conditions: string[], params: any[] }
+ */
+function buildReprocessConditions(filter = {}) {
+  if (!hasFilter(filter)) {
+    throw new Error('At least one reprocess filter is required');
+  }
+
+  const conditions = ['jp.processed = TRUE'];
+  const params = [];
+
+  if (filter.platform) {
+    params.push(filter.platform);
+    conditions.push(`LOWER(jp.platform) = LOWER($${params.length})`);
+  }
+
+  if (filter.crawledFrom) {
+    params.push(filter.crawledFrom);
+    conditions.push(`jp.crawled_time >= $${params.length}`);
+  }
+
+  if (filter.crawledTo) {
+    params.push(filter.crawledTo);
+    conditions.push(`jp.crawled_time < $${params.length}`);
+  }
+
+  if (filter.crawlRunId) {
+    params.push(filter.crawlRunId);
+    conditions.push(`jp.crawl_run_id = $${params.length}`);
+  }
+
+  if (filter.jobIds && filter.jobIds.length > 0) {
+    params.push(filter.jobIds);
+    conditions.push(`jp.job_id = ANY($${params.length}::uuid[])`);
+  }
+
+  if (filter.cleanSalaryNull) {
+    params.push(null);
+    conditions.push(`jp.url = ANY($${params.length}::text[])`);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Run a per-platform count query over the jobs a filter selects
+ * `query(conditions, params)` runs once, or with cleanSalaryNull once per page of
+ * clean URLs (paged by PostUrl, never all loaded at once).
+ * Returns [{ platform, count }] summed over the pages, largest first
+ */
+async function queryInBatches(cleanPool, filter, batchSize, query) {
+  const { conditions, params } = buildReprocessConditions(filter);
+
+  if (!filter.cleanSalaryNull) {
+    return query(conditions, params);
+  }
+
+  const counts = new Map();
+  let after = '';
+
+  for (;;) {
+    const page = await cleanPool.query(
+      `SELECT DISTINCT PostUrl FROM JobPost
+       WHERE SalaryPerMonth IS NULL AND PostUrl > $1
+       ORDER BY PostUrl
+       LIMIT $2`,
+      [after, batchSize]
+    );
+    const urls = page.rows.map(row => row.posturl);
+
+    if (urls.length > 0) {
+      for (const { platform, count } of await query(conditions, [...params.slice(0, -1), urls])) {
+        counts.set(platform, (counts.get(platform) || 0) + count);
+      }
+    }
+
+    if (urls.length < batchSize) break;
+    after = urls[urls.length - 1];
+  }
+
+  return [...counts]
+    .map(([platform, count]) => ({ platform, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Dry run: how many jobs a reset would flag
+ * Returns { matched, platforms: [{ platform, count }] }
+ */
+async function countReprocessJobs(rawPool, cleanPool, filter, batchSize = CLEAN_URL_BATCH_SIZE) {
+  const platforms = await queryInBatches(cleanPool, filter, batchSize, async (conditions, params) => {
+    const result = await rawPool.query(
+      `SELECT jp.platform, COUNT(*)::int AS count
+       FROM job_posting jp
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY jp.platform
+       ORDER BY count DESC`,
+      params
+    );
+    return result.rows;
+  });
+
+  return {
+    matched: platforms.reduce((sum, row) => sum + row.count, 0),
+    platforms
+  };
+}
+
+/**
+ * Flag the matching jobs for the data processor again
+ * With cleanSalaryNull each page of clean URLs is reset by its own statement.
+ * Returns { reset, platforms: [{ platform, count }] }
+ */
+async function resetProcessedJobs(rawPool, cleanPool, filter, batchSize = CLEAN_URL_BATCH_SIZE) {
+  const platforms = await queryInBatches(cleanPool, filter, batchSize, async (conditions, params) => {
+    const result = await rawPool.query(
+      `WITH reset AS (
+         UPDATE job_posting jp
+         SET processed = FALSE, processed_at = NULL, reprocess_requested_at = CURRENT_TIMESTAMP
+         WHERE ${conditions.join(' AND ')}
+         RETURNING jp.platform
+       )
+       SELECT platform, COUNT(*)::int AS count FROM reset GROUP BY platform ORDER BY count DESC`,
+      params
+    );
+    return result.rows;
+  });
+
+  return {
+    reset: platforms.reduce((sum, row) => sum + row.count, 0),
+    platforms
+  };
+}
+
+module.exports = {
+  hasFilter,
+  buildReprocessConditions,
+  countReprocessJobs,
+  resetProcessedJobs,
+};
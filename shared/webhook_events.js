@@ -0,0 +1,59 @@
+/**
+ * Queue webhook events in the raw database.
+ *
+ * Used by the Raw API (job.ingested, import.completed, job.processed from
+ * POST /api/jobposts/mark-processed) and by the data processor (job.processed)
+ * so both write the same event payloads. The Raw API's webhook worker
+ * delivers what is queued here.
+ */
+
+/**
+ * Queue an event for the matching subscriptions
+ * Never throws: a webhook problem must not fail the ingestion that triggered it.
+ * With inTransaction, `db` is a client holding an open transaction; the insert runs
+ * in a savepoint so a failure does not abort the caller's transaction.
+ * Returns the number of deliveries queued
+ */
+async function publishEvent(db, event, data, platform = null, { inTransaction = false } = {}) {
+  try {
+    if (inTransaction) await db.query('SAVEPOINT webhook_event');
+
+    const result = await db.query(
+      'SELECT enqueue_webhook_event($1, $2, $3) AS queued',
+      [event, platform, JSON.stringify(data)]
+    );
+
+    if (inTransaction) await db.query('RELEASE SAVEPOINT webhook_event');
+    return result.rows[0].queued;
+  } catch (error) {
+    console.error(`❌ Failed to queue webhook event ${event}:`, error.message);
+
+    if (inTransaction) {
+      await db.query('ROLLBACK TO SAVEPOINT webhook_event; RELEASE SAVEPOINT webhook_event').catch(() => {});
+    }
+    return 0;
+  }
+}
+
+/**
+ * Queue one event per platform for a list of jobs
+ * Jobs are { job_id, url, platform, ... }; the platform is moved to the event level.
+ * Options are passed on to publishEvent.
+ */
+async function publishJobEvents(db, event, jobs, options = {}) {
+  const byPlatform = new Map();
+
+  for (const { platform, ...job } of jobs) {
+    if (!byPlatform.has(platform)) byPlatform.set(platform, []);
+    byPlatform.get(platform).push(job);
+  }
+
+  for (const [platform, platformJobs] of byPlatform) {
+    await publishEvent(db, event, { platform, count: platformJobs.length, jobs: platformJobs }, platform, options);
+  }
+}
+
+module.exports = {
+  publishEvent,
+  publishJobEvents,
+};